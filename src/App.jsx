@@ -1,21 +1,31 @@
 // Core imports for routing and UI framework
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { useMemo } from 'react';
+import { BrowserRouter as Router, Routes, Route, Outlet } from 'react-router-dom';
 import { ThemeProvider, CssBaseline } from '@mui/material';
-import { createTheme } from '@mui/material/styles';
+import { createTheme, alpha } from '@mui/material/styles';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { Toaster } from 'sonner';
 import Layout from './components/Layout';
 import CustomerList from './pages/CustomerList';
+import CustomerDetail from './pages/CustomerDetail';
 import TrainingList from './pages/TrainingList';
 import CalendarPage from './pages/Calendar';
 import StatisticsPage from './pages/Statistics';
+import LoginPage from './pages/Login';
+import RequireAuth from './components/RequireAuth';
+import { AuthProvider } from './hooks/useAuth';
+import useI18n, { I18nProvider } from './hooks/useI18n';
+import useColorMode, { ColorModeProvider } from './hooks/useColorMode';
 
 // Theme configuration for Material-UI
 // This defines the visual style of the entire application
 // OPTIONAL: You can modify these values to change the app's appearance
-const theme = createTheme({
-  palette: {
-    // Light mode color scheme
-    mode: 'light',
+// Each palette mode has its own colours; component overrides take theirs from the
+// palette so they work in both. The MUI, DataGrid and date picker texts of the
+// current language are added in AppContent
+const PALETTES = {
+  light: {
     primary: {
       main: '#2563eb',     // Main brand color
       dark: '#1d4ed8',     // Used for hover states
@@ -36,62 +46,125 @@ const theme = createTheme({
       primary: '#0f172a',  // Main text color
       secondary: '#334155', // Less prominent text
     },
+    // Grid column headers
+    header: '#f1f5f9',
+  },
+  dark: {
+    primary: {
+      main: '#3b82f6',
+      dark: '#2563eb',
+      light: '#93c5fd',
+      contrastText: '#ffffff',
+    },
+    secondary: {
+      main: '#38bdf8',
+      dark: '#0284c7',
+      light: '#7dd3fc',
+      contrastText: '#0f172a',
+    },
+    background: {
+      default: '#0f172a',
+      paper: '#1e293b',
+    },
+    text: {
+      primary: '#f1f5f9',
+      secondary: '#cbd5e1',
+    },
+    header: '#334155',
+  },
+};
+
+/**
+ * @param {string} mode - 'light' or 'dark'
+ * @returns {object} options for createTheme
+ */
+const getThemeOptions = (mode) => ({
+  palette: {
+    mode,
+    ...PALETTES[mode],
   },
   // OPTIONAL: Component style customizations
   components: {
     // Data grid styling (used in list views)
     MuiDataGrid: {
       styleOverrides: {
-        root: {
-          backgroundColor: '#ffffff',
+        root: ({ theme }) => ({
+          backgroundColor: theme.palette.background.paper,
           '& .MuiDataGrid-row:hover': {
-            backgroundColor: 'rgba(37, 99, 235, 0.04)',
+            backgroundColor: alpha(theme.palette.primary.main, 0.04),
           },
           '& .MuiDataGrid-cell:focus': {
-            outline: '2px solid #2563eb',
+            outline: `2px solid ${theme.palette.primary.main}`,
             outlineOffset: '-1px',
           },
-        },
-        columnHeader: {
-          backgroundColor: '#f1f5f9',
-          color: '#0f172a',
+        }),
+        columnHeader: ({ theme }) => ({
+          backgroundColor: theme.palette.header,
+          color: theme.palette.text.primary,
           fontWeight: 600,
-        },
+        }),
       },
     },
     // Text field styling
     MuiTextField: {
       styleOverrides: {
-        root: {
+        root: ({ theme }) => ({
           '& .MuiOutlinedInput-root': {
             '&:hover fieldset': {
-              borderColor: '#2563eb',
+              borderColor: theme.palette.primary.main,
             },
             '&.Mui-focused fieldset': {
-              borderColor: '#2563eb',
+              borderColor: theme.palette.primary.main,
               borderWidth: 2,
             },
           },
-        },
+        }),
       },
     },
     // Button styling
     MuiButton: {
       styleOverrides: {
-        root: {
+        root: ({ theme }) => ({
           textTransform: 'none',
           fontWeight: 500,
           '&:focus-visible': {
-            outline: '2px solid #2563eb',
+            outline: `2px solid ${theme.palette.primary.main}`,
             outlineOffset: 2,
           },
-        },
-        containedSecondary: {
-          backgroundColor: '#0284c7',
+        }),
+        containedSecondary: ({ theme }) => ({
+          backgroundColor: theme.palette.secondary.main,
           '&:hover': {
-            backgroundColor: '#0369a1',
+            backgroundColor: theme.palette.secondary.dark,
           },
-        },
+        }),
+      },
+    },
+    // Dialogs with forms or lists (the fullWidth ones) fill the screen on phones;
+    // short confirmations stay centred
+    MuiDialog: {
+      styleOverrides: {
+        paperFullWidth: ({ theme }) => ({
+          [theme.breakpoints.down('sm')]: {
+            margin: 0,
+            width: '100%',
+            maxWidth: '100%',
+            height: '100%',
+            maxHeight: 'none',
+            borderRadius: 0,
+          },
+        }),
+      },
+    },
+    // Typography colours, taken from the palette of the current mode
+    MuiTypography: {
+      styleOverrides: {
+        h4: ({ theme }) => ({
+          color: theme.palette.text.primary,
+        }),
+        body1: ({ theme }) => ({
+          color: theme.palette.text.secondary,
+        }),
       },
     },
   },
@@ -99,36 +172,68 @@ const theme = createTheme({
   typography: {
     h4: {
       fontWeight: 600,
-      color: '#0f172a',
-    },
-    body1: {
-      color: '#334155',
     },
   },
 });
 
 // Main App component that sets up:
-// 1. Material-UI theming
-// 2. Toast notifications (bottom-center)
-// 3. Routing between different pages
-// 4. Global layout wrapper
+// 1. The language and the colour mode (see AppContent)
+// 2. Material-UI theming
+// 3. Toast notifications (bottom-center)
+// 4. Sign-in, with every page except the login screen behind a route guard
+// 5. Routing between different pages
+// 6. Global layout wrapper
 function App() {
+  return (
+    <I18nProvider>
+      <ColorModeProvider>
+        <AppContent />
+      </ColorModeProvider>
+    </I18nProvider>
+  );
+}
+
+// Everything below the language and colour mode: the theme follows both, the date pickers the language
+function AppContent() {
+  const { config } = useI18n();
+  const { paletteMode } = useColorMode();
+  const theme = useMemo(
+    () => createTheme(getThemeOptions(paletteMode), ...config.muiLocales),
+    [paletteMode, config],
+  );
+
   return (
     <ThemeProvider theme={theme}>
-      <CssBaseline />
-      <Toaster position="bottom-center" expand={true} richColors />
-      <Router>
-        <Layout>
-          <Routes>
-            {/* Default route redirects to customer list */}
-            <Route path="/" element={<CustomerList />} />
-            <Route path="/customers" element={<CustomerList />} />
-            <Route path="/trainings" element={<TrainingList />} />
-            <Route path="/calendar" element={<CalendarPage />} />
-            <Route path="/statistics" element={<StatisticsPage />} />
-          </Routes>
-        </Layout>
-      </Router>
+      {/* One date picker locale for the whole app, so pickers match the rest of the dates */}
+      <LocalizationProvider dateAdapter={AdapterDateFns} adapterLocale={config.dateLocale}>
+        <CssBaseline />
+        <Toaster position="bottom-center" expand={true} richColors theme={paletteMode} />
+        <Router>
+          <AuthProvider>
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              {/* Pages inside the layout require a signed-in user */}
+              <Route
+                element={(
+                  <RequireAuth>
+                    <Layout>
+                      <Outlet />
+                    </Layout>
+                  </RequireAuth>
+                )}
+              >
+                {/* Default route redirects to customer list */}
+                <Route path="/" element={<CustomerList />} />
+                <Route path="/customers" element={<CustomerList />} />
+                <Route path="/customers/:id" element={<CustomerDetail />} />
+                <Route path="/trainings" element={<TrainingList />} />
+                <Route path="/calendar" element={<CalendarPage />} />
+                <Route path="/statistics" element={<StatisticsPage />} />
+              </Route>
+            </Routes>
+          </AuthProvider>
+        </Router>
+      </LocalizationProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,263 @@
+/**
+ * Dialog for full JSON backups.
+ * Downloads every customer and training as one versioned file, and restores
+ * such a file: choose it, pick merge or replace, review the dry-run summary
+ * of what would change, then restore. Replacing saves a snapshot first.
+ */
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Divider,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  LinearProgress,
+  Alert,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { format, isValid } from 'date-fns';
+import { toast } from 'sonner';
+import { exportBackup, previewRestore, applyRestorePlan } from '../services/backup';
+import { takeSnapshot } from '../services/snapshots';
+import { parseBackup, RESTORE_MODES } from '../utils/backup';
+import { downloadFile } from '../utils/download';
+import { getErrorMessage } from '../utils/concurrency';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ */
+const BackupDialog = ({ open, onClose }) => {
+  const [exporting, setExporting] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [backup, setBackup] = useState(null);  // Parsed backup chosen for restoring
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+  const [plan, setPlan] = useState(null);  // Dry-run result for the backup and mode
+  const [previewing, setPreviewing] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [progress, setProgress] = useState(0);  // Percentage of restore steps done
+  const { t, formatDateTime } = useI18n();
+
+  const reset = () => {
+    setFileName('');
+    setBackup(null);
+    setMode(RESTORE_MODES.MERGE);
+    setPlan(null);
+    setProgress(0);
+  };
+
+  const handleClose = () => {
+    if (restoring) return;
+    reset();
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const data = await exportBackup();
+      const filename = `personal-trainer-backup-${format(new Date(), 'yyyy-MM-dd-HHmm')}.json`;
+      if (downloadFile(JSON.stringify(data, null, 2), filename, 'application/json')) {
+        toast.success(t('backup.downloaded', {
+          customers: t('customers.count', { count: data.customers.length }),
+          sessions: t('trainings.sessionCount', { count: data.trainings.length }),
+        }));
+      }
+    } catch (error) {
+      toast.error(t('backup.createFailed'));
+      console.error('Error creating backup:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Work out what restoring would change, without changing anything
+  const runPreview = async (nextBackup, nextMode) => {
+    setPlan(null);
+    setPreviewing(true);
+    try {
+      setPlan(await previewRestore(nextBackup, nextMode));
+    } catch (error) {
+      toast.error(t('backup.previewFailed'));
+      console.error('Error previewing restore:', error);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  // Read and check the chosen file, then preview it
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseBackup(await file.text());
+      setFileName(file.name);
+      setBackup(parsed);
+      runPreview(parsed, mode);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+      console.error('Error reading backup file:', error);
+    }
+  };
+
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    if (backup) runPreview(backup, e.target.value);
+  };
+
+  // Replacing deletes everything first, so the current data is snapshotted before
+  const handleRestore = async () => {
+    setRestoring(true);
+    setProgress(0);
+    try {
+      if (plan.mode === RESTORE_MODES.REPLACE) await takeSnapshot(t('snapshots.beforeRestore'));
+      const result = await applyRestorePlan(plan, {
+        onProgress: (finished, total) => setProgress(Math.round((finished / total) * 100)),
+      });
+      const message = t('backup.restored', {
+        customers: t('customers.count', { count: result.customers.created }),
+        sessions: t('trainings.sessionCount', { count: result.trainings.created }),
+      });
+      // The open page still shows the old data, so the toast offers to reload it
+      const options = { action: { label: t('common.reload'), onClick: () => window.location.reload() }, duration: Infinity };
+      if (result.customers.failed > 0 || result.trainings.failed > 0) {
+        toast.warning(t('backup.someFailed', { message, count: result.customers.failed + result.trainings.failed }), options);
+      } else {
+        toast.success(message, options);
+      }
+      reset();
+      onClose();
+    } catch (error) {
+      toast.error(t('backup.restoreFailed', { reason: getErrorMessage(error) }));
+      console.error('Error restoring backup:', error);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const changes = plan && (
+    plan.customersToCreate.length + plan.trainingsToCreate.length
+    + plan.customersToDelete.length + plan.trainingsToDelete.length
+  );
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('backup.title')}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="subtitle1" gutterBottom>{t('backup.backup')}</Typography>
+        <DialogContentText gutterBottom>
+          {t('backup.backupExplanation')}
+        </DialogContentText>
+        <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleExport} disabled={exporting || restoring}>
+          {exporting ? t('backup.preparing') : t('backup.download')}
+        </Button>
+
+        <Divider sx={{ my: 3 }} />
+
+        <Typography variant="subtitle1" gutterBottom>{t('common.restore')}</Typography>
+        <DialogContentText gutterBottom>
+          {t('backup.restoreExplanation')}
+        </DialogContentText>
+        <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={restoring}>
+          {t('backup.chooseFile')}
+          <input type="file" accept=".json,application/json" hidden onChange={handleFileChange} />
+        </Button>
+
+        {backup && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              {fileName}: {t('backup.contents', {
+                customers: t('customers.count', { count: backup.customers.length }),
+                sessions: t('trainings.sessionCount', { count: backup.trainings.length }),
+              })}
+              {isValid(new Date(backup.exportedAt)) && `, ${t('backup.exportedAt', { date: formatDateTime(backup.exportedAt) })}`}
+            </Typography>
+            <RadioGroup value={mode} onChange={handleModeChange} sx={{ mt: 1 }}>
+              <FormControlLabel
+                value={RESTORE_MODES.MERGE}
+                control={<Radio />}
+                label={t('backup.merge')}
+                disabled={restoring}
+              />
+              <FormControlLabel
+                value={RESTORE_MODES.REPLACE}
+                control={<Radio />}
+                label={t('backup.replace')}
+                disabled={restoring}
+              />
+            </RadioGroup>
+
+            {previewing && <LinearProgress sx={{ my: 2 }} />}
+            {plan && (
+              <>
+                {/* Dry-run summary */}
+                <Table size="small" sx={{ mt: 1 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell />
+                      <TableCell align="right">{t('backup.added')}</TableCell>
+                      <TableCell align="right">{t('backup.present')}</TableCell>
+                      <TableCell align="right">{t('batch.deleted')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    <TableRow>
+                      <TableCell component="th">{t('nav.customers')}</TableCell>
+                      <TableCell align="right">{plan.customersToCreate.length}</TableCell>
+                      <TableCell align="right">{Object.keys(plan.matchedCustomers).length}</TableCell>
+                      <TableCell align="right">{plan.customersToDelete.length}</TableCell>
+                    </TableRow>
+                    <TableRow>
+                      <TableCell component="th">{t('backup.trainingSessions')}</TableCell>
+                      <TableCell align="right">{plan.trainingsToCreate.length}</TableCell>
+                      <TableCell align="right">{plan.trainingsToSkip.length}</TableCell>
+                      <TableCell align="right">{plan.trainingsToDelete.length}</TableCell>
+                    </TableRow>
+                  </TableBody>
+                </Table>
+                {plan.mode === RESTORE_MODES.REPLACE && plan.customersToDelete.length > 0 && (
+                  <Alert severity="warning" sx={{ mt: 2 }}>
+                    {t('backup.replaceWarning')}
+                  </Alert>
+                )}
+                {changes === 0 && (
+                  <Alert severity="info" sx={{ mt: 2 }}>{t('backup.nothingToRestore')}</Alert>
+                )}
+              </>
+            )}
+            {restoring && <LinearProgress variant="determinate" value={progress} sx={{ mt: 2 }} />}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={restoring}>{t('common.close')}</Button>
+        <Button
+          onClick={handleRestore}
+          variant="contained"
+          color={mode === RESTORE_MODES.REPLACE ? 'error' : 'primary'}
+          disabled={!plan || changes === 0 || previewing || restoring}
+        >
+          {restoring ? t('common.restoring') : t('common.restore')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BackupDialog;
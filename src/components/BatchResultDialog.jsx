@@ -0,0 +1,68 @@
+// Per-row report of a batch operation that did not fully succeed
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import ErrorIcon from '@mui/icons-material/Error';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {object|null} props.report - { title, rows: [{ key, label, ok, message }] }; the dialog is open while set
+ * @param {Function} props.onClose
+ */
+const BatchResultDialog = ({ report, onClose }) => {
+  const { t } = useI18n();
+  const rows = report?.rows || [];
+  const failed = rows.filter((row) => !row.ok).length;
+  // Failures first, they are what needs attention
+  const sorted = [...rows].sort((a, b) => Number(a.ok) - Number(b.ok));
+
+  return (
+    <Dialog open={Boolean(report)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{report?.title}</DialogTitle>
+      <DialogContent dividers>
+        <Typography sx={{ mb: 2 }}>
+          {t('batch.summary', { succeeded: rows.length - failed, total: rows.length, failed })}
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell width={48} />
+              <TableCell>{t('batch.item')}</TableCell>
+              <TableCell>{t('batch.result')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sorted.map((row) => (
+              <TableRow key={row.key}>
+                <TableCell>
+                  {row.ok
+                    ? <CheckCircleIcon color="success" fontSize="small" />
+                    : <ErrorIcon color="error" fontSize="small" />}
+                </TableCell>
+                <TableCell>{row.label}</TableCell>
+                <TableCell>{row.message}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BatchResultDialog;
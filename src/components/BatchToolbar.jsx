@@ -0,0 +1,47 @@
+// Toolbar shown above a data grid while rows are selected
+// Holds the batch action buttons and shows progress while a batch runs
+import { Box, Button, LinearProgress, Paper, Typography } from '@mui/material';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {number} props.count - number of selected rows
+ * @param {string} props.label - what is selected, e.g. "3 customers selected"
+ * @param {Function} props.onClear - clears the selection
+ * @param {object} [props.progress] - { done, total } while a batch operation runs
+ * @param {React.ReactNode} props.children - action buttons
+ */
+const BatchToolbar = ({ count, label, onClear, progress, children }) => {
+  const { t } = useI18n();
+  if (count === 0 && !progress) return null;
+
+  return (
+    <Paper variant="outlined" sx={{ px: 2, py: 1, mb: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        <Typography sx={{ fontWeight: 500 }}>
+          {label}
+        </Typography>
+        <Button size="small" onClick={onClear} disabled={Boolean(progress)}>
+          {t('batch.clearSelection')}
+        </Button>
+        <Box sx={{ display: 'flex', gap: 1, ml: 'auto' }}>
+          {children}
+        </Box>
+      </Box>
+      {progress && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 1 }}>
+          <LinearProgress
+            variant="determinate"
+            value={progress.total ? (progress.done / progress.total) * 100 : 0}
+            sx={{ flex: 1 }}
+          />
+          <Typography variant="body2" color="text.secondary">
+            {progress.done} / {progress.total}
+          </Typography>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default BatchToolbar;
@@ -0,0 +1,74 @@
+/**
+ * Lists sessions that overlap a booking and asks for an explicit override
+ * before saving anyway.
+ */
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+} from '@mui/material';
+import useI18n from '../hooks/useI18n';
+import { formatDateTime, formatTime } from '../i18n';
+import { CONFLICT_REASONS, getTrainingEnd } from '../utils/conflicts';
+
+// Human readable time range of a session, e.g. "21/10/2026 17:30–18:30"
+const formatRange = (training) => `${formatDateTime(training.date)}–${formatTime(getTrainingEnd(training))}`;
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the dialog is visible
+ * @param {object[]} props.conflicts - clashes from findConflicts
+ * @param {Function} props.onCancel - called when the booking should not be saved
+ * @param {Function} props.onConfirm - called when the user books anyway
+ */
+const ConflictDialog = ({ open, conflicts, onCancel, onConfirm }) => {
+  const { t } = useI18n();
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('conflicts.title')}</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {t('conflicts.overlaps', { count: conflicts.length })}
+        </DialogContentText>
+        <List dense sx={{ maxHeight: 300, overflow: 'auto' }}>
+          {conflicts.map(({ candidate, training, reason }) => (
+            <ListItem
+              key={`${candidate.date}-${training.id}`}
+              secondaryAction={(
+                <Chip
+                  size="small"
+                  color={reason === CONFLICT_REASONS.CUSTOMER ? 'error' : 'warning'}
+                  label={reason === CONFLICT_REASONS.CUSTOMER ? t('conflicts.customerDoubleBooked') : t('conflicts.trainerBusy')}
+                />
+              )}
+            >
+              <ListItemText
+                primary={`${formatRange(training)} · ${training.activity}`}
+                secondary={training.customer
+                  ? t('conflicts.customerClashesWith', {
+                    name: `${training.customer.firstname} ${training.customer.lastname}`,
+                    range: formatRange(candidate),
+                  })
+                  : t('conflicts.clashesWith', { range: formatRange(candidate) })}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>{t('common.cancel')}</Button>
+        <Button onClick={onConfirm} color="warning" variant="contained">{t('conflicts.bookAnyway')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,74 @@
+/**
+ * Dialog component for adding or editing customer information.
+ * Validates every field inline, warns about likely duplicates while typing and
+ * shows validation errors from the server on the fields they belong to.
+ */
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { toast } from 'sonner';
+import CustomerFormFields from './CustomerFormFields';
+import useCustomerForm from '../hooks/useCustomerForm';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the dialog is visible
+ * @param {Function} props.onClose - called when the dialog is dismissed
+ * @param {Function} props.onSave - called with the normalized customer; may return a Promise.
+ *   When it rejects with server validation errors they are shown on the fields.
+ * @param {object} [props.customer] - customer being edited (with _links); omitted when adding
+ * @param {string} props.title - dialog title
+ * @param {object[]} [props.customers] - loaded customers, for duplicate warnings
+ */
+const CustomerDialog = ({ open, onClose, onSave, customer, title, customers = [] }) => {
+  const form = useCustomerForm({ customers, selfUrl: customer?._links?.self?.href });
+  const { t } = useI18n();
+  const [saving, setSaving] = useState(false);
+
+  // Load the customer (or empty values) whenever the dialog is opened
+  useEffect(() => {
+    if (open) form.reset(customer);
+  }, [customer, open]);
+
+  // Function to handle form submission
+  // Invalid fields are highlighted instead of saving
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = form.submit();
+    if (!values) return;
+    setSaving(true);
+    try {
+      await onSave(values);
+    } catch (error) {
+      if (form.applyServerError(error)) toast.error(t('validation.correctFields'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit} noValidate>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mt: 2 }}>
+            <CustomerFormFields form={form} />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>{t('common.cancel')}</Button>
+          <Button type="submit" variant="contained" disabled={saving}>{t('common.save')}</Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default CustomerDialog;
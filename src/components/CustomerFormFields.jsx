@@ -0,0 +1,44 @@
+// The customer contact fields with inline validation messages
+// Used by the customer dialog and the customer detail page; state lives in useCustomerForm
+import { Box, TextField, MenuItem } from '@mui/material';
+import useI18n from '../hooks/useI18n';
+import { COUNTRIES } from '../utils/validation';
+
+/**
+ * @param {object} props
+ * @param {object} props.form - the object returned by useCustomerForm
+ * @param {string} [props.size] - TextField size
+ */
+const CustomerFormFields = ({ form, size }) => {
+  const { t } = useI18n();
+
+  return (
+    <>
+      <TextField label={t('customers.fields.firstname')} size={size} {...form.fieldProps('firstname')} />
+      <TextField label={t('customers.fields.lastname')} size={size} {...form.fieldProps('lastname')} />
+      <TextField label={t('customers.fields.email')} type="email" size={size} {...form.fieldProps('email')} />
+      <TextField label={t('customers.fields.phone')} type="tel" size={size} {...form.fieldProps('phone')} />
+      <TextField label={t('customers.fields.streetaddress')} size={size} {...form.fieldProps('streetaddress')} />
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <TextField label={t('customers.fields.postcode')} size={size} sx={{ flex: 1 }} {...form.fieldProps('postcode')} />
+        {/* Not saved: only decides how phone numbers and postcodes are checked */}
+        <TextField
+          select
+          label={t('customers.country')}
+          size={size}
+          value={form.country}
+          onChange={(e) => form.setCountry(e.target.value)}
+          helperText={t('customers.countryHelp')}
+          sx={{ flex: 1 }}
+        >
+          {COUNTRIES.map((country) => (
+            <MenuItem key={country.code} value={country.code}>{t(`countries.${country.code}`)}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      <TextField label={t('customers.fields.city')} size={size} {...form.fieldProps('city')} />
+    </>
+  );
+};
+
+export default CustomerFormFields;
@@ -0,0 +1,353 @@
+/**
+ * Wizard for importing customers from a CSV file.
+ * Steps: choose a file, map its columns to customer fields, preview the
+ * validated rows, then create the accepted rows through api.importCustomer.
+ */
+import { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Stepper,
+  Step,
+  StepLabel,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Chip,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { toast } from 'sonner';
+import api from '../services/api';
+import useI18n from '../hooks/useI18n';
+import { parseCSV } from '../utils/csv';
+import { CUSTOMER_FIELDS, ROW_STATUS, guessColumnMapping, buildImportRows } from '../utils/customerImport';
+
+// Message keys of the wizard steps
+const STEPS = ['imports.steps.chooseFile', 'imports.steps.mapColumns', 'imports.steps.preview', 'imports.steps.import'];
+
+// Chip colours and label keys for each row status in the preview
+const STATUS_CHIPS = {
+  [ROW_STATUS.VALID]: { color: 'success', label: 'imports.status.ready' },
+  [ROW_STATUS.INVALID]: { color: 'error', label: 'imports.status.invalid' },
+  [ROW_STATUS.DUPLICATE]: { color: 'warning', label: 'imports.status.duplicate' },
+};
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the wizard is visible
+ * @param {Function} props.onClose - called when the wizard is closed
+ * @param {object[]} props.customers - existing customers, used for duplicate detection
+ * @param {Function} props.onImported - called after an import so the list can refresh
+ */
+const CustomerImportDialog = ({ open, onClose, customers, onImported }) => {
+  const { t, language } = useI18n();
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);  // First row of the file
+  const [dataRows, setDataRows] = useState([]);  // Remaining rows
+  const [mapping, setMapping] = useState({});  // { field: columnIndex }
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState([]);  // Outcome per imported row
+
+  // Validated rows for the preview, recomputed when the mapping or the language of the messages changes
+  const importRows = useMemo(
+    () => buildImportRows(dataRows, mapping, customers),
+    [dataRows, mapping, customers, language],
+  );
+
+  // Rows that will be created: valid ones, plus duplicates when explicitly included
+  const acceptedRows = importRows.filter((row) => (
+    row.status === ROW_STATUS.VALID || (includeDuplicates && row.status === ROW_STATUS.DUPLICATE)
+  ));
+
+  const missingRequired = CUSTOMER_FIELDS.filter((field) => field.required && !(mapping[field.name] >= 0));
+
+  // Start over with an empty wizard
+  const reset = () => {
+    setStep(0);
+    setFileName('');
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+    setIncludeDuplicates(false);
+    setProgress({ done: 0, total: 0 });
+    setReport([]);
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    reset();
+    onClose();
+  };
+
+  // Read and parse the chosen file, then guess the column mapping
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const rows = parseCSV(await file.text());
+      if (rows.length < 2) {
+        toast.error(t('imports.noDataRows'));
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(rows[0]);
+      setDataRows(rows.slice(1));
+      setMapping(guessColumnMapping(rows[0]));
+      setStep(1);
+    } catch (error) {
+      toast.error(t('imports.readCsvFailed'));
+      console.error('Error reading CSV file:', error);
+    }
+  };
+
+  // Create the accepted rows one after another, recording the outcome of each
+  const handleImport = async () => {
+    setStep(3);
+    setImporting(true);
+    setProgress({ done: 0, total: acceptedRows.length });
+    const results = importRows
+      .filter((row) => !acceptedRows.includes(row))
+      .map((row) => ({
+        rowNumber: row.rowNumber,
+        name: `${row.customer.firstname} ${row.customer.lastname}`.trim(),
+        outcome: 'skipped',
+        message: row.errors.join(', ') || t('imports.duplicateEmail'),
+      }));
+
+    for (const row of acceptedRows) {
+      try {
+        await api.importCustomer(row.customer);
+        results.push({ rowNumber: row.rowNumber, name: `${row.customer.firstname} ${row.customer.lastname}`, outcome: 'created', message: '' });
+      } catch (error) {
+        results.push({
+          rowNumber: row.rowNumber,
+          name: `${row.customer.firstname} ${row.customer.lastname}`,
+          outcome: 'failed',
+          message: error.response?.data?.message || error.message,
+        });
+        console.error('Error importing customer:', error);
+      }
+      setProgress((current) => ({ ...current, done: current.done + 1 }));
+    }
+
+    results.sort((a, b) => a.rowNumber - b.rowNumber);
+    setReport(results);
+    setImporting(false);
+    const created = results.filter((r) => r.outcome === 'created').length;
+    const failed = results.filter((r) => r.outcome === 'failed').length;
+    if (failed > 0) {
+      toast.warning(t('imports.customersPartlyImported', { created, failed }));
+    } else {
+      toast.success(t('imports.customersImported', { count: created }));
+    }
+    onImported();
+  };
+
+  // Preview grid columns: status, the seven fields and the validation errors
+  const previewColumns = [
+    { field: 'rowNumber', headerName: t('imports.row'), width: 70 },
+    {
+      field: 'status',
+      headerName: t('imports.statusColumn'),
+      width: 130,
+      renderCell: (params) => (
+        <Chip size="small" color={STATUS_CHIPS[params.value].color} label={t(STATUS_CHIPS[params.value].label)} />
+      ),
+    },
+    ...CUSTOMER_FIELDS.map((field) => ({
+      field: field.name,
+      headerName: t(`customers.fields.${field.name}`),
+      flex: 1,
+      minWidth: 110,
+      valueGetter: (value, row) => row.customer[field.name],
+    })),
+    {
+      field: 'errors',
+      headerName: t('imports.problems'),
+      flex: 1.5,
+      minWidth: 160,
+      valueGetter: (value, row) => (
+        row.status === ROW_STATUS.DUPLICATE ? t('imports.emailExists') : row.errors.join(', ')
+      ),
+    },
+  ];
+
+  const counts = {
+    valid: importRows.filter((row) => row.status === ROW_STATUS.VALID).length,
+    invalid: importRows.filter((row) => row.status === ROW_STATUS.INVALID).length,
+    duplicate: importRows.filter((row) => row.status === ROW_STATUS.DUPLICATE).length,
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>{t('imports.customersTitle')}</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={step} sx={{ my: 2 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{t(label)}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {/* Step 1: choose a file */}
+        {step === 0 && (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Typography variant="body1" gutterBottom>
+              {t('imports.customersIntro', {
+                fields: CUSTOMER_FIELDS.map((field) => t(`customers.fields.${field.name}`)).join(', '),
+              })}
+            </Typography>
+            <Button variant="contained" component="label" startIcon={<UploadFileIcon />} sx={{ mt: 2 }}>
+              {t('imports.chooseCsvFile')}
+              <input type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+            </Button>
+          </Box>
+        )}
+
+        {/* Step 2: map columns to fields */}
+        {step === 1 && (
+          <Box>
+            <Typography variant="body1" gutterBottom>
+              {t('imports.fileRows', { file: fileName, count: dataRows.length })}
+            </Typography>
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 2, mt: 2 }}>
+              {CUSTOMER_FIELDS.map((field) => (
+                <TextField
+                  key={field.name}
+                  select
+                  label={`${t(`customers.fields.${field.name}`)}${field.required ? ' *' : ''}`}
+                  value={mapping[field.name] ?? -1}
+                  onChange={(e) => setMapping({ ...mapping, [field.name]: Number(e.target.value) })}
+                  error={field.required && !(mapping[field.name] >= 0)}
+                >
+                  <MenuItem value={-1}><em>{t('imports.notImported')}</em></MenuItem>
+                  {headers.map((header, index) => (
+                    <MenuItem key={index} value={index}>{header || t('imports.column', { number: index + 1 })}</MenuItem>
+                  ))}
+                </TextField>
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        {/* Step 3: preview the validated rows */}
+        {step === 2 && (
+          <Box>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+              <Chip color="success" label={t('imports.statusCount', { label: t('imports.status.ready'), count: counts.valid })} />
+              <Chip color="error" label={t('imports.statusCount', { label: t('imports.status.invalid'), count: counts.invalid })} />
+              <Chip color="warning" label={t('imports.statusCount', { label: t('imports.status.duplicate'), count: counts.duplicate })} />
+              <FormControlLabel
+                sx={{ ml: 2 }}
+                control={(
+                  <Checkbox
+                    checked={includeDuplicates}
+                    onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                  />
+                )}
+                label={t('imports.includeDuplicates')}
+              />
+            </Box>
+            <Box sx={{ height: 420 }}>
+              <DataGrid
+                rows={importRows}
+                columns={previewColumns}
+                initialState={{ pagination: { paginationModel: { pageSize: 25 } } }}
+                pageSizeOptions={[10, 25, 100]}
+                disableRowSelectionOnClick
+                density="compact"
+              />
+            </Box>
+          </Box>
+        )}
+
+        {/* Step 4: progress and per-row report */}
+        {step === 3 && (
+          <Box>
+            <Typography variant="body1" gutterBottom>
+              {importing
+                ? t('imports.importing', { done: progress.done, total: progress.total })
+                : t('imports.finished', {
+                  created: report.filter((r) => r.outcome === 'created').length,
+                  failed: report.filter((r) => r.outcome === 'failed').length,
+                  skipped: report.filter((r) => r.outcome === 'skipped').length,
+                })}
+            </Typography>
+            <LinearProgress
+              variant="determinate"
+              value={progress.total ? (progress.done / progress.total) * 100 : 100}
+              sx={{ mb: 2 }}
+            />
+            {!importing && report.some((r) => r.outcome !== 'created') && (
+              <Box sx={{ maxHeight: 360, overflow: 'auto' }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('imports.row')}</TableCell>
+                      <TableCell>{t('imports.name')}</TableCell>
+                      <TableCell>{t('imports.result')}</TableCell>
+                      <TableCell>{t('imports.details')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.filter((r) => r.outcome !== 'created').map((r) => (
+                      <TableRow key={r.rowNumber}>
+                        <TableCell>{r.rowNumber}</TableCell>
+                        <TableCell>{r.name}</TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            color={r.outcome === 'failed' ? 'error' : 'default'}
+                            label={r.outcome === 'failed' ? t('imports.failed') : t('imports.skipped')}
+                          />
+                        </TableCell>
+                        <TableCell>{r.message}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {step < 3 && <Button onClick={handleClose}>{t('common.cancel')}</Button>}
+        {(step === 1 || step === 2) && <Button onClick={() => setStep(step - 1)}>{t('imports.back')}</Button>}
+        {step === 1 && (
+          <Button variant="contained" onClick={() => setStep(2)} disabled={missingRequired.length > 0}>
+            {t('imports.next')}
+          </Button>
+        )}
+        {step === 2 && (
+          <Button variant="contained" onClick={handleImport} disabled={acceptedRows.length === 0}>
+            {t('imports.importCustomers', { count: acceptedRows.length })}
+          </Button>
+        )}
+        {step === 3 && (
+          <Button variant="contained" onClick={handleClose} disabled={importing}>{t('imports.done')}</Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CustomerImportDialog;
@@ -1,10 +1,54 @@
 // Layout component that provides the main structure for all pages
-// Includes navigation bar, container, and database reset functionality
-import { AppBar, Toolbar, Typography, Container, Box, Button } from '@mui/material';
-import { Link as RouterLink } from 'react-router-dom';
+// Includes navigation bar, container, recently deleted bin, database reset, snapshots and backups, the language and colour mode menus and the user menu
+// The bin, the reset button, the snapshots and the backups are only shown to admins
+// On narrow screens the page links and admin actions move into a navigation drawer
+import { useState, useEffect } from 'react';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Container,
+  Box,
+  Button,
+  IconButton,
+  Badge,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemText,
+  ListItemIcon,
+  Drawer,
+  List,
+  ListItemButton,
+  Divider,
+  useMediaQuery,
+} from '@mui/material';
+import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
 import { styled } from '@mui/material/styles';
-import { toast } from 'sonner';
-import axios from 'axios';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import MenuIcon from '@mui/icons-material/Menu';
+import PeopleIcon from '@mui/icons-material/People';
+import FitnessCenterIcon from '@mui/icons-material/FitnessCenter';
+import CalendarMonthIcon from '@mui/icons-material/CalendarMonth';
+import BarChartIcon from '@mui/icons-material/BarChart';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import HistoryIcon from '@mui/icons-material/History';
+import BackupIcon from '@mui/icons-material/Backup';
+import TranslateIcon from '@mui/icons-material/Translate';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import useColorMode, { COLOR_MODES } from '../hooks/useColorMode';
+import { PERMISSIONS } from '../services/auth';
+import { LANGUAGES } from '../i18n';
+import { getBinEntries, subscribe } from '../services/recycleBin';
+import RecentlyDeletedDialog from './RecentlyDeletedDialog';
+import ResetDatabaseDialog from './ResetDatabaseDialog';
+import SnapshotsDialog from './SnapshotsDialog';
+import BackupDialog from './BackupDialog';
 
 // OPTIONAL STYLING: Custom styled navigation link
 // Enhances the default RouterLink with hover effects and focus states
@@ -35,29 +79,82 @@ const StyledLink = styled(RouterLink)`
   }
 `;
 
+// Pages in the navigation; label is a catalog key, icon is shown in the drawer
+const NAV_LINKS = [
+  { to: '/customers', label: 'nav.customers', icon: PeopleIcon },
+  { to: '/trainings', label: 'nav.trainings', icon: FitnessCenterIcon },
+  { to: '/calendar', label: 'nav.calendar', icon: CalendarMonthIcon },
+  { to: '/statistics', label: 'nav.statistics', icon: BarChartIcon },
+];
+
+const DRAWER_WIDTH = 260;
+
+// Icon for each colour mode, in the order they are offered
+const COLOR_MODE_ICONS = {
+  [COLOR_MODES.LIGHT]: LightModeIcon,
+  [COLOR_MODES.DARK]: DarkModeIcon,
+  [COLOR_MODES.SYSTEM]: SettingsBrightnessIcon,
+};
+
 // OPTIONAL STYLING: Custom styled app bar
-// Uses the primary color from the theme for consistency
+// Uses the primary color from the theme for consistency; the darker shade in dark mode keeps the white text readable
 const StyledAppBar = styled(AppBar)`
-  background-color: ${props => props.theme.palette.primary.main};
+  background-color: ${props => (props.theme.palette.mode === 'dark' ? props.theme.palette.primary.dark : props.theme.palette.primary.main)};
   box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
 `;
 
 // Main Layout component that wraps all pages
 // Provides consistent structure with navigation and content area
 const Layout = ({ children }) => {
-  // Handles resetting the database to its initial state
-  // Shows success/error notifications using toast
-  const handleResetDatabase = async () => {
-    try {
-      await axios.post('https://customer-rest-service-frontend-personaltrainer.2.rahtiapp.fi/reset');
-      toast.success('Database reset successfully');
-      window.location.reload();
-    } catch (error) {
-      toast.error('Failed to reset database');
-      console.error('Error resetting database:', error);
-    }
+  const [binOpen, setBinOpen] = useState(false);
+  const [binCount, setBinCount] = useState(() => getBinEntries().length);
+  const [resetOpen, setResetOpen] = useState(false);
+  const [snapshotsOpen, setSnapshotsOpen] = useState(false);
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [userMenuAnchor, setUserMenuAnchor] = useState(null);
+  const [languageMenuAnchor, setLanguageMenuAnchor] = useState(null);
+  const [colorModeMenuAnchor, setColorModeMenuAnchor] = useState(null);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  // Below the md breakpoint the links no longer fit the app bar
+  const isNarrow = useMediaQuery((theme) => theme.breakpoints.down('md'));
+  const location = useLocation();
+  const { user, logout, can } = useAuth();
+  const { t, language, setLanguage } = useI18n();
+  const { mode, setMode } = useColorMode();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    setUserMenuAnchor(null);
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  const handleLanguageChange = (next) => {
+    setLanguageMenuAnchor(null);
+    setLanguage(next);
   };
 
+  const handleColorModeChange = (next) => {
+    setColorModeMenuAnchor(null);
+    setMode(next);
+  };
+
+  // Opens one of the admin dialogs from the drawer, closing the drawer first
+  const openFromDrawer = (setOpen) => {
+    setDrawerOpen(false);
+    setOpen(true);
+  };
+
+  // The customer list is also the start page
+  const isCurrentPage = (to) => location.pathname.startsWith(to) || (to === '/customers' && location.pathname === '/');
+
+  const ColorModeIcon = COLOR_MODE_ICONS[mode];
+
+  const roleLabel = t(`roles.${user.role}`);
+
+  // Keep the badge in sync with deletions and restores
+  useEffect(() => subscribe(() => setBinCount(getBinEntries().length)), []);
+
   return (
     // Main container with full height and width
     <Box sx={{ 
@@ -69,54 +166,203 @@ const Layout = ({ children }) => {
       {/* Navigation bar with links and reset button */}
       <StyledAppBar position="static">
         <Toolbar sx={{ maxWidth: 1440, width: '100%', margin: '0 auto' }}>
+          {/* Opens the navigation drawer on narrow screens */}
+          {isNarrow && (
+            <IconButton color="inherit" edge="start" onClick={() => setDrawerOpen(true)} aria-label={t('nav.menu')} sx={{ mr: 1 }}>
+              <MenuIcon />
+            </IconButton>
+          )}
           {/* App title */}
           <Typography 
             variant="h6" 
             component="div" 
+            noWrap
             sx={{ 
               flexGrow: 1,
               fontWeight: 600,
               letterSpacing: '0.5px',
             }}
           >
-            Personal Trainer
+            {t('app.title')}
           </Typography>
           {/* Navigation links */}
           <nav style={{ display: 'flex', alignItems: 'center' }}>
-            <StyledLink to="/customers">Customers</StyledLink>
-            <StyledLink to="/trainings">Trainings</StyledLink>
-            <StyledLink to="/calendar">Calendar</StyledLink>
-            <StyledLink to="/statistics">Statistics</StyledLink>
-            {/* Database reset button */}
-            <Button
-              variant="outlined"
-              color="inherit"
-              onClick={handleResetDatabase}
-              sx={{
-                ml: 2,
-                borderColor: 'rgba(255, 255, 255, 0.5)',
-                '&:hover': {
-                  borderColor: 'white',
-                  backgroundColor: 'rgba(255, 255, 255, 0.1)',
-                },
-              }}
-            >
-              Reset Database
-            </Button>
+            {!isNarrow && NAV_LINKS.map(({ to, label }) => (
+              <StyledLink key={to} to={to}>{t(label)}</StyledLink>
+            ))}
+            {/* Recently deleted bin */}
+            {!isNarrow && can(PERMISSIONS.DELETE) && (
+              <Tooltip title={t('nav.recentlyDeleted')} arrow>
+                <IconButton color="inherit" onClick={() => setBinOpen(true)} aria-label={t('nav.recentlyDeleted')}>
+                  <Badge badgeContent={binCount} color="error">
+                    <RestoreFromTrashIcon />
+                  </Badge>
+                </IconButton>
+              </Tooltip>
+            )}
+            {/* Snapshots taken before resets */}
+            {!isNarrow && can(PERMISSIONS.RESET) && (
+              <Tooltip title={t('nav.snapshots')} arrow>
+                <IconButton color="inherit" onClick={() => setSnapshotsOpen(true)} aria-label={t('nav.snapshots')}>
+                  <HistoryIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {/* JSON backup and restore of all data */}
+            {!isNarrow && can(PERMISSIONS.RESET) && (
+              <Tooltip title={t('nav.backup')} arrow>
+                <IconButton color="inherit" onClick={() => setBackupOpen(true)} aria-label={t('nav.backup')}>
+                  <BackupIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {/* Database reset button, asks for confirmation */}
+            {!isNarrow && can(PERMISSIONS.RESET) && (
+              <Button
+                variant="outlined"
+                color="inherit"
+                onClick={() => setResetOpen(true)}
+                sx={{
+                  ml: 2,
+                  borderColor: 'rgba(255, 255, 255, 0.5)',
+                  '&:hover': {
+                    borderColor: 'white',
+                    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                  },
+                }}
+              >
+                {t('nav.resetDatabase')}
+              </Button>
+            )}
+            {/* Language of the app, remembered in this browser */}
+            <Tooltip title={t('nav.language')} arrow>
+              <IconButton
+                color="inherit"
+                onClick={(e) => setLanguageMenuAnchor(e.currentTarget)}
+                aria-label={t('nav.language')}
+                sx={{ ml: 1 }}
+              >
+                <TranslateIcon />
+              </IconButton>
+            </Tooltip>
+            <Menu anchorEl={languageMenuAnchor} open={Boolean(languageMenuAnchor)} onClose={() => setLanguageMenuAnchor(null)}>
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <MenuItem key={code} selected={code === language} onClick={() => handleLanguageChange(code)} lang={code}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Menu>
+            {/* Light, dark or system colour mode, remembered in this browser */}
+            <Tooltip title={t('nav.colorMode')} arrow>
+              <IconButton
+                color="inherit"
+                onClick={(e) => setColorModeMenuAnchor(e.currentTarget)}
+                aria-label={t('nav.colorMode')}
+                sx={{ ml: 1 }}
+              >
+                <ColorModeIcon />
+              </IconButton>
+            </Tooltip>
+            <Menu anchorEl={colorModeMenuAnchor} open={Boolean(colorModeMenuAnchor)} onClose={() => setColorModeMenuAnchor(null)}>
+              {Object.entries(COLOR_MODE_ICONS).map(([value, Icon]) => (
+                <MenuItem key={value} selected={value === mode} onClick={() => handleColorModeChange(value)}>
+                  <ListItemIcon>
+                    <Icon fontSize="small" />
+                  </ListItemIcon>
+                  <ListItemText primary={t(`colorModes.${value}`)} />
+                </MenuItem>
+              ))}
+            </Menu>
+            {/* Signed-in user and sign out */}
+            <Tooltip title={`${user.name} (${roleLabel})`} arrow>
+              <IconButton
+                color="inherit"
+                onClick={(e) => setUserMenuAnchor(e.currentTarget)}
+                aria-label={t('nav.account')}
+                sx={{ ml: 1 }}
+              >
+                <AccountCircleIcon />
+              </IconButton>
+            </Tooltip>
+            <Menu anchorEl={userMenuAnchor} open={Boolean(userMenuAnchor)} onClose={() => setUserMenuAnchor(null)}>
+              <MenuItem disabled>
+                <ListItemText primary={user.name} secondary={roleLabel} />
+              </MenuItem>
+              <MenuItem onClick={handleLogout}>{t('auth.signOut')}</MenuItem>
+            </Menu>
           </nav>
         </Toolbar>
       </StyledAppBar>
+      {/* Navigation drawer for narrow screens: the pages, then the admin actions */}
+      <Drawer open={isNarrow && drawerOpen} onClose={() => setDrawerOpen(false)}>
+        <Box component="nav" sx={{ width: DRAWER_WIDTH }} aria-label={t('nav.menu')}>
+          <Toolbar>
+            <Typography variant="h6" noWrap>{t('app.title')}</Typography>
+          </Toolbar>
+          <Divider />
+          <List>
+            {NAV_LINKS.map(({ to, label, icon: Icon }) => (
+              <ListItemButton
+                key={to}
+                component={RouterLink}
+                to={to}
+                selected={isCurrentPage(to)}
+                onClick={() => setDrawerOpen(false)}
+              >
+                <ListItemIcon>
+                  <Icon />
+                </ListItemIcon>
+                <ListItemText primary={t(label)} />
+              </ListItemButton>
+            ))}
+          </List>
+          {(can(PERMISSIONS.DELETE) || can(PERMISSIONS.RESET)) && <Divider />}
+          <List>
+            {can(PERMISSIONS.DELETE) && (
+              <ListItemButton onClick={() => openFromDrawer(setBinOpen)}>
+                <ListItemIcon>
+                  <Badge badgeContent={binCount} color="error">
+                    <RestoreFromTrashIcon />
+                  </Badge>
+                </ListItemIcon>
+                <ListItemText primary={t('nav.recentlyDeleted')} />
+              </ListItemButton>
+            )}
+            {can(PERMISSIONS.RESET) && (
+              <>
+                <ListItemButton onClick={() => openFromDrawer(setSnapshotsOpen)}>
+                  <ListItemIcon>
+                    <HistoryIcon />
+                  </ListItemIcon>
+                  <ListItemText primary={t('nav.snapshots')} />
+                </ListItemButton>
+                <ListItemButton onClick={() => openFromDrawer(setBackupOpen)}>
+                  <ListItemIcon>
+                    <BackupIcon />
+                  </ListItemIcon>
+                  <ListItemText primary={t('nav.backup')} />
+                </ListItemButton>
+                <ListItemButton onClick={() => openFromDrawer(setResetOpen)}>
+                  <ListItemIcon>
+                    <RestartAltIcon />
+                  </ListItemIcon>
+                  <ListItemText primary={t('nav.resetDatabase')} />
+                </ListItemButton>
+              </>
+            )}
+          </List>
+        </Box>
+      </Drawer>
       {/* Main content area */}
-      {/* OPTIONAL STYLING: Container with fixed width and subtle shadow */}
+      {/* OPTIONAL STYLING: Container up to 1440px wide with subtle shadow, narrower margins on phones */}
       <Container 
         maxWidth={false}
         sx={{ 
           flex: 1,
-          mt: 4,
-          mb: 4,
-          px: 3,
+          mt: { xs: 2, md: 4 },
+          mb: { xs: 2, md: 4 },
+          px: { xs: 1, sm: 2, md: 3 },
           maxWidth: '1440px !important',
-          minWidth: '1440px !important',
           backgroundColor: 'background.default',
           borderRadius: 1,
           boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
@@ -124,6 +370,10 @@ const Layout = ({ children }) => {
       >
         {children}
       </Container>
+      <RecentlyDeletedDialog open={binOpen} onClose={() => setBinOpen(false)} />
+      <ResetDatabaseDialog open={resetOpen} onClose={() => setResetOpen(false)} />
+      <SnapshotsDialog open={snapshotsOpen} onClose={() => setSnapshotsOpen(false)} />
+      <BackupDialog open={backupOpen} onClose={() => setBackupOpen(false)} />
     </Box>
   );
 };
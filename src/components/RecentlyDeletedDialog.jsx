@@ -0,0 +1,99 @@
+// Dialog listing what was deleted during this session, with Restore buttons
+// Entries come from the recycle bin service and stay until the tab is closed
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Box,
+} from '@mui/material';
+import { getBinEntries, discardEntry, clearBin, subscribe, BIN_ENTRY_TYPES } from '../services/recycleBin';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useI18n from '../hooks/useI18n';
+import { t, formatDateTime } from '../i18n';
+
+// Second line of an entry: what it contains and when it was deleted
+const describeEntry = (entry) => {
+  const count = entry.trainings.length;
+  const deletedAt = t('bin.deletedAt', { date: formatDateTime(entry.deletedAt) });
+  if (entry.type === BIN_ENTRY_TYPES.CUSTOMER) {
+    return `${t('bin.customerWithSessions', { count })} · ${deletedAt}`;
+  }
+  const names = [...new Set(entry.trainings.map((training) => training.customerName).filter(Boolean))];
+  return `${names.length ? `${names.join(', ')} · ` : ''}${deletedAt}`;
+};
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ */
+const RecentlyDeletedDialog = ({ open, onClose }) => {
+  const [entries, setEntries] = useState(getBinEntries);
+  const [restoringId, setRestoringId] = useState(null);  // Entry being restored
+  const { restore } = useUndoableDelete();
+  const { t } = useI18n();
+
+  // Follow deletions and restores made anywhere in the app
+  useEffect(() => subscribe(() => setEntries(getBinEntries())), []);
+
+  const handleRestore = async (entry) => {
+    setRestoringId(entry.id);
+    await restore(entry);
+    setRestoringId(null);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('bin.title')}</DialogTitle>
+      <DialogContent dividers>
+        {entries.length === 0 ? (
+          <Typography color="text.secondary">
+            {t('bin.empty')}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {entries.map((entry) => (
+              <ListItem
+                key={entry.id}
+                divider
+                secondaryAction={(
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button size="small" onClick={() => discardEntry(entry.id)} disabled={Boolean(restoringId)}>
+                      {t('bin.discard')}
+                    </Button>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => handleRestore(entry)}
+                      disabled={Boolean(restoringId)}
+                    >
+                      {restoringId === entry.id ? t('common.restoring') : t('common.restore')}
+                    </Button>
+                  </Box>
+                )}
+                sx={{ pr: 22 }}
+              >
+                <ListItemText primary={entry.label} secondary={describeEntry(entry)} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={clearBin} color="error" disabled={entries.length === 0 || Boolean(restoringId)}>
+          {t('bin.emptyBin')}
+        </Button>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecentlyDeletedDialog;
@@ -0,0 +1,109 @@
+// Card list shown instead of a data grid on narrow screens
+// One card per row with a checkbox for batch actions, the row's actions as icon
+// buttons and paging below; selection and paging use the DataGrid's models so
+// a page can switch between the two without extra state
+import {
+  Box,
+  Card,
+  Checkbox,
+  IconButton,
+  LinearProgress,
+  Stack,
+  TablePagination,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * @param {object} props
+ * @param {object[]} props.rows - rows of the current page
+ * @param {Function} props.getRowId - returns a row's id, as for the DataGrid
+ * @param {Function} props.renderCard - returns the card contents for a row
+ * @param {Function} [props.getActions] - returns [{ key, label, icon, onClick }] for a row
+ * @param {Function} [props.onOpen] - called with the row when the card is clicked
+ * @param {Array} [props.rowSelectionModel] - ids of the checked rows; no checkboxes without it
+ * @param {Function} [props.onRowSelectionModelChange]
+ * @param {number} props.rowCount - rows on all pages
+ * @param {object} props.paginationModel - { page, pageSize }
+ * @param {Function} props.onPaginationModelChange
+ * @param {number[]} props.pageSizeOptions
+ * @param {boolean} [props.loading]
+ */
+const RecordCardList = ({
+  rows,
+  getRowId,
+  renderCard,
+  getActions,
+  onOpen,
+  rowSelectionModel,
+  onRowSelectionModelChange,
+  rowCount,
+  paginationModel,
+  onPaginationModelChange,
+  pageSizeOptions,
+  loading = false,
+}) => {
+  const { t } = useI18n();
+
+  const toggleSelected = (id) => {
+    onRowSelectionModelChange(rowSelectionModel.includes(id)
+      ? rowSelectionModel.filter((selected) => selected !== id)
+      : [...rowSelectionModel, id]);
+  };
+
+  return (
+    <Box>
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+      {!loading && rows.length === 0 && (
+        <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+          {t('common.noResults')}
+        </Typography>
+      )}
+      <Stack spacing={1}>
+        {rows.map((row) => {
+          const id = getRowId(row);
+          return (
+            <Card key={id} variant="outlined" sx={{ display: 'flex', alignItems: 'flex-start', p: 1 }}>
+              {rowSelectionModel && (
+                <Checkbox
+                  checked={rowSelectionModel.includes(id)}
+                  onChange={() => toggleSelected(id)}
+                  inputProps={{ 'aria-label': t('common.select') }}
+                />
+              )}
+              <Box
+                onClick={onOpen ? () => onOpen(row) : undefined}
+                sx={{ flex: 1, minWidth: 0, py: 1, cursor: onOpen ? 'pointer' : 'default' }}
+              >
+                {renderCard(row)}
+              </Box>
+              {getActions && (
+                <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                  {getActions(row).map(({ key, label, icon, onClick }) => (
+                    <Tooltip key={key} title={label} arrow>
+                      <IconButton onClick={onClick} aria-label={label}>
+                        {icon}
+                      </IconButton>
+                    </Tooltip>
+                  ))}
+                </Box>
+              )}
+            </Card>
+          );
+        })}
+      </Stack>
+      <TablePagination
+        component="div"
+        count={rowCount}
+        page={paginationModel.page}
+        rowsPerPage={paginationModel.pageSize}
+        rowsPerPageOptions={pageSizeOptions}
+        onPageChange={(_, page) => onPaginationModelChange({ ...paginationModel, page })}
+        onRowsPerPageChange={(e) => onPaginationModelChange({ page: 0, pageSize: Number(e.target.value) })}
+      />
+    </Box>
+  );
+};
+
+export default RecordCardList;
@@ -0,0 +1,130 @@
+/**
+ * Form fields for making a training recurring, with a preview of the
+ * generated session dates. Used inside TrainingDialog.
+ */
+import {
+  Box,
+  TextField,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import useI18n from '../hooks/useI18n';
+import { FREQUENCIES, END_TYPES, WEEKDAYS, MAX_OCCURRENCES } from '../utils/recurrence';
+
+/**
+ * @param {object} props
+ * @param {object} props.value - recurrence rule (see defaultRecurrence)
+ * @param {Function} props.onChange - called with the updated rule
+ * @param {Date[]} props.occurrences - dates generated from the rule, shown as a preview
+ */
+const RecurrenceFields = ({ value, onChange, occurrences }) => {
+  const { t, config, formatDate } = useI18n();
+  const update = (changes) => onChange({ ...value, ...changes });
+  const isWeekly = value.frequency === FREQUENCIES.WEEKLY || value.frequency === FREQUENCIES.EVERY_N_WEEKS;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <TextField
+        select
+        label={t('recurrence.repeat')}
+        value={value.frequency}
+        onChange={(e) => update({ frequency: e.target.value })}
+      >
+        <MenuItem value={FREQUENCIES.NONE}>{t('recurrence.none')}</MenuItem>
+        <MenuItem value={FREQUENCIES.DAILY}>{t('recurrence.daily')}</MenuItem>
+        <MenuItem value={FREQUENCIES.WEEKLY}>{t('recurrence.weekly')}</MenuItem>
+        <MenuItem value={FREQUENCIES.EVERY_N_WEEKS}>{t('recurrence.everyNWeeks')}</MenuItem>
+      </TextField>
+
+      {value.frequency !== FREQUENCIES.NONE && (
+        <>
+          {value.frequency === FREQUENCIES.EVERY_N_WEEKS && (
+            <TextField
+              label={t('recurrence.interval')}
+              type="number"
+              value={value.interval}
+              onChange={(e) => update({ interval: Number(e.target.value) })}
+              inputProps={{ min: 1 }}
+            />
+          )}
+
+          {isWeekly && (
+            <Box>
+              <Typography variant="body2" gutterBottom>
+                {t('recurrence.on')}
+              </Typography>
+              {/* With no day chosen, the weekday of the start date is used */}
+              <ToggleButtonGroup
+                size="small"
+                value={value.weekdays}
+                onChange={(_, weekdays) => update({ weekdays })}
+                aria-label={t('recurrence.weekdays')}
+              >
+                {WEEKDAYS.map((day) => (
+                  <ToggleButton
+                    key={day.value}
+                    value={day.value}
+                    aria-label={config.dateLocale.localize.day(day.value, { width: 'wide' })}
+                  >
+                    {config.dateLocale.localize.day(day.value, { width: 'abbreviated' })}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Box>
+          )}
+
+          <RadioGroup
+            row
+            value={value.endType}
+            onChange={(e) => update({ endType: e.target.value })}
+          >
+            <FormControlLabel value={END_TYPES.COUNT} control={<Radio />} label={t('recurrence.afterCount')} />
+            <FormControlLabel value={END_TYPES.UNTIL} control={<Radio />} label={t('recurrence.onDate')} />
+          </RadioGroup>
+
+          {value.endType === END_TYPES.COUNT ? (
+            <TextField
+              label={t('recurrence.count')}
+              type="number"
+              value={value.count}
+              onChange={(e) => update({ count: Number(e.target.value) })}
+              inputProps={{ min: 1, max: MAX_OCCURRENCES }}
+            />
+          ) : (
+            <DatePicker
+              label={t('recurrence.endDate')}
+              value={value.until ? new Date(value.until) : null}
+              onChange={(newValue) => update({ until: newValue && !Number.isNaN(newValue.getTime()) ? newValue.toISOString() : null })}
+            />
+          )}
+
+          {/* Preview of the generated sessions */}
+          <Box>
+            <Typography variant="body2" gutterBottom>
+              {t('recurrence.willBeCreated', { count: occurrences.length })}
+              {occurrences.length >= MAX_OCCURRENCES && ` ${t('recurrence.limitedTo', { max: MAX_OCCURRENCES })}`}
+            </Typography>
+            <List dense sx={{ maxHeight: 200, overflow: 'auto', border: 1, borderColor: 'divider', borderRadius: 1 }}>
+              {occurrences.map((date) => (
+                <ListItem key={date.toISOString()}>
+                  <ListItemText primary={formatDate(date, 'EEE P p')} />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default RecurrenceFields;
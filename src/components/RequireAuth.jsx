@@ -0,0 +1,15 @@
+// Route guard: sends signed-out visitors to the login page and remembers where
+// they were going. What a signed-in user may do is checked where they do it
+// (see PERMISSIONS in services/auth.js)
+import { Navigate, useLocation } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+
+const RequireAuth = ({ children }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  return children;
+};
+
+export default RequireAuth;
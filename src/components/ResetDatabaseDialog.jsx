@@ -0,0 +1,101 @@
+// Confirmation dialog for resetting the database
+// The reset only starts once the confirmation word has been typed, and only
+// after a snapshot of the current data has been saved so it can be restored
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+} from '@mui/material';
+import { toast } from 'sonner';
+import api from '../services/api';
+import { takeSnapshot } from '../services/snapshots';
+import useI18n from '../hooks/useI18n';
+
+// Word that has to be typed to enable the reset button, the same in every language
+const CONFIRMATION_WORD = 'RESET';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ */
+const ResetDatabaseDialog = ({ open, onClose }) => {
+  const [confirmation, setConfirmation] = useState('');
+  const [step, setStep] = useState(null);  // What is in progress: 'snapshot' | 'reset' | null
+  const { t } = useI18n();
+
+  const handleClose = () => {
+    if (step) return;
+    setConfirmation('');
+    onClose();
+  };
+
+  // Save a snapshot, then reset; nothing is reset when the snapshot fails
+  const handleReset = async () => {
+    setStep('snapshot');
+    try {
+      await takeSnapshot(t('snapshots.beforeReset'));
+    } catch (error) {
+      toast.error(t('reset.snapshotFailed'));
+      console.error('Error taking snapshot:', error);
+      setStep(null);
+      return;
+    }
+
+    setStep('reset');
+    try {
+      await api.resetDatabase();
+      toast.success(t('reset.done'));
+      window.location.reload();
+    } catch (error) {
+      toast.error(t('reset.failed'));
+      console.error('Error resetting database:', error);
+      setStep(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+      <DialogTitle>{t('nav.resetDatabase')}</DialogTitle>
+      <DialogContent>
+        <DialogContentText gutterBottom>
+          {t('reset.explanation')}
+        </DialogContentText>
+        <DialogContentText>
+          {t('reset.typeToConfirm.before')}<strong>{CONFIRMATION_WORD}</strong>{t('reset.typeToConfirm.after')}
+        </DialogContentText>
+        <TextField
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder={CONFIRMATION_WORD}
+          disabled={Boolean(step)}
+          autoFocus
+          fullWidth
+          size="small"
+          margin="dense"
+          inputProps={{ 'aria-label': t('reset.confirmation') }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={Boolean(step)}>{t('common.cancel')}</Button>
+        <Button
+          onClick={handleReset}
+          color="error"
+          variant="contained"
+          disabled={confirmation !== CONFIRMATION_WORD || Boolean(step)}
+        >
+          {step === 'snapshot' && t('reset.savingSnapshot')}
+          {step === 'reset' && t('reset.resetting')}
+          {!step && t('nav.resetDatabase')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ResetDatabaseDialog;
@@ -0,0 +1,49 @@
+/**
+ * Asks whether a change to a recurring session applies to just this occurrence
+ * or to this and all following occurrences of the series.
+ */
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, DialogContentText } from '@mui/material';
+import useI18n from '../hooks/useI18n';
+import { SERIES_SCOPES } from '../services/trainingSeries';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the dialog is visible
+ * @param {Function} props.onClose - called when the dialog is dismissed
+ * @param {Function} props.onSelect - called with the chosen scope (SERIES_SCOPES)
+ * @param {string} props.title - dialog title, e.g. "Delete recurring session"
+ * @param {string} [props.content] - explanation shown above the choices
+ * @param {boolean} [props.destructive] - render the choices as destructive (red) buttons
+ */
+const SeriesScopeDialog = ({ open, onClose, onSelect, title, content, destructive = false }) => {
+  const { t } = useI18n();
+
+  return (
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {content || t('series.whichSessions')}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button
+          onClick={() => onSelect(SERIES_SCOPES.SINGLE)}
+          color={destructive ? 'error' : 'primary'}
+        >
+          {t('series.thisOccurrence')}
+        </Button>
+        <Button
+          onClick={() => onSelect(SERIES_SCOPES.FOLLOWING)}
+          color={destructive ? 'error' : 'primary'}
+          variant="contained"
+        >
+          {t('series.thisAndFollowing')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SeriesScopeDialog;
@@ -0,0 +1,130 @@
+// Dialog listing the saved database snapshots, with Restore and Delete buttons
+// Restoring adds the snapshot's customers and trainings to the current data
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  LinearProgress,
+  Typography,
+  Box,
+} from '@mui/material';
+import { toast } from 'sonner';
+import { getSnapshots, deleteSnapshot, restoreSnapshot, subscribe } from '../services/snapshots';
+import useI18n from '../hooks/useI18n';
+import { t, formatDateTime } from '../i18n';
+
+// Second line of a snapshot: when it was taken and what it holds
+const describeSnapshot = (snapshot) => (
+  `${formatDateTime(snapshot.createdAt)} · ${t('backup.contents', {
+    customers: t('customers.count', { count: snapshot.customers.length }),
+    sessions: t('trainings.sessionCount', { count: snapshot.trainings.length }),
+  })}`
+);
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ */
+const SnapshotsDialog = ({ open, onClose }) => {
+  const [snapshots, setSnapshots] = useState(getSnapshots);
+  const [restoringId, setRestoringId] = useState(null);  // Snapshot being restored
+  const [progress, setProgress] = useState(0);  // Percentage of records restored
+  const { t } = useI18n();
+
+  // Follow snapshots taken anywhere in the app
+  useEffect(() => subscribe(() => setSnapshots(getSnapshots())), []);
+
+  const handleRestore = async (snapshot) => {
+    setRestoringId(snapshot.id);
+    setProgress(0);
+    try {
+      const { customers, trainings } = await restoreSnapshot(snapshot.id, {
+        onProgress: (finished, total) => setProgress(Math.round((finished / total) * 100)),
+      });
+      // The open page still shows the old data, so the toast offers to reload it
+      const reload = { label: t('common.reload'), onClick: () => window.location.reload() };
+      if (customers.failed > 0 || trainings.failed > 0) {
+        toast.warning(
+          t('backup.partlyRestored', {
+            customers: customers.created,
+            totalCustomers: snapshot.customers.length,
+            sessions: trainings.created,
+            totalSessions: snapshot.trainings.length,
+          }),
+          { action: reload, duration: Infinity },
+        );
+      } else {
+        toast.success(
+          t('backup.restored', {
+            customers: t('customers.count', { count: customers.created }),
+            sessions: t('trainings.sessionCount', { count: trainings.created }),
+          }),
+          { action: reload, duration: Infinity },
+        );
+      }
+      onClose();
+    } catch (error) {
+      toast.error(t('snapshots.restoreFailed'));
+      console.error('Error restoring snapshot:', error);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={restoringId ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('nav.snapshots')}</DialogTitle>
+      <DialogContent dividers>
+        <DialogContentText gutterBottom>
+          {t('snapshots.explanation')}
+        </DialogContentText>
+        {restoringId && <LinearProgress variant="determinate" value={progress} sx={{ my: 2 }} />}
+        {snapshots.length === 0 ? (
+          <Typography color="text.secondary">
+            {t('snapshots.empty')}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {snapshots.map((snapshot) => (
+              <ListItem
+                key={snapshot.id}
+                divider
+                secondaryAction={(
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button size="small" onClick={() => deleteSnapshot(snapshot.id)} disabled={Boolean(restoringId)}>
+                      {t('common.delete')}
+                    </Button>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => handleRestore(snapshot)}
+                      disabled={Boolean(restoringId)}
+                    >
+                      {restoringId === snapshot.id ? t('common.restoring') : t('common.restore')}
+                    </Button>
+                  </Box>
+                )}
+                sx={{ pr: 22 }}
+              >
+                <ListItemText primary={snapshot.label} secondary={describeSnapshot(snapshot)} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={Boolean(restoringId)}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SnapshotsDialog;
@@ -0,0 +1,182 @@
+/**
+ * Dialog for creating or editing a training session.
+ * Used from the customer grid (customer fixed), the training grid (edit and
+ * reassign) and the calendar.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+  TextField,
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+} from '@mui/material';
+import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
+import { toast } from 'sonner';
+import api from '../services/api';
+import useI18n from '../hooks/useI18n';
+import RecurrenceFields from './RecurrenceFields';
+import { defaultRecurrence, generateOccurrences } from '../utils/recurrence';
+
+// Builds the initial form state, either from an existing training or from defaults
+const getInitialFormData = (training) => ({
+  date: training?.date || new Date().toISOString(),
+  duration: training?.duration ?? 60,
+  activity: training?.activity || '',
+  customer: training?.customer || '',
+});
+
+// Label shown for a customer in the picker
+const getCustomerLabel = (customer) => `${customer.firstname} ${customer.lastname}${customer.email ? ` (${customer.email})` : ''}`;
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the dialog is visible
+ * @param {Function} props.onClose - called when the dialog is dismissed
+ * @param {Function} props.onSave - called with { date, duration, activity, customer } (customer is a URL)
+ *   and the start dates of every session to create (more than one for a recurring series)
+ * @param {string} [props.customerUrl] - fixes the customer; when omitted a customer picker is shown
+ * @param {string} [props.customerLabel] - shown instead of the picker when the caller assigns
+ *   customers itself (e.g. booking for several customers); customer is then left empty
+ * @param {object} [props.training] - initial values { date, duration, activity, customer (URL) }
+ * @param {string} [props.title] - dialog title, "Add Training" when omitted
+ * @param {boolean} [props.allowRecurrence] - show the recurrence options (when creating)
+ * @param {Function} [props.onDelete] - when given, a Delete button is shown that calls it
+ */
+const TrainingDialog = ({
+  open,
+  onClose,
+  onSave,
+  customerUrl,
+  customerLabel,
+  training,
+  title,
+  allowRecurrence = false,
+  onDelete,
+}) => {
+  const [formData, setFormData] = useState(getInitialFormData(training));
+  const [recurrence, setRecurrence] = useState(defaultRecurrence);
+  const [customers, setCustomers] = useState([]);
+  const [customersLoading, setCustomersLoading] = useState(false);
+  const showCustomerPicker = !customerUrl && !customerLabel;
+  const { t } = useI18n();
+
+  // Reset the form whenever the dialog is opened or a different training is passed in
+  useEffect(() => {
+    if (open) {
+      setFormData(getInitialFormData(training));
+      setRecurrence(defaultRecurrence);
+    }
+  }, [training, open]);
+
+  // Load the customers for the picker when it is needed
+  useEffect(() => {
+    if (!open || !showCustomerPicker) return;
+    let cancelled = false;
+    const fetchCustomers = async () => {
+      setCustomersLoading(true);
+      try {
+        const data = await api.getCustomers();
+        if (!cancelled) setCustomers(data);
+      } catch (error) {
+        toast.error(t('customers.fetchFailed'));
+        console.error('Error fetching customers:', error);
+      } finally {
+        if (!cancelled) setCustomersLoading(false);
+      }
+    };
+    fetchCustomers();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, showCustomerPicker]);
+
+  // Start dates of every session the form would create
+  const occurrences = useMemo(
+    () => generateOccurrences(formData.date, allowRecurrence ? recurrence : defaultRecurrence),
+    [formData.date, recurrence, allowRecurrence],
+  );
+
+  const selectedCustomer = customers.find((c) => c._links.self.href === formData.customer) || null;
+
+  // Function to handle form submission for training session
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const customer = customerUrl || formData.customer;
+    if (!customer && !customerLabel) {
+      toast.error(t('trainings.chooseCustomer'));
+      return;
+    }
+    if (occurrences.length === 0) {
+      toast.error(t('recurrence.noSessions'));
+      return;
+    }
+    onSave({ ...formData, customer }, occurrences);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{title || t('trainings.add')}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+            {customerLabel && (
+              <TextField label={t('trainings.customers')} value={customerLabel} InputProps={{ readOnly: true }} multiline />
+            )}
+            {showCustomerPicker && (
+              <Autocomplete
+                options={customers}
+                loading={customersLoading}
+                value={selectedCustomer}
+                onChange={(_, customer) => setFormData({ ...formData, customer: customer?._links.self.href || '' })}
+                getOptionLabel={getCustomerLabel}
+                isOptionEqualToValue={(option, value) => option._links.self.href === value._links.self.href}
+                renderInput={(params) => <TextField {...params} label={t('trainings.customer')} required />}
+              />
+            )}
+            <DateTimePicker
+              label={t('trainings.dateAndTime')}
+              value={new Date(formData.date)}
+              onChange={(newValue) => {
+                if (newValue && !Number.isNaN(newValue.getTime())) {
+                  setFormData({ ...formData, date: newValue.toISOString() });
+                }
+              }}
+            />
+            <TextField
+              name="duration"
+              label={t('trainings.durationMinutes')}
+              type="number"
+              value={formData.duration}
+              onChange={(e) => setFormData({ ...formData, duration: Number(e.target.value) })}
+              inputProps={{ min: 1 }}
+              required
+            />
+            <TextField
+              name="activity"
+              label={t('trainings.activity')}
+              value={formData.activity}
+              onChange={(e) => setFormData({ ...formData, activity: e.target.value })}
+              required
+            />
+            {allowRecurrence && (
+              <RecurrenceFields value={recurrence} onChange={setRecurrence} occurrences={occurrences} />
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          {onDelete && (
+            <Button onClick={onDelete} color="error" sx={{ mr: 'auto' }}>{t('common.delete')}</Button>
+          )}
+          <Button onClick={onClose}>{t('common.cancel')}</Button>
+          <Button type="submit" variant="contained">{t('common.save')}</Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TrainingDialog;
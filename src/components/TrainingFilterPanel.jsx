@@ -0,0 +1,101 @@
+/**
+ * Filter panel of the training list: date range, duration limits, activities,
+ * customer and upcoming / past sessions. Used inside TrainingList, which applies
+ * the values together with the query typed into its search box.
+ * Half-typed dates are not passed on, so the values can live in the URL.
+ */
+import {
+  Box,
+  TextField,
+  Autocomplete,
+  ToggleButtonGroup,
+  ToggleButton,
+  Button,
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { isValid } from 'date-fns';
+import useI18n from '../hooks/useI18n';
+import { TIME_SCOPES, EMPTY_PANEL_FILTERS, getCustomerName } from '../utils/trainingFilters';
+
+/**
+ * @param {object} props
+ * @param {object} props.value - panel values (see EMPTY_PANEL_FILTERS)
+ * @param {Function} props.onChange - called with the updated values
+ * @param {string[]} props.activities - activities to choose from
+ * @param {object[]} props.customers - customers to choose from (as embedded in trainings)
+ */
+const TrainingFilterPanel = ({ value, onChange, activities, customers }) => {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...value, ...changes });
+  const selectedCustomer = customers.find((customer) => customer.id === value.customerId) || null;
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', p: 2, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <DatePicker
+        label={t('filters.from')}
+        value={value.from}
+        maxDate={value.to || undefined}
+        onChange={(from) => (!from || isValid(from)) && update({ from })}
+        slotProps={{ textField: { size: 'small', sx: { width: 170 } }, field: { clearable: true } }}
+      />
+      <DatePicker
+        label={t('filters.to')}
+        value={value.to}
+        minDate={value.from || undefined}
+        onChange={(to) => (!to || isValid(to)) && update({ to })}
+        slotProps={{ textField: { size: 'small', sx: { width: 170 } }, field: { clearable: true } }}
+      />
+      <TextField
+        label={t('filters.minDuration')}
+        type="number"
+        size="small"
+        value={value.minDuration}
+        onChange={(e) => update({ minDuration: e.target.value })}
+        inputProps={{ min: 0 }}
+        sx={{ width: 130 }}
+      />
+      <TextField
+        label={t('filters.maxDuration')}
+        type="number"
+        size="small"
+        value={value.maxDuration}
+        onChange={(e) => update({ maxDuration: e.target.value })}
+        inputProps={{ min: 0 }}
+        sx={{ width: 130 }}
+      />
+      <Autocomplete
+        multiple
+        size="small"
+        options={activities}
+        value={value.activities}
+        onChange={(_, selected) => update({ activities: selected })}
+        renderInput={(params) => <TextField {...params} label={t('filters.activities')} />}
+        sx={{ minWidth: 220, flex: 1 }}
+      />
+      <Autocomplete
+        size="small"
+        options={customers}
+        value={selectedCustomer}
+        onChange={(_, customer) => update({ customerId: customer ? customer.id : null })}
+        getOptionLabel={getCustomerName}
+        isOptionEqualToValue={(option, selected) => option.id === selected.id}
+        renderInput={(params) => <TextField {...params} label={t('trainings.customer')} />}
+        sx={{ minWidth: 220, flex: 1 }}
+      />
+      <ToggleButtonGroup
+        size="small"
+        exclusive
+        value={value.timeScope}
+        onChange={(_, timeScope) => timeScope && update({ timeScope })}
+        aria-label={t('filters.timeScope')}
+      >
+        <ToggleButton value={TIME_SCOPES.ALL}>{t('filters.all')}</ToggleButton>
+        <ToggleButton value={TIME_SCOPES.UPCOMING}>{t('filters.upcoming')}</ToggleButton>
+        <ToggleButton value={TIME_SCOPES.PAST}>{t('filters.past')}</ToggleButton>
+      </ToggleButtonGroup>
+      <Button onClick={() => onChange(EMPTY_PANEL_FILTERS)}>{t('filters.reset')}</Button>
+    </Box>
+  );
+};
+
+export default TrainingFilterPanel;
@@ -0,0 +1,503 @@
+/**
+ * Wizard for importing trainings from an .ics calendar export or a CSV file.
+ * Steps: choose a file, map CSV columns, match attendees to customers,
+ * preview, then create the sessions through api.importTraining.
+ * Sessions that overlap existing trainings are listed before anything is created.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Stepper,
+  Step,
+  StepLabel,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Chip,
+  Autocomplete,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { toast } from 'sonner';
+import api, { getIdFromUrl } from '../services/api';
+import useI18n from '../hooks/useI18n';
+import useConflictCheck from '../hooks/useConflictCheck';
+import { parseCSV } from '../utils/csv';
+import { parseICS } from '../utils/ical';
+import {
+  TRAINING_IMPORT_FIELDS,
+  DRAFT_STATUS,
+  DEFAULT_DURATION,
+  guessTrainingColumnMapping,
+  draftsFromCSV,
+  draftsFromICS,
+  getAttendeeKey,
+  matchCustomer,
+  isDuplicateTraining,
+} from '../utils/trainingImport';
+
+// Message keys of the wizard steps
+const STEPS = [
+  'imports.steps.chooseFile',
+  'imports.steps.mapColumns',
+  'imports.steps.matchCustomers',
+  'imports.steps.preview',
+  'imports.steps.import',
+];
+
+// Chip colours and label keys for each draft status in the preview
+const STATUS_CHIPS = {
+  [DRAFT_STATUS.READY]: { color: 'success', label: 'imports.status.ready' },
+  [DRAFT_STATUS.INVALID]: { color: 'error', label: 'imports.status.invalid' },
+  [DRAFT_STATUS.UNMATCHED]: { color: 'default', label: 'imports.status.unmatched' },
+  [DRAFT_STATUS.DUPLICATE]: { color: 'warning', label: 'imports.status.alreadyExists' },
+};
+
+// Label shown for a customer in the pickers
+const getCustomerLabel = (customer) => `${customer.firstname} ${customer.lastname}${customer.email ? ` (${customer.email})` : ''}`;
+
+/**
+ * @param {object} props
+ * @param {boolean} props.open - whether the wizard is visible
+ * @param {Function} props.onClose - called when the wizard is closed
+ * @param {object[]} props.trainings - existing trainings, used to skip duplicates and check for overlaps
+ * @param {Function} props.onImported - called after an import so the list can refresh
+ */
+const TrainingImportDialog = ({ open, onClose, trainings, onImported }) => {
+  const { t, language, formatDateTime } = useI18n();
+  const { checkConflicts, conflictDialog } = useConflictCheck();  // Overlap check before importing
+
+  // How an attendee is described in the matching step
+  const describeAttendee = (attendee) => {
+    if (attendee.name && attendee.email) return `${attendee.name} <${attendee.email}>`;
+    return attendee.name || attendee.email || t('imports.noAttendee');
+  };
+  const [step, setStep] = useState(0);
+  const [customers, setCustomers] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [fileType, setFileType] = useState(null);  // 'ics' or 'csv'
+  const [headers, setHeaders] = useState([]);  // CSV header row
+  const [dataRows, setDataRows] = useState([]);  // CSV data rows
+  const [mapping, setMapping] = useState({});  // CSV { field: columnIndex }
+  const [icsEvents, setIcsEvents] = useState([]);  // Events read from an .ics file
+  const [manualMatches, setManualMatches] = useState({});  // { attendeeKey: customer URL }
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState([]);  // Outcome per imported draft
+
+  // Customers are needed to match attendees
+  useEffect(() => {
+    if (!open) return;
+    api.getCustomers()
+      .then(setCustomers)
+      .catch((error) => {
+        toast.error(t('customers.fetchFailed'));
+        console.error('Error fetching customers:', error);
+      });
+  }, [open]);
+
+  // Drafts carry translated problems, so they are rebuilt when the language changes
+  const drafts = useMemo(
+    () => (fileType === 'csv' ? draftsFromCSV(dataRows, mapping) : draftsFromICS(icsEvents)),
+    [fileType, dataRows, mapping, icsEvents, language],
+  );
+
+  // Attendees that could not be matched automatically, one entry per distinct person
+  const unmatchedAttendees = useMemo(() => {
+    const seen = new Map();
+    drafts.forEach((draft) => {
+      if (draft.errors.length > 0 || matchCustomer(draft.attendee, customers)) return;
+      const key = getAttendeeKey(draft.attendee);
+      if (!seen.has(key)) seen.set(key, { key, attendee: draft.attendee, count: 0 });
+      seen.get(key).count += 1;
+    });
+    return [...seen.values()];
+  }, [drafts, customers]);
+
+  // Drafts with their resolved customer and import status
+  // Sessions repeated within the file count as duplicates of the first one
+  const resolvedDrafts = useMemo(() => {
+    const planned = [];
+    return drafts.map((draft) => {
+      const customer = matchCustomer(draft.attendee, customers)
+        || customers.find((c) => c._links.self.href === manualMatches[getAttendeeKey(draft.attendee)])
+        || null;
+      let status = DRAFT_STATUS.READY;
+      if (draft.errors.length > 0) {
+        status = DRAFT_STATUS.INVALID;
+      } else if (!customer) {
+        status = DRAFT_STATUS.UNMATCHED;
+      } else {
+        const customerId = getIdFromUrl(customer._links.self.href);
+        if (isDuplicateTraining(draft, customerId, [...trainings, ...planned])) {
+          status = DRAFT_STATUS.DUPLICATE;
+        } else {
+          planned.push({ date: draft.date.toISOString(), customer: { id: customerId } });
+        }
+      }
+      return { ...draft, customer, status };
+    });
+  }, [drafts, customers, manualMatches, trainings]);
+
+  const readyDrafts = resolvedDrafts.filter((draft) => draft.status === DRAFT_STATUS.READY);
+  const missingRequired = TRAINING_IMPORT_FIELDS.filter((field) => field.required && !(mapping[field.name] >= 0));
+
+  // Start over with an empty wizard
+  const reset = () => {
+    setStep(0);
+    setFileName('');
+    setFileType(null);
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+    setIcsEvents([]);
+    setManualMatches({});
+    setProgress({ done: 0, total: 0 });
+    setReport([]);
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    reset();
+    onClose();
+  };
+
+  // Read the chosen file; .ics files skip the column mapping step
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      if (/\.ics$/i.test(file.name) || text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+        const events = parseICS(text);
+        if (events.length === 0) {
+          toast.error(t('imports.noEvents'));
+          return;
+        }
+        setFileType('ics');
+        setIcsEvents(events);
+        setStep(2);
+      } else {
+        const rows = parseCSV(text);
+        if (rows.length < 2) {
+          toast.error(t('imports.noDataRows'));
+          return;
+        }
+        setFileType('csv');
+        setHeaders(rows[0]);
+        setDataRows(rows.slice(1));
+        setMapping(guessTrainingColumnMapping(rows[0]));
+        setStep(1);
+      }
+    } catch (error) {
+      toast.error(t('imports.readFailed'));
+      console.error('Error reading training import file:', error);
+    }
+  };
+
+  // Create the ready sessions one after another, recording the outcome of each.
+  // Overlapping sessions are listed first and need an explicit override.
+  const handleImport = async () => {
+    const sessions = readyDrafts.map((draft) => ({
+      date: draft.date.toISOString(),
+      duration: draft.duration,
+      customer: draft.customer._links.self.href,
+    }));
+    if (!(await checkConflicts(sessions, { trainings }))) return;
+
+    setStep(4);
+    setImporting(true);
+    setProgress({ done: 0, total: readyDrafts.length });
+    const results = resolvedDrafts
+      .filter((draft) => draft.status !== DRAFT_STATUS.READY)
+      .map((draft) => ({
+        id: draft.id,
+        source: draft.source,
+        outcome: 'skipped',
+        message: draft.errors.join(', ') || t(STATUS_CHIPS[draft.status].label),
+      }));
+
+    for (const draft of readyDrafts) {
+      try {
+        await api.importTraining({
+          date: draft.date.toISOString(),
+          duration: draft.duration,
+          activity: draft.activity,
+          customer: draft.customer._links.self.href,
+        });
+        results.push({ id: draft.id, source: draft.source, outcome: 'created', message: '' });
+      } catch (error) {
+        results.push({
+          id: draft.id,
+          source: draft.source,
+          outcome: 'failed',
+          message: error.response?.data?.message || error.message,
+        });
+        console.error('Error importing training:', error);
+      }
+      setProgress((current) => ({ ...current, done: current.done + 1 }));
+    }
+
+    results.sort((a, b) => a.id - b.id);
+    setReport(results);
+    setImporting(false);
+    const created = results.filter((r) => r.outcome === 'created').length;
+    const failed = results.filter((r) => r.outcome === 'failed').length;
+    if (failed > 0) {
+      toast.warning(t('imports.trainingsPartlyImported', { created, failed }));
+    } else {
+      toast.success(t('imports.trainingsImported', { count: created }));
+    }
+    onImported();
+  };
+
+  const previewColumns = [
+    {
+      field: 'status',
+      headerName: t('imports.statusColumn'),
+      width: 130,
+      renderCell: (params) => (
+        <Chip size="small" color={STATUS_CHIPS[params.value].color} label={t(STATUS_CHIPS[params.value].label)} />
+      ),
+    },
+    {
+      field: 'date',
+      headerName: t('trainings.date'),
+      width: 150,
+      valueFormatter: (value) => (value ? formatDateTime(value) : ''),
+    },
+    { field: 'duration', headerName: t('trainings.durationShort'), width: 120 },
+    { field: 'activity', headerName: t('trainings.activity'), flex: 1, minWidth: 120 },
+    {
+      field: 'customer',
+      headerName: t('trainings.customer'),
+      flex: 1,
+      minWidth: 150,
+      valueGetter: (value, row) => (row.customer ? `${row.customer.firstname} ${row.customer.lastname}` : describeAttendee(row.attendee)),
+    },
+    {
+      field: 'errors',
+      headerName: t('imports.problems'),
+      flex: 1,
+      minWidth: 150,
+      valueGetter: (value, row) => row.errors.join(', '),
+    },
+  ];
+
+  return (
+    <>
+      <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+        <DialogTitle>{t('imports.trainingsTitle')}</DialogTitle>
+        <DialogContent>
+          <Stepper activeStep={step} sx={{ my: 2 }}>
+            {STEPS.map((label) => (
+              <Step key={label} completed={label === 'imports.steps.mapColumns' && fileType === 'ics' ? true : undefined}>
+                <StepLabel
+                  optional={label === 'imports.steps.mapColumns'
+                    ? <Typography variant="caption">{t('imports.csvOnly')}</Typography>
+                    : undefined}
+                >
+                  {t(label)}
+                </StepLabel>
+              </Step>
+            ))}
+          </Stepper>
+
+          {/* Step 1: choose a file */}
+          {step === 0 && (
+            <Box sx={{ textAlign: 'center', py: 4 }}>
+              <Typography variant="body1" gutterBottom>
+                {t('imports.trainingsIntro', {
+                  fields: TRAINING_IMPORT_FIELDS.map((field) => t(`imports.trainingFields.${field.name}`).toLowerCase()).join(', '),
+                })}
+              </Typography>
+              <Button variant="contained" component="label" startIcon={<UploadFileIcon />} sx={{ mt: 2 }}>
+                {t('imports.chooseFile')}
+                <input type="file" accept=".ics,.csv,text/calendar,text/csv" hidden onChange={handleFileChange} />
+              </Button>
+            </Box>
+          )}
+
+          {/* Step 2: map CSV columns */}
+          {step === 1 && (
+            <Box>
+              <Typography variant="body1" gutterBottom>
+                {t('imports.fileRows', { file: fileName, count: dataRows.length })}
+                {' '}{t('imports.defaultDuration', { minutes: DEFAULT_DURATION })}
+              </Typography>
+              <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 2, mt: 2 }}>
+                {TRAINING_IMPORT_FIELDS.map((field) => (
+                  <TextField
+                    key={field.name}
+                    select
+                    label={`${t(`imports.trainingFields.${field.name}`)}${field.required ? ' *' : ''}`}
+                    value={mapping[field.name] ?? -1}
+                    onChange={(e) => setMapping({ ...mapping, [field.name]: Number(e.target.value) })}
+                    error={field.required && !(mapping[field.name] >= 0)}
+                  >
+                    <MenuItem value={-1}><em>{t('imports.notImported')}</em></MenuItem>
+                    {headers.map((header, index) => (
+                      <MenuItem key={index} value={index}>{header || t('imports.column', { number: index + 1 })}</MenuItem>
+                    ))}
+                  </TextField>
+                ))}
+              </Box>
+            </Box>
+          )}
+
+          {/* Step 3: match attendees to customers */}
+          {step === 2 && (
+            <Box>
+              {unmatchedAttendees.length === 0 ? (
+                <Typography variant="body1">
+                  {t('imports.allMatched', { count: drafts.length })}
+                </Typography>
+              ) : (
+                <>
+                  <Typography variant="body1" gutterBottom>
+                    {t('imports.unmatchedIntro')}
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+                    {unmatchedAttendees.map(({ key, attendee, count }) => (
+                      <Box key={key} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                        <Typography sx={{ flex: 1 }}>
+                          {t('imports.attendeeSessions', {
+                            attendee: describeAttendee(attendee),
+                            sessions: t('imports.sessionCount', { count }),
+                          })}
+                        </Typography>
+                        <Autocomplete
+                          sx={{ flex: 1 }}
+                          size="small"
+                          options={customers}
+                          value={customers.find((c) => c._links.self.href === manualMatches[key]) || null}
+                          onChange={(_, customer) => setManualMatches({ ...manualMatches, [key]: customer?._links.self.href || '' })}
+                          getOptionLabel={getCustomerLabel}
+                          isOptionEqualToValue={(option, value) => option._links.self.href === value._links.self.href}
+                          renderInput={(params) => <TextField {...params} label={t('trainings.customer')} />}
+                        />
+                      </Box>
+                    ))}
+                  </Box>
+                </>
+              )}
+            </Box>
+          )}
+
+          {/* Step 4: preview */}
+          {step === 3 && (
+            <Box>
+              <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                {Object.entries(STATUS_CHIPS).map(([status, chip]) => (
+                  <Chip
+                    key={status}
+                    color={chip.color}
+                    label={t('imports.statusCount', {
+                      label: t(chip.label),
+                      count: resolvedDrafts.filter((draft) => draft.status === status).length,
+                    })}
+                  />
+                ))}
+              </Box>
+              <Box sx={{ height: 420 }}>
+                <DataGrid
+                  rows={resolvedDrafts}
+                  columns={previewColumns}
+                  initialState={{ pagination: { paginationModel: { pageSize: 25 } } }}
+                  pageSizeOptions={[10, 25, 100]}
+                  disableRowSelectionOnClick
+                  density="compact"
+                />
+              </Box>
+            </Box>
+          )}
+
+          {/* Step 5: progress and per-session report */}
+          {step === 4 && (
+            <Box>
+              <Typography variant="body1" gutterBottom>
+                {importing
+                  ? t('imports.importing', { done: progress.done, total: progress.total })
+                  : t('imports.finished', {
+                    created: report.filter((r) => r.outcome === 'created').length,
+                    failed: report.filter((r) => r.outcome === 'failed').length,
+                    skipped: report.filter((r) => r.outcome === 'skipped').length,
+                  })}
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={progress.total ? (progress.done / progress.total) * 100 : 100}
+                sx={{ mb: 2 }}
+              />
+              {!importing && report.some((r) => r.outcome !== 'created') && (
+                <Box sx={{ maxHeight: 360, overflow: 'auto' }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>{t('imports.session')}</TableCell>
+                        <TableCell>{t('imports.result')}</TableCell>
+                        <TableCell>{t('imports.details')}</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {report.filter((r) => r.outcome !== 'created').map((r) => (
+                        <TableRow key={r.id}>
+                          <TableCell>{r.source}</TableCell>
+                          <TableCell>
+                            <Chip
+                              size="small"
+                              color={r.outcome === 'failed' ? 'error' : 'default'}
+                              label={r.outcome === 'failed' ? t('imports.failed') : t('imports.skipped')}
+                            />
+                          </TableCell>
+                          <TableCell>{r.message}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Box>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {step < 4 && <Button onClick={handleClose}>{t('common.cancel')}</Button>}
+          {step === 1 && <Button onClick={() => setStep(0)}>{t('imports.back')}</Button>}
+          {(step === 2 || step === 3) && (
+            <Button onClick={() => setStep(step === 2 && fileType === 'ics' ? 0 : step - 1)}>{t('imports.back')}</Button>
+          )}
+          {step === 1 && (
+            <Button variant="contained" onClick={() => setStep(2)} disabled={missingRequired.length > 0}>
+              {t('imports.next')}
+            </Button>
+          )}
+          {step === 2 && <Button variant="contained" onClick={() => setStep(3)}>{t('imports.next')}</Button>}
+          {step === 3 && (
+            <Button variant="contained" onClick={handleImport} disabled={readyDrafts.length === 0}>
+              {t('imports.importSessions', { count: readyDrafts.length })}
+            </Button>
+          )}
+          {step === 4 && (
+            <Button variant="contained" onClick={handleClose} disabled={importing}>{t('imports.done')}</Button>
+          )}
+        </DialogActions>
+      </Dialog>
+      {conflictDialog}
+    </>
+  );
+};
+
+export default TrainingImportDialog;
@@ -0,0 +1,309 @@
+// Retention and engagement section of the Statistics page
+// Shows how many customers are still training, who has gone quiet (for win-back
+// outreach), how monthly cohorts keep coming back and who trains the most
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  TextField,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  useTheme,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { DataGrid } from '@mui/x-data-grid';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { getIdFromUrl } from '../../services/api';
+import useI18n from '../../hooks/useI18n';
+import { ACTIVITY_COLORS } from './TrendCharts';
+import { toCSV } from '../../utils/csv';
+import { downloadFile } from '../../utils/download';
+import { getChartStyles } from '../../utils/chartStyles';
+import {
+  ACTIVITY_WINDOWS,
+  getCustomerActivity,
+  getActivitySplit,
+  getInactiveCustomers,
+  buildCohorts,
+  toRetentionCurves,
+  buildLeaderboard,
+} from '../../utils/retention';
+
+const CHART_MARGINS = { top: 10, right: 30, left: 20, bottom: 5 };
+
+// Retention curves get crowded quickly, so only the most recent cohorts are drawn
+const CHART_COHORTS = 6;
+
+// Dates in the CSV export keep one format whatever the language
+const formatCsvDate = (date) => (date ? format(date, 'dd.MM.yyyy') : '');
+
+// Shade of a cohort table cell: stronger primary colour for higher retention
+const cohortCellStyle = (value) => (value === null ? {} : (theme) => ({
+  backgroundColor: alpha(theme.palette.primary.main, (value / 100) * 0.8 + 0.05),
+  color: value > 55 ? theme.palette.primary.contrastText : 'inherit',
+}));
+
+/**
+ * @param {object} props
+ * @param {object[]} props.customers - every customer, as returned by api.getCustomers
+ * @param {object[]} props.trainings - every training, used for activity and cohorts
+ * @param {object[]} props.rangeTrainings - trainings in the selected date range, used for the leaderboard
+ */
+const RetentionDashboard = ({ customers, trainings, rangeTrainings }) => {
+  const navigate = useNavigate();
+  const { t, language, formatDate, formatNumber } = useI18n();
+  const chartStyles = getChartStyles(useTheme());
+  // Days without a session after which a customer counts as inactive
+  const [windowDays, setWindowDays] = useState(30);
+  const [leaderboardMetric, setLeaderboardMetric] = useState('minutes');
+
+  const activity = useMemo(() => getCustomerActivity(customers, trainings, getIdFromUrl), [customers, trainings]);
+  const split = useMemo(() => getActivitySplit(activity, windowDays), [activity, windowDays]);
+  const inactive = useMemo(() => getInactiveCustomers(activity, windowDays), [activity, windowDays]);
+  // Cohort and curve labels are translated, so they follow the language too
+  const cohorts = useMemo(() => buildCohorts(activity, trainings), [activity, trainings, language]);
+  const chartCohorts = useMemo(() => cohorts.slice(-CHART_COHORTS), [cohorts]);
+  const curves = useMemo(() => toRetentionCurves(chartCohorts), [chartCohorts, language]);
+  const leaderboard = useMemo(
+    () => buildLeaderboard(customers, rangeTrainings, getIdFromUrl, leaderboardMetric),
+    [customers, rangeTrainings, leaderboardMetric],
+  );
+
+  // Downloads the inactive customers with their contact details for outreach
+  const handleExportInactive = () => {
+    const rows = inactive.map((entry) => ({
+      ...entry,
+      lastSession: formatCsvDate(entry.lastSession),
+      nextSession: formatCsvDate(entry.nextSession),
+      daysSinceLast: entry.daysSinceLast ?? '',
+    }));
+    const fields = ['name', 'email', 'phone', 'lastSession', 'daysSinceLast', 'nextSession', 'sessions'];
+    if (downloadFile(toCSV(fields, rows), `inactive-customers-${windowDays}d.csv`, 'text/csv;charset=utf-8;')) {
+      toast.success(t('retention.exported'));
+    }
+  };
+
+  const inactiveColumns = [
+    { field: 'name', headerName: t('trainings.customer'), flex: 1 },
+    { field: 'email', headerName: t('customers.fields.email'), flex: 1 },
+    { field: 'phone', headerName: t('customers.fields.phone'), flex: 1 },
+    {
+      field: 'lastSession',
+      headerName: t('retention.lastSession'),
+      flex: 1,
+      type: 'date',
+      valueFormatter: (value) => (value ? formatDate(value) : t('retention.never')),
+    },
+    {
+      field: 'daysSinceLast',
+      headerName: t('retention.daysSince'),
+      type: 'number',
+      width: 120,
+    },
+    {
+      field: 'nextSession',
+      headerName: t('retention.nextBooked'),
+      flex: 1,
+      type: 'date',
+      valueFormatter: (value) => (value ? formatDate(value) : '–'),
+    },
+    { field: 'sessions', headerName: t('statistics.metrics.sessions'), type: 'number', width: 110 },
+  ];
+
+  return (
+    <Paper sx={{ p: { xs: 2, sm: 4 }, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+        <Typography variant="h6">{t('retention.title')}</Typography>
+        <TextField
+          select
+          size="small"
+          label={t('retention.inactiveAfter')}
+          value={windowDays}
+          onChange={(e) => setWindowDays(Number(e.target.value))}
+          sx={{ minWidth: 160 }}
+        >
+          {ACTIVITY_WINDOWS.map((days) => (
+            <MenuItem key={days} value={days}>{t('retention.days', { count: days })}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {/* Active vs. inactive customers for the selected window */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 4 }}>
+        {[
+          { label: t('retention.active', { count: windowDays }), value: split.active, color: 'success.main' },
+          { label: t('retention.inactive', { count: windowDays }), value: split.inactive, color: 'warning.main' },
+          { label: t('retention.neverTrained'), value: split.never, color: 'text.secondary' },
+        ].map((card) => (
+          <Paper key={card.label} variant="outlined" sx={{ p: 2, flex: 1, minWidth: 200 }}>
+            <Typography variant="body2" color="text.secondary">{card.label}</Typography>
+            <Typography variant="h5" sx={{ fontWeight: 600, color: card.color }}>{card.value}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t('retention.shareOf', {
+                percent: activity.length ? Math.round((card.value / activity.length) * 100) : 0,
+                count: activity.length,
+              })}
+            </Typography>
+          </Paper>
+        ))}
+      </Box>
+
+      {/* Customers to win back */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+          {t('retention.noSessionIn', { count: windowDays, inactive: inactive.length })}
+        </Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<FileDownloadIcon />}
+          onClick={handleExportInactive}
+          disabled={inactive.length === 0}
+        >
+          {t('common.exportCsv')}
+        </Button>
+      </Box>
+      <Box sx={{ height: 400, mb: 4 }}>
+        <DataGrid
+          rows={inactive}
+          columns={inactiveColumns}
+          density="compact"
+          pageSizeOptions={[10, 25, 50]}
+          initialState={{ pagination: { paginationModel: { pageSize: 10 } } }}
+          onRowClick={(params) => navigate(`/customers/${params.id}`)}
+          disableRowSelectionOnClick
+          sx={{ '& .MuiDataGrid-row': { cursor: 'pointer' } }}
+        />
+      </Box>
+
+      {/* Monthly cohorts by first training */}
+      <Typography variant="subtitle1" sx={{ fontWeight: 500, mb: 1 }}>
+        {t('retention.cohorts')}
+      </Typography>
+      {cohorts.length === 0 ? (
+        <Typography color="text.secondary" sx={{ mb: 4 }}>{t('retention.noCohorts')}</Typography>
+      ) : (
+        <Box sx={{
+          display: 'flex',
+          flexDirection: { xs: 'column', md: 'row' },
+          gap: 3,
+          mb: 4,
+          alignItems: { xs: 'stretch', md: 'flex-start' },
+        }}>
+          {/* The cohort table scrolls sideways on narrow screens */}
+          <Box sx={{ flex: 1, minWidth: 0, overflowX: 'auto' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('retention.cohort')}</TableCell>
+                  <TableCell align="right">{t('nav.customers')}</TableCell>
+                  {cohorts[0].retention.map((_, offset) => (
+                    <TableCell key={offset} align="center">{curves[offset].label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {cohorts.map((cohort) => (
+                  <TableRow key={cohort.label}>
+                    <TableCell>{cohort.label}</TableCell>
+                    <TableCell align="right">{cohort.size}</TableCell>
+                    {cohort.retention.map((value, offset) => (
+                      <TableCell key={offset} align="center" sx={cohortCellStyle(value)}>
+                        {value === null ? '' : formatNumber(value / 100, { style: 'percent' })}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+          <Box sx={{ flex: 1, height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={curves} margin={CHART_MARGINS}>
+                <CartesianGrid strokeDasharray="3 3" stroke={chartStyles.gridStroke} />
+                <XAxis dataKey="label" tick={chartStyles.axisTick} />
+                <YAxis tick={chartStyles.axisTick} domain={[0, 100]} tickFormatter={(value) => formatNumber(value / 100, { style: 'percent' })} />
+                <Tooltip contentStyle={chartStyles.tooltip} formatter={(value) => formatNumber(value / 100, { style: 'percent' })} />
+                <Legend />
+                {chartCohorts.map((cohort, index) => (
+                  <Line
+                    key={cohort.label}
+                    type="monotone"
+                    dataKey={(point) => point[cohort.label]}
+                    name={cohort.label}
+                    stroke={ACTIVITY_COLORS[index % ACTIVITY_COLORS.length]}
+                    connectNulls={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </Box>
+        </Box>
+      )}
+
+      {/* Top customers in the selected date range */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+          {t('retention.topCustomers')}
+        </Typography>
+        <ToggleButtonGroup
+          value={leaderboardMetric}
+          exclusive
+          size="small"
+          onChange={(_, value) => value && setLeaderboardMetric(value)}
+          aria-label={t('retention.leaderboardMetric')}
+        >
+          <ToggleButton value="minutes">{t('statistics.metrics.minutes')}</ToggleButton>
+          <ToggleButton value="sessions">{t('statistics.metrics.sessions')}</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      {leaderboard.length === 0 ? (
+        <Typography color="text.secondary">{t('retention.noTrainingsInRange')}</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell width={60}>#</TableCell>
+              <TableCell>{t('trainings.customer')}</TableCell>
+              <TableCell align="right">{t('statistics.metrics.minutes')}</TableCell>
+              <TableCell align="right">{t('statistics.metrics.sessions')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {leaderboard.map((entry, index) => (
+              <TableRow
+                key={entry.id}
+                hover
+                sx={{ cursor: 'pointer' }}
+                onClick={() => navigate(`/customers/${entry.id}`)}
+              >
+                <TableCell>{index + 1}</TableCell>
+                <TableCell>{entry.name}</TableCell>
+                <TableCell align="right" sx={{ fontWeight: leaderboardMetric === 'minutes' ? 600 : 400 }}>
+                  {formatNumber(entry.minutes)}
+                </TableCell>
+                <TableCell align="right" sx={{ fontWeight: leaderboardMetric === 'sessions' ? 600 : 400 }}>
+                  {formatNumber(entry.sessions)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+};
+
+export default RetentionDashboard;
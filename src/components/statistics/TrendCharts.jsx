@@ -0,0 +1,98 @@
+// Trend charts for the Statistics page
+// A line chart of the selected metric per period (with the previous period for
+// comparison) and a stacked area chart breaking it down by activity
+import { Box, Typography, useTheme } from '@mui/material';
+import {
+  LineChart,
+  Line,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import useI18n from '../../hooks/useI18n';
+import { getChartStyles } from '../../utils/chartStyles';
+
+// Colours used for activities in the stacked chart, repeated when there are more activities
+// Mid-tone shades, readable on both light and dark backgrounds
+export const ACTIVITY_COLORS = ['#2563eb', '#0284c7', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#db2777', '#0d9488'];
+
+const CHART_MARGINS = { top: 10, right: 30, left: 20, bottom: 5 };
+
+/**
+ * @param {object} props
+ * @param {object} props.trend - { periods, activities } from buildTrend for the selected range
+ * @param {object} props.previousTrend - the same for the previous period of equal length
+ * @param {string} props.metric - 'minutes' or 'sessions'
+ */
+const TrendCharts = ({ trend, previousTrend, metric }) => {
+  const { t, formatNumber } = useI18n();
+  const chartStyles = getChartStyles(useTheme());
+  const metricLabel = t(`statistics.metrics.${metric}`);
+
+  // Line chart data: each period with the value of the matching period before it
+  const comparisonData = trend.periods.map((period, index) => ({
+    label: period.label,
+    current: period[metric],
+    previous: previousTrend.periods[index]?.[metric] ?? 0,
+  }));
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+      <Box>
+        <Typography variant="h6" gutterBottom>
+          {t('statistics.trendComparison', { metric: metricLabel })}
+        </Typography>
+        <Box sx={{ height: 300 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={comparisonData} margin={CHART_MARGINS}>
+              <CartesianGrid strokeDasharray="3 3" stroke={chartStyles.gridStroke} />
+              <XAxis dataKey="label" tick={chartStyles.axisTick} />
+              <YAxis tick={chartStyles.axisTick} allowDecimals={false} tickFormatter={formatNumber} />
+              <Tooltip contentStyle={chartStyles.tooltip} formatter={formatNumber} />
+              <Legend />
+              <Line type="monotone" dataKey="current" name={t('statistics.selectedPeriod')} stroke={chartStyles.primary} strokeWidth={2} />
+              <Line type="monotone" dataKey="previous" name={t('statistics.previousPeriod')} stroke={chartStyles.muted} strokeDasharray="5 5" />
+            </LineChart>
+          </ResponsiveContainer>
+        </Box>
+      </Box>
+
+      <Box>
+        <Typography variant="h6" gutterBottom>
+          {t('statistics.trendByActivity', { metric: metricLabel })}
+        </Typography>
+        <Box sx={{ height: 300 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={trend.periods} margin={CHART_MARGINS}>
+              <CartesianGrid strokeDasharray="3 3" stroke={chartStyles.gridStroke} />
+              <XAxis dataKey="label" tick={chartStyles.axisTick} />
+              <YAxis tick={chartStyles.axisTick} allowDecimals={false} tickFormatter={formatNumber} />
+              <Tooltip contentStyle={chartStyles.tooltip} formatter={formatNumber} />
+              <Legend />
+              {trend.activities.map((activity, index) => (
+                <Area
+                  key={activity}
+                  type="monotone"
+                  // A function, because activity names may contain dots that recharts would read as paths
+                  dataKey={(period) => period[`${metric}_${activity}`]}
+                  name={activity}
+                  stackId="activities"
+                  stroke={ACTIVITY_COLORS[index % ACTIVITY_COLORS.length]}
+                  fill={ACTIVITY_COLORS[index % ACTIVITY_COLORS.length]}
+                  fillOpacity={0.6}
+                />
+              ))}
+            </AreaChart>
+          </ResponsiveContainer>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default TrendCharts;
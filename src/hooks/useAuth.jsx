@@ -0,0 +1,84 @@
+// Auth context: who is signed in and what they may do
+// AuthProvider wraps the routes in App.jsx; components read the session with useAuth()
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { t } from '../i18n';
+import { setSession, setUnauthorizedHandler } from '../services/api';
+import { getAuthProvider, loadSession, saveSession, hasPermission } from '../services/auth';
+
+const AuthContext = createContext(null);
+
+/**
+ * Provides the signed-in session to the app and hands its token to api.js.
+ * The session survives reloads until it expires or the user signs out.
+ */
+export const AuthProvider = ({ children }) => {
+  // api.js needs the token before the first page fetches anything,
+  // so the stored session is handed over while rendering rather than in an effect
+  const [session, setSessionState] = useState(() => {
+    const stored = loadSession();
+    setSession(stored);
+    return stored;
+  });
+
+  const applySession = useCallback((next) => {
+    setSession(next);
+    saveSession(next);
+    setSessionState(next);
+  }, []);
+
+  const login = useCallback(async (credentials) => {
+    const next = await getAuthProvider().login(credentials);
+    applySession(next);
+    return next.user;
+  }, [applySession]);
+
+  const logout = useCallback(async () => {
+    try {
+      await getAuthProvider().logout();
+    } finally {
+      applySession(null);
+    }
+  }, [applySession]);
+
+  // Sign out when the backend rejects the token
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      toast.error(t('auth.sessionExpired'));
+      applySession(null);
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [applySession]);
+
+  // Sign out when the session expires while the app is open
+  useEffect(() => {
+    if (!session?.expiresAt) return undefined;
+    const timer = setTimeout(() => {
+      toast.info(t('auth.sessionExpired'));
+      applySession(null);
+    }, Math.max(session.expiresAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [session, applySession]);
+
+  const user = session?.user || null;
+  const value = {
+    user,
+    login,
+    logout,
+    can: (permission) => hasPermission(user, permission),
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+/**
+ * Returns { user, login(credentials), logout(), can(permission) }.
+ * user is null when nobody is signed in; see PERMISSIONS in services/auth.js.
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside AuthProvider');
+  return context;
+};
+
+export default useAuth;
@@ -0,0 +1,64 @@
+// Colour mode context: light, dark or following the operating system
+// ColorModeProvider wraps the app in App.jsx; the app bar switches modes with useColorMode().setMode
+import { createContext, useContext, useState, useCallback } from 'react';
+import { useMediaQuery } from '@mui/material';
+
+// Modes the user can choose
+export const COLOR_MODES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system',
+};
+
+// localStorage key holding the chosen mode
+export const COLOR_MODE_STORAGE_KEY = 'personalTrainer.colorMode';
+
+// The stored choice, or following the system when nothing valid is stored
+const readMode = () => {
+  try {
+    const stored = window.localStorage.getItem(COLOR_MODE_STORAGE_KEY);
+    if (Object.values(COLOR_MODES).includes(stored)) return stored;
+  } catch {
+    // localStorage unavailable: follow the system
+  }
+  return COLOR_MODES.SYSTEM;
+};
+
+const ColorModeContext = createContext(null);
+
+/**
+ * Provides the chosen colour mode and the palette mode it resolves to.
+ */
+export const ColorModeProvider = ({ children }) => {
+  const [mode, setModeState] = useState(readMode);
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)', { noSsr: true });
+
+  const setMode = useCallback((next) => {
+    if (!Object.values(COLOR_MODES).includes(next)) return;
+    setModeState(next);
+    try {
+      window.localStorage.setItem(COLOR_MODE_STORAGE_KEY, next);
+    } catch {
+      // localStorage unavailable: the choice lasts until the page is reloaded
+    }
+  }, []);
+
+  let paletteMode = mode;
+  if (mode === COLOR_MODES.SYSTEM) paletteMode = prefersDark ? COLOR_MODES.DARK : COLOR_MODES.LIGHT;
+
+  const value = { mode, setMode, paletteMode };
+
+  return <ColorModeContext.Provider value={value}>{children}</ColorModeContext.Provider>;
+};
+
+/**
+ * Returns { mode, setMode(mode), paletteMode }.
+ * mode is one of COLOR_MODES; paletteMode is 'light' or 'dark', with 'system' resolved.
+ */
+const useColorMode = () => {
+  const context = useContext(ColorModeContext);
+  if (!context) throw new Error('useColorMode must be used inside ColorModeProvider');
+  return context;
+};
+
+export default useColorMode;
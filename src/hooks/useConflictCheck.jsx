@@ -0,0 +1,67 @@
+// Hook that checks bookings for scheduling conflicts before they are saved
+// and, when there are any, asks the user to confirm through ConflictDialog
+import { useState } from 'react';
+import { toast } from 'sonner';
+import api, { getIdFromUrl } from '../services/api';
+import { getCustomerOwner } from '../services/customerOwners';
+import { findConflicts } from '../utils/conflicts';
+import { t } from '../i18n';
+import ConflictDialog from '../components/ConflictDialog';
+
+/**
+ * Returns:
+ * - checkConflicts(sessions, options): resolves to true when it is fine to save
+ *   (no clashes, or the user chose "Book anyway") and false when cancelled.
+ *   sessions are { date, duration, customer (URL) }; options are
+ *   { trainings } to check against already loaded trainings (fetched otherwise)
+ *   and { ignoreIds } for the trainings being changed.
+ * - conflictDialog: element to render once in the page
+ */
+const useConflictCheck = () => {
+  const [request, setRequest] = useState(null);  // { conflicts, resolve } while the dialog is open
+
+  const checkConflicts = async (sessions, { trainings, ignoreIds = [] } = {}) => {
+    let existing = trainings;
+    if (!existing) {
+      try {
+        existing = await api.getTrainings();
+      } catch (error) {
+        // Don't block the booking because the check itself failed
+        toast.warning(t('conflicts.checkFailed'));
+        console.error('Error fetching trainings for conflict check:', error);
+        return true;
+      }
+    }
+
+    const candidates = sessions.map((session) => ({
+      date: session.date,
+      duration: session.duration,
+      customerId: getIdFromUrl(session.customer),
+    }));
+    const conflicts = findConflicts(candidates, existing, { ignoreIds, getOwner: getCustomerOwner });
+    if (conflicts.length === 0) return true;
+
+    return new Promise((resolve) => {
+      setRequest({ conflicts, resolve });
+    });
+  };
+
+  // Close the dialog and tell the waiting caller what the user chose
+  const close = (confirmed) => {
+    request?.resolve(confirmed);
+    setRequest(null);
+  };
+
+  const conflictDialog = (
+    <ConflictDialog
+      open={Boolean(request)}
+      conflicts={request?.conflicts || []}
+      onCancel={() => close(false)}
+      onConfirm={() => close(true)}
+    />
+  );
+
+  return { checkConflicts, conflictDialog };
+};
+
+export default useConflictCheck;
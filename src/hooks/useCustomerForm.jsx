@@ -0,0 +1,110 @@
+// Hook holding the state of a customer form: values, inline validation errors,
+// duplicate warnings and errors reported by the server
+import { useState, useMemo } from 'react';
+import {
+  CUSTOMER_FIELDS,
+  DEFAULT_COUNTRY,
+  inferCountry,
+  validateCustomer,
+  findDuplicateWarnings,
+  getServerFieldErrors,
+} from '../utils/validation';
+import useI18n from './useI18n';
+
+// Empty values for a new customer
+const EMPTY_CUSTOMER = Object.fromEntries(CUSTOMER_FIELDS.map(({ name }) => [name, '']));
+
+// Fields marked required in CUSTOMER_FIELDS, the same ones imports and restores require
+const REQUIRED_FIELDS = CUSTOMER_FIELDS.filter(({ required }) => required).map(({ name }) => name);
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.customers] - loaded customers, for live duplicate warnings
+ * @param {string} [options.selfUrl] - URL of the customer being edited (not a duplicate of itself)
+ *
+ * Returns:
+ * - values, country, setCountry
+ * - reset(customer): loads a customer (or empty values) and clears all messages
+ * - fieldProps(name): props for a TextField, including error or warning helper text
+ * - submit(): shows every error; returns the normalized values, or null when invalid
+ * - applyServerError(error): puts server validation errors on the fields;
+ *   returns false when the error had none
+ */
+const useCustomerForm = ({ customers = [], selfUrl } = {}) => {
+  const [values, setValues] = useState(EMPTY_CUSTOMER);
+  const [country, setCountry] = useState(DEFAULT_COUNTRY);
+  const [touched, setTouched] = useState({});  // Fields left at least once; errors show after that
+  const [serverErrors, setServerErrors] = useState({});
+  const { language } = useI18n();
+
+  // The messages are translated, so they are rebuilt when the language changes
+  const { errors } = useMemo(
+    () => validateCustomer(values, { country, requiredFields: REQUIRED_FIELDS }),
+    [values, country, language],
+  );
+  const warnings = useMemo(
+    () => findDuplicateWarnings(values, customers, { selfUrl, country }),
+    [values, customers, selfUrl, country, language],
+  );
+
+  const reset = (customer) => {
+    const next = { ...EMPTY_CUSTOMER };
+    CUSTOMER_FIELDS.forEach(({ name }) => {
+      next[name] = customer?.[name] ?? '';
+    });
+    setValues(next);
+    setCountry(inferCountry(next.phone) || DEFAULT_COUNTRY);
+    setTouched({});
+    setServerErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((current) => ({ ...current, [name]: value }));
+    // A server error no longer applies once the value changes
+    setServerErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  // Show the normalized value (trimmed name, E.164 phone, formatted postcode) once a field is left
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    setTouched((current) => ({ ...current, [name]: true }));
+    const normalized = validateCustomer(values, { country, requiredFields: [] });
+    if (!normalized.errors[name] && normalized.values[name] !== values[name]) {
+      setValues((current) => ({ ...current, [name]: normalized.values[name] }));
+    }
+  };
+
+  const fieldProps = (name) => {
+    const error = serverErrors[name] || (touched[name] ? errors[name] : undefined);
+    const warning = warnings[name];
+    return {
+      name,
+      required: REQUIRED_FIELDS.includes(name),
+      value: values[name],
+      onChange: handleChange,
+      onBlur: handleBlur,
+      error: Boolean(error),
+      helperText: error || warning || ' ',
+      // Duplicate warnings don't block saving, so they are shown in amber rather than red
+      FormHelperTextProps: !error && warning ? { sx: { color: 'warning.main' } } : undefined,
+    };
+  };
+
+  const submit = () => {
+    setTouched(Object.fromEntries(CUSTOMER_FIELDS.map(({ name }) => [name, true])));
+    if (Object.keys(errors).length > 0) return null;
+    return validateCustomer(values, { country, requiredFields: REQUIRED_FIELDS }).values;
+  };
+
+  const applyServerError = (error) => {
+    const fieldErrors = getServerFieldErrors(error);
+    if (Object.keys(fieldErrors).length === 0) return false;
+    setServerErrors(fieldErrors);
+    return true;
+  };
+
+  return { values, country, setCountry, reset, fieldProps, submit, applyServerError };
+};
+
+export default useCustomerForm;
@@ -0,0 +1,53 @@
+// Language context: which language the app is shown in
+// I18nProvider wraps the app in App.jsx; components translate with useI18n().t
+import { createContext, useContext, useState, useCallback } from 'react';
+import {
+  t,
+  formatDate,
+  formatDateTime,
+  formatTime,
+  formatNumber,
+  getLanguage,
+  setLanguage as storeLanguage,
+  LANGUAGES,
+} from '../i18n';
+
+const I18nContext = createContext(null);
+
+/**
+ * Provides the current language and re-renders the app when it changes.
+ */
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(getLanguage);
+
+  const setLanguage = useCallback((next) => {
+    storeLanguage(next);
+    setLanguageState(getLanguage());
+  }, []);
+
+  const value = {
+    language,
+    setLanguage,
+    config: LANGUAGES[language],
+    t,
+    formatDate,
+    formatDateTime,
+    formatTime,
+    formatNumber,
+  };
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * Returns { language, setLanguage(code), config, t(key, params), formatDate(date, pattern),
+ * formatDateTime(date), formatTime(date), formatNumber(value, options) }.
+ * config is the entry of LANGUAGES in i18n/index.js for the current language.
+ */
+const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used inside I18nProvider');
+  return context;
+};
+
+export default useI18n;
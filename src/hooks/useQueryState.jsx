@@ -0,0 +1,107 @@
+// Hook that keeps page state in the URL query string, so a reload or a shared
+// link shows the same search, sort order, page or date, and the browser's
+// back and forward buttons step through the changes
+import { useMemo, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format, isValid, parseISO } from 'date-fns';
+
+// Ways of writing a value into the query string and reading it back
+// Each returns { defaultValue, parse(text), serialize(value) }; values equal to the
+// default are left out of the URL
+export const queryParam = {
+  string: (defaultValue = '') => ({
+    defaultValue,
+    parse: (text) => text,
+    serialize: (value) => value ?? '',
+  }),
+  number: (defaultValue = null) => ({
+    defaultValue,
+    parse: (text) => (text !== '' && Number.isFinite(Number(text)) ? Number(text) : defaultValue),
+    serialize: (value) => (value === null || value === undefined ? '' : String(value)),
+  }),
+  // A value from a fixed list, e.g. a calendar view; anything else reads as the default
+  oneOf: (values, defaultValue = values[0]) => ({
+    defaultValue,
+    parse: (text) => (values.includes(text) ? text : defaultValue),
+    serialize: (value) => value ?? '',
+  }),
+  // A day as yyyy-MM-dd (the time of day is not kept)
+  date: (defaultValue = null) => ({
+    defaultValue,
+    parse: (text) => {
+      const date = parseISO(text);
+      return isValid(date) ? date : defaultValue;
+    },
+    serialize: (value) => (value && isValid(value) ? format(value, 'yyyy-MM-dd') : ''),
+  }),
+  // A comma separated list of strings
+  list: (defaultValue = []) => ({
+    defaultValue,
+    parse: (text) => (text ? text.split(',').map(decodeURIComponent) : []),
+    serialize: (value) => (value || []).map(encodeURIComponent).join(','),
+  }),
+  // A DataGrid sort model written like Spring Data's sort parameter: lastname,asc
+  sort: (defaultValue = []) => ({
+    defaultValue,
+    parse: (text) => (text ? text.split(';').map((part) => {
+      const [field, direction] = part.split(',');
+      return { field, sort: direction === 'desc' ? 'desc' : 'asc' };
+    }) : []),
+    serialize: (value) => (value || []).map(({ field, sort }) => `${field},${sort}`).join(';'),
+  }),
+};
+
+/**
+ * Reads and writes several query string parameters as one state object.
+ *
+ * @param {object} schema - { [param]: codec from queryParam }
+ * @returns {[object, Function]} [state, setState]. setState(changes, { replace }) merges
+ *   changes (an object, or a function of the current state) into the URL. Each change
+ *   adds a history entry unless replace is true; setting the current values does nothing.
+ */
+const useQueryState = (schema) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The schema is usually written inline, so keep the first one instead of depending on it
+  const schemaRef = useRef(schema);
+  const query = searchParams.toString();
+
+  // Parsed values are reused while their parameter is unchanged, so objects such
+  // as sort models keep their identity when some other parameter changes
+  const parsed = useRef({});
+  const state = useMemo(() => {
+    const params = new URLSearchParams(query);
+    return Object.fromEntries(Object.entries(schemaRef.current).map(([name, codec]) => {
+      const text = params.get(name);
+      if (parsed.current[name] && parsed.current[name].text === text) return [name, parsed.current[name].value];
+      const value = text === null ? codec.defaultValue : codec.parse(text);
+      parsed.current[name] = { text, value };
+      return [name, value];
+    }));
+  }, [query]);
+
+  // Kept in a ref so several updates in one event build on each other
+  const latest = useRef({ query, state });
+  latest.current = { query, state };
+
+  const setState = useCallback((changes, { replace = false } = {}) => {
+    const current = latest.current.state;
+    const next = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+    const params = new URLSearchParams(latest.current.query);
+    Object.entries(schemaRef.current).forEach(([name, codec]) => {
+      const text = codec.serialize(next[name]);
+      if (text === codec.serialize(codec.defaultValue)) {
+        params.delete(name);
+      } else {
+        params.set(name, text);
+      }
+    });
+    const nextQuery = params.toString();
+    if (nextQuery === latest.current.query) return;
+    latest.current = { query: nextQuery, state: next };
+    setSearchParams(params, { replace });
+  }, [setSearchParams]);
+
+  return [state, setState];
+};
+
+export default useQueryState;
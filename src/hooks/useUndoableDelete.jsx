@@ -0,0 +1,110 @@
+// Hook that deletes customers and trainings through the recycle bin and offers
+// an Undo action on the success toast
+import { useEffect, useRef } from 'react';
+import { toast } from 'sonner';
+import {
+  deleteCustomer as binDeleteCustomer,
+  deleteCustomers as binDeleteCustomers,
+  deleteTrainings as binDeleteTrainings,
+  restoreEntry,
+  subscribe,
+  BIN_ENTRY_TYPES,
+} from '../services/recycleBin';
+import { t } from '../i18n';
+
+// How long the Undo action stays available on the toast
+const UNDO_TOAST_DURATION = 10000;
+
+// "2 customers and 5 training sessions" style summary of what was restored
+const describeRestored = (customers, sessions) => {
+  const parts = [];
+  if (customers > 0) parts.push(t('undo.customers', { count: customers }));
+  if (sessions > 0 || parts.length === 0) parts.push(t('undo.sessions', { count: sessions }));
+  return parts.join(` ${t('common.and')} `);
+};
+
+/**
+ * @param {Function} [onRestored] - called whenever something is restored, from a
+ *   toast or from the recently deleted bin, so the page can reload its data
+ *
+ * Returns:
+ * - deleteCustomer(customerUrl): deletes the customer and their trainings
+ * - deleteCustomers(customerUrls, { onProgress }): deletes several customers with bounded
+ *   concurrency; resolves to per-customer results (see runWithConcurrency)
+ * - deleteTrainings(trainings, { onProgress }): deletes trainings as loaded from /gettrainings
+ *   with bounded concurrency; resolves to per-training results (see runWithConcurrency)
+ * - restore(entries): restores one or more bin entries and reports the outcome
+ * The delete functions show the success toast themselves. deleteCustomer throws
+ * on failure; the batch functions never reject, and after a partial failure their
+ * toast still offers to undo the part that was deleted.
+ */
+const useUndoableDelete = (onRestored) => {
+  // Always call the latest callback without resubscribing on every render
+  const onRestoredRef = useRef(onRestored);
+  onRestoredRef.current = onRestored;
+
+  useEffect(() => subscribe((event) => {
+    if (event.type === 'restored') onRestoredRef.current?.(event.entry);
+  }), []);
+
+  const restore = async (entries) => {
+    const list = Array.isArray(entries) ? entries : [entries];
+    let customers = 0;
+    let restored = 0;
+    let failed = 0;
+    try {
+      // One entry after another, so trainings can follow a customer restored just before
+      for (const entry of list) {
+        const result = await restoreEntry(entry.id);
+        if (entry.type === BIN_ENTRY_TYPES.CUSTOMER) customers += 1;
+        restored += result.restored;
+        failed += result.failed;
+      }
+      if (failed > 0) {
+        toast.warning(t('undo.partlyRestored', { restored, total: restored + failed }));
+      } else {
+        toast.success(t('undo.restored', { what: describeRestored(customers, restored) }));
+      }
+    } catch (error) {
+      toast.error(t('undo.restoreFailed'));
+      console.error('Error restoring deleted records:', error);
+    }
+  };
+
+  const offerUndo = (message, entries) => {
+    toast.success(message, {
+      duration: UNDO_TOAST_DURATION,
+      action: { label: t('undo.undo'), onClick: () => restore(entries) },
+    });
+  };
+
+  const deleteCustomer = async (customerUrl) => {
+    const entry = await binDeleteCustomer(customerUrl);
+    offerUndo(t('customers.deleted', { count: 1 }), [entry]);
+    return entry;
+  };
+
+  const deleteCustomers = async (customerUrls, { onProgress } = {}) => {
+    const results = await binDeleteCustomers(customerUrls, { onProgress });
+    const entries = results.filter((result) => result.ok).map((result) => result.value);
+    if (entries.length > 0) {
+      offerUndo(t('customers.deleted', { count: entries.length }), entries);
+    }
+    return results;
+  };
+
+  const deleteTrainings = async (trainings, { onProgress } = {}) => {
+    const { entry, results } = await binDeleteTrainings(trainings, { onProgress });
+    if (entry) {
+      const deleted = entry.trainings.length;
+      offerUndo(deleted === trainings.length
+        ? t('trainings.deleted', { count: deleted })
+        : t('trainings.partlyDeleted', { deleted, total: trainings.length }), [entry]);
+    }
+    return results;
+  };
+
+  return { deleteCustomer, deleteCustomers, deleteTrainings, restore };
+};
+
+export default useUndoableDelete;
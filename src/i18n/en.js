@@ -0,0 +1,607 @@
+// English messages, the fallback for keys missing from other catalogs
+// Keys are grouped by area; fi.js has the same shape
+const en = {
+  app: {
+    title: 'Personal Trainer',
+  },
+  nav: {
+    customers: 'Customers',
+    trainings: 'Trainings',
+    calendar: 'Calendar',
+    statistics: 'Statistics',
+    recentlyDeleted: 'Recently deleted',
+    snapshots: 'Snapshots',
+    backup: 'Backup and restore',
+    resetDatabase: 'Reset Database',
+    menu: 'Menu',
+    colorMode: 'Colour mode',
+    language: 'Language',
+    account: 'Account',
+  },
+  colorModes: {
+    light: 'Light',
+    dark: 'Dark',
+    system: 'System',
+  },
+  roles: {
+    admin: 'Admin',
+    trainer: 'Trainer',
+    readonly: 'Read-only',
+  },
+  auth: {
+    signIn: 'Sign In',
+    signOut: 'Sign out',
+    signInToContinue: 'Sign in to continue',
+    username: 'Username',
+    password: 'Password',
+    invalidCredentials: 'Invalid username or password',
+    demoAccounts: 'Demo accounts',
+    sessionExpired: 'Your session has expired. Please sign in again.',
+    notConfigured: 'Sign-in is not configured for this site',
+    forbidden: {
+      default: 'You are not allowed to do this',
+      otherTrainersCustomer: 'This customer is assigned to another trainer',
+      deleteCustomers: 'Only admins can delete customers',
+      deleteTrainings: 'Only admins can delete training sessions',
+      importCustomers: 'Only admins can import customers',
+      importTrainings: 'Only admins can import training sessions',
+      reset: 'Only admins can reset the database',
+      assign: 'Only admins can assign customers to trainers',
+    },
+  },
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    edit: 'Edit',
+    close: 'Close',
+    actions: 'Actions',
+    import: 'Import',
+    importCsv: 'Import CSV',
+    exportCsv: 'Export CSV',
+    exportCsvTooltip: 'Export to CSV',
+    restore: 'Restore',
+    restoring: 'Restoring…',
+    reload: 'Reload',
+    notAvailable: 'N/A',
+    noResults: 'Nothing to show',
+    select: 'Select',
+    and: 'and',
+    restoreHint: 'You can restore them from Recently Deleted until you close the app.',
+  },
+  batch: {
+    clearSelection: 'Clear selection',
+    item: 'Item',
+    result: 'Result',
+    deleted: 'Deleted',
+    summary: '{succeeded} of {total} succeeded, {failed} failed.',
+  },
+  conflicts: {
+    title: 'Scheduling conflict',
+    overlaps: {
+      one: 'This booking overlaps an existing session:',
+      other: 'This booking overlaps {count} existing sessions:',
+    },
+    customerDoubleBooked: 'Customer double-booked',
+    trainerBusy: 'Trainer busy',
+    customerClashesWith: '{name} (clashes with {range})',
+    clashesWith: 'Clashes with {range}',
+    bookAnyway: 'Book anyway',
+    checkFailed: 'Could not check for scheduling conflicts',
+  },
+  series: {
+    whichSessions: 'This session is part of a recurring series. Which sessions should be changed?',
+    thisOccurrence: 'This occurrence',
+    thisAndFollowing: 'This and following',
+    deleteTitle: 'Delete Recurring Training',
+    deleteQuestion: 'This session is part of a recurring series. Delete only this session, or this and all following sessions?',
+    editTitle: 'Edit Recurring Training',
+    editQuestion: 'This session is part of a recurring series. Apply the changes to only this session, or to this and all following sessions?',
+    changeTitle: 'Change Recurring Training',
+  },
+  customers: {
+    title: 'Customers',
+    add: 'Add Customer',
+    addTooltip: 'Add new customer',
+    edit: 'Edit customer',
+    editTitle: 'Edit Customer',
+    delete: 'Delete customer',
+    deleteTitle: 'Delete Customer',
+    deleteConfirm: 'Are you sure you want to delete this customer? This will also delete all associated trainings. You can restore them from Recently Deleted until you close the app.',
+    deleteSelectedTitle: 'Delete Customers',
+    deleteSelectedConfirm: {
+      one: 'Are you sure you want to delete 1 customer?',
+      other: 'Are you sure you want to delete {count} customers?',
+    },
+    deleteSelectedTrainings: 'All their trainings will be deleted too.',
+    deleteSelectedTrainingCount: {
+      one: 'This will also delete 1 training session.',
+      other: 'This will also delete {count} training sessions.',
+    },
+    fetchFailed: 'Failed to fetch customers',
+    fetchOneFailed: 'Failed to load customer',
+    added: 'Customer added successfully',
+    addFailed: 'Failed to add customer',
+    updated: 'Customer updated successfully',
+    updateFailed: 'Failed to update customer',
+    deleted: {
+      one: 'Customer deleted successfully',
+      other: '{count} customers deleted successfully',
+    },
+    deleteFailed: 'Failed to delete customer',
+    exported: 'Customers exported successfully',
+    exportFailed: 'Failed to export customers',
+    selectedExported: {
+      one: '1 customer exported successfully',
+      other: '{count} customers exported successfully',
+    },
+    trainingBookedFor: {
+      one: 'Training booked for 1 customer',
+      other: 'Training booked for {count} customers',
+    },
+    bookTrainingFor: {
+      one: 'Book Training for 1 Customer',
+      other: 'Book Training for {count} Customers',
+    },
+    importTooltip: 'Import customers from CSV',
+    search: 'Search Customers',
+    selected: {
+      one: '1 customer selected',
+      other: '{count} customers selected',
+    },
+    count: {
+      one: '1 customer',
+      other: '{count} customers',
+    },
+    address: 'Address',
+    fields: {
+      firstname: 'First Name',
+      lastname: 'Last Name',
+      email: 'Email',
+      phone: 'Phone',
+      streetaddress: 'Street Address',
+      postcode: 'Postcode',
+      city: 'City',
+    },
+    country: 'Country',
+    countryHelp: 'For phone and postcode',
+    notFound: 'Customer not found',
+    back: 'Back to customers',
+    exportSchedule: 'Export Schedule',
+    exportScheduleTooltip: "Export this customer's schedule (.ics)",
+    scheduleExported: 'Schedule exported successfully',
+    contactDetails: 'Contact Details',
+    editContactDetails: 'Edit contact details',
+    assignedTrainer: 'Assigned trainer',
+    unassigned: 'Unassigned',
+    trainerAssigned: 'Trainer assigned',
+    trainerUnassigned: 'Trainer unassigned',
+    assignFailed: 'Failed to assign trainer',
+    summary: 'Summary',
+    summaryTotals: '{sessions}, {minutes} minutes in total',
+    lastSeen: 'Last seen: {date}',
+    never: 'never',
+    upcomingSessions: 'Upcoming Sessions',
+    noUpcomingSessions: 'No upcoming sessions.',
+    pastSessions: 'Past Sessions',
+    noPastSessions: 'No past sessions.',
+  },
+  countries: {
+    FI: 'Finland',
+    SE: 'Sweden',
+    NO: 'Norway',
+    EE: 'Estonia',
+    DE: 'Germany',
+    GB: 'United Kingdom',
+    US: 'United States',
+  },
+  trainings: {
+    title: 'Trainings',
+    add: 'Add Training',
+    addSession: 'Add training session',
+    book: 'Book Training',
+    edit: 'Edit training session',
+    editTitle: 'Edit Training',
+    delete: 'Delete training session',
+    deleteTitle: 'Delete Training',
+    deleteConfirm: 'Are you sure you want to delete this training session?',
+    deleteSelectedTitle: 'Delete Trainings',
+    deleteSelectedConfirm: 'Are you sure you want to delete {sessions} of {customers}?',
+    deleteFailed: 'Failed to delete training session',
+    deleted: {
+      one: 'Training session deleted successfully',
+      other: '{count} training sessions deleted successfully',
+    },
+    partlyDeleted: '{deleted} of {total} training sessions deleted',
+    added: 'Training added successfully',
+    addFailed: 'Failed to add training',
+    seriesAdded: {
+      one: '1 training session added successfully',
+      other: '{count} training sessions added successfully',
+    },
+    seriesPartlyAdded: '{created} of {total} training sessions added, {failed} failed',
+    sessionsNotAdded: '{failed} of {total} sessions could not be added',
+    sessionsBooked: {
+      one: '1 session booked',
+      other: '{count} sessions booked',
+    },
+    sessionCount: {
+      one: '1 training session',
+      other: '{count} training sessions',
+    },
+    updated: {
+      one: 'Training session updated successfully',
+      other: '{count} training sessions updated successfully',
+    },
+    updateFailed: 'Failed to update training session',
+    partlyUpdated: '{updated} of {total} training sessions updated, {failed} failed',
+    fetchFailed: 'Failed to load training sessions',
+    exported: {
+      one: '1 training session exported',
+      other: '{count} training sessions exported',
+    },
+    importTooltip: 'Import trainings from .ics or CSV',
+    exportIcs: 'Export .ics',
+    exportIcsTooltip: 'Export filtered trainings to calendar (.ics)',
+    search: 'Search Trainings',
+    searchHelp: 'Search by name or activity, or filter with e.g. {example}',
+    selected: {
+      one: '1 training session selected',
+      other: '{count} training sessions selected',
+    },
+    date: 'Date',
+    invalidDate: 'Invalid date',
+    durationShort: 'Duration (min)',
+    durationMinutes: 'Duration (minutes)',
+    activity: 'Activity',
+    customer: 'Customer',
+    customers: 'Customers',
+    dateAndTime: 'Date and Time',
+    chooseCustomer: 'Please choose a customer',
+  },
+  recurrence: {
+    repeat: 'Repeat',
+    none: 'Does not repeat',
+    daily: 'Daily',
+    weekly: 'Weekly on chosen days',
+    everyNWeeks: 'Every N weeks',
+    interval: 'Repeat every (weeks)',
+    on: 'On',
+    weekdays: 'Weekdays',
+    afterCount: 'After a number of sessions',
+    onDate: 'On a date',
+    count: 'Number of sessions',
+    endDate: 'End date',
+    willBeCreated: {
+      one: '1 session will be created',
+      other: '{count} sessions will be created',
+    },
+    limitedTo: '(limited to {max})',
+    noSessions: 'The recurrence does not produce any sessions',
+  },
+  filters: {
+    title: 'Filters',
+    clearAll: 'Clear all',
+    matching: '{count} of {total} sessions',
+    from: 'From',
+    to: 'To',
+    minDuration: 'Min duration',
+    maxDuration: 'Max duration',
+    activities: 'Activities',
+    timeScope: 'Time',
+    all: 'All',
+    upcoming: 'Upcoming',
+    past: 'Past',
+    upcomingOnly: 'Upcoming only',
+    pastOnly: 'Past only',
+    reset: 'Reset',
+    chips: {
+      activity: 'Activity: {value}',
+      customer: 'Customer: {value}',
+      from: 'From {date}',
+      before: 'Before {date}',
+      on: 'On {date}',
+      until: 'Until {date}',
+      duration: 'Duration {operator} {minutes} min',
+    },
+    errors: {
+      date: 'Dates are written as yyyy-mm-dd',
+      duration: 'Durations are numbers of minutes',
+      scope: 'Use is:upcoming or is:past',
+    },
+  },
+  calendar: {
+    title: 'Training Calendar',
+    today: 'Today',
+    previous: 'Back',
+    next: 'Next',
+    month: 'Month',
+    week: 'Week',
+    day: 'Day',
+    agenda: 'Agenda',
+    date: 'Date',
+    time: 'Time',
+    event: 'Event',
+    allDay: 'All Day',
+    noEventsInRange: 'There are no sessions in this range.',
+    showMore: {
+      one: '+1 more',
+      other: '+{count} more',
+    },
+    view: 'Calendar view',
+    fetchFailed: 'Failed to load calendar events',
+    rescheduled: {
+      one: 'Training session rescheduled',
+      other: '{count} training sessions rescheduled',
+    },
+    seriesRescheduleFailed: 'Failed to reschedule the series, reloading the calendar',
+    rescheduleFailed: 'Failed to reschedule training session, changes were reverted',
+    nothingToExport: 'No training sessions in the visible range',
+    exportIcsTooltip: 'Export visible sessions to calendar (.ics)',
+    durationTooltip: 'Duration: {minutes} minutes',
+    moveToPastTitle: 'Move session into the past?',
+    moveToPastConfirm: 'This session would start on {date}, which has already passed. Move it anyway?',
+    move: 'Move',
+    icsDescription: 'Activity: {activity}\nCustomer: {customer}\nDuration: {minutes} minutes',
+    icsNoCustomer: 'N/A',
+  },
+  statistics: {
+    title: 'Training Statistics',
+    fetchFailed: 'Failed to load statistics',
+    range: 'Date range',
+    presets: {
+      thisWeek: 'This week',
+      thisMonth: 'This month',
+      last90Days: 'Last 90 days',
+      allTime: 'All time',
+      custom: 'Custom',
+    },
+    metrics: {
+      minutes: 'Minutes',
+      sessions: 'Sessions',
+    },
+    minutesTrained: 'Minutes trained',
+    activeCustomers: 'Active customers',
+    previousValue: 'Previous period: {previous}',
+    change: '{change} vs. previous period ({previous})',
+    minutesByActivity: 'Total Minutes by Activity',
+    minutesValue: '{minutes} min',
+    duration: 'Duration',
+    trends: 'Trends',
+    trendMetric: 'Trend metric',
+    granularity: 'Granularity',
+    perWeek: 'Per week',
+    perMonth: 'Per month',
+    trendComparison: '{metric} per period vs. previous period',
+    trendByActivity: '{metric} by activity',
+    selectedPeriod: 'Selected period',
+    previousPeriod: 'Previous period',
+  },
+  retention: {
+    title: 'Retention & Engagement',
+    inactiveAfter: 'Inactive after',
+    days: {
+      one: '1 day',
+      other: '{count} days',
+    },
+    active: {
+      one: 'Active (last day)',
+      other: 'Active (last {count} days)',
+    },
+    inactive: {
+      one: 'Inactive (over 1 day)',
+      other: 'Inactive (over {count} days)',
+    },
+    neverTrained: 'Never trained',
+    shareOf: '{percent}% of {count} customers',
+    noSessionIn: 'No session in {count} days ({inactive})',
+    exported: 'Inactive customers exported successfully',
+    lastSession: 'Last Session',
+    never: 'Never',
+    daysSince: 'Days Since',
+    nextBooked: 'Next Booked',
+    cohorts: 'Cohorts by month of first training',
+    noCohorts: 'No completed trainings yet.',
+    cohort: 'Cohort',
+    topCustomers: 'Top customers',
+    leaderboardMetric: 'Leaderboard metric',
+    noTrainingsInRange: 'No trainings in the selected range.',
+    firstMonth: 'First month',
+    monthOffset: '+{offset} mo',
+  },
+  undo: {
+    customers: {
+      one: 'Customer',
+      other: '{count} customers',
+    },
+    sessions: {
+      one: '1 training session',
+      other: '{count} training sessions',
+    },
+    restored: '{what} restored',
+    partlyRestored: '{restored} of {total} training sessions restored. The rest stay in Recently Deleted so you can try again.',
+    restoreFailed: 'Failed to restore',
+    undo: 'Undo',
+  },
+  bin: {
+    title: 'Recently Deleted',
+    empty: 'Nothing has been deleted in this session.',
+    discard: 'Discard',
+    emptyBin: 'Empty Bin',
+    deletedAt: 'deleted {date}',
+    customerWithSessions: {
+      one: 'Customer with 1 training session',
+      other: 'Customer with {count} training sessions',
+    },
+    sessionOn: '{activity} on {date}',
+    missing: 'This item is no longer in the recycle bin',
+  },
+  snapshots: {
+    explanation: 'A snapshot is saved automatically before the database is reset. Restoring one adds its customers and trainings to the current data.',
+    empty: 'No snapshots have been saved in this browser.',
+    restoreFailed: 'Failed to restore snapshot',
+    beforeReset: 'Before reset',
+    beforeRestore: 'Before restoring a backup',
+    missing: 'This snapshot no longer exists',
+  },
+  reset: {
+    explanation: 'This deletes every customer and training and loads the sample data instead. A snapshot of the current data is saved first; it can be restored from Snapshots.',
+    typeToConfirm: {
+      before: 'Type ',
+      after: ' to confirm.',
+    },
+    confirmation: 'Confirmation',
+    savingSnapshot: 'Saving snapshot…',
+    resetting: 'Resetting…',
+    snapshotFailed: 'Could not save a snapshot of the current data. The database was not reset.',
+    done: 'Database reset successfully',
+    failed: 'Failed to reset database',
+  },
+  backup: {
+    title: 'Backup and Restore',
+    backup: 'Backup',
+    backupExplanation: 'Download every customer and training as one JSON file. Trainer assignments and recurring series are included.',
+    preparing: 'Preparing…',
+    download: 'Download Backup',
+    downloaded: 'Backup of {customers} and {sessions} downloaded',
+    createFailed: 'Failed to create backup',
+    restoreExplanation: 'Recreate the contents of a backup file on this backend. Nothing changes until you press Restore.',
+    chooseFile: 'Choose Backup File',
+    contents: '{customers} and {sessions}',
+    exportedAt: 'exported {date}',
+    merge: 'Merge: keep the current data and add what is missing',
+    replace: 'Replace: delete the current data first',
+    added: 'Added',
+    present: 'Already present',
+    trainingSessions: 'Training sessions',
+    replaceWarning: 'The current data is deleted. A snapshot of it is saved first and can be restored from Snapshots.',
+    nothingToRestore: 'Everything in the backup is already present.',
+    previewFailed: 'Failed to compare the backup with the current data',
+    restored: 'Restored {customers} and {sessions}',
+    partlyRestored: 'Restored {customers} of {totalCustomers} customers and {sessions} of {totalSessions} training sessions',
+    someFailed: '{message}; {count} records failed',
+    restoreFailed: 'Failed to restore backup: {reason}',
+    invalid: 'Not a valid backup: {reason}',
+    errors: {
+      notJson: 'the file is not JSON',
+      wrongFormat: 'the file was not exported from this app',
+      version: 'version {version} is not supported, update the app first',
+      missing: 'customers or trainings are missing',
+      duplicateIds: 'customer ids are not unique',
+      orphan: 'a training refers to customer {id}, which is not in the file',
+      customerNotRestored: 'Customer {id} was not restored',
+    },
+  },
+  imports: {
+    steps: {
+      chooseFile: 'Choose file',
+      mapColumns: 'Map columns',
+      matchCustomers: 'Match customers',
+      preview: 'Preview',
+      import: 'Import',
+    },
+    csvOnly: 'CSV only',
+    status: {
+      ready: 'Ready',
+      invalid: 'Invalid',
+      duplicate: 'Duplicate',
+      unmatched: 'No customer',
+      alreadyExists: 'Already exists',
+    },
+    statusCount: '{label}: {count}',
+    trainingFields: {
+      date: 'Date',
+      time: 'Start Time',
+      end: 'End Time',
+      duration: 'Duration (min)',
+      activity: 'Activity',
+      customer: 'Customer Name',
+      email: 'Customer Email',
+    },
+    chooseFile: 'Choose file',
+    chooseCsvFile: 'Choose CSV file',
+    noDataRows: 'The file has no data rows',
+    noEvents: 'The calendar file has no events',
+    readFailed: 'Failed to read the file',
+    readCsvFailed: 'Failed to read the CSV file',
+    fileRows: {
+      one: '{file}: 1 row. Choose which column holds each field.',
+      other: '{file}: {count} rows. Choose which column holds each field.',
+    },
+    defaultDuration: 'Without a duration or end column, sessions last {minutes} minutes.',
+    notImported: 'Not imported',
+    column: 'Column {number}',
+    row: 'Row',
+    rowNumber: 'Row {number}',
+    eventNumber: 'Event {number}',
+    name: 'Name',
+    session: 'Session',
+    statusColumn: 'Status',
+    problems: 'Problems',
+    result: 'Result',
+    details: 'Details',
+    failed: 'Failed',
+    skipped: 'Skipped',
+    importing: 'Importing {done} of {total}…',
+    finished: 'Finished: {created} created, {failed} failed, {skipped} skipped.',
+    back: 'Back',
+    next: 'Next',
+    done: 'Done',
+    duplicateEmail: 'Duplicate email',
+    emailExists: 'Email already exists',
+    includeDuplicates: 'Import duplicates anyway',
+    customersTitle: 'Import Customers',
+    customersIntro: 'Choose a CSV file with a header row. Columns are matched to {fields}.',
+    importCustomers: {
+      one: 'Import 1 customer',
+      other: 'Import {count} customers',
+    },
+    customersImported: {
+      one: '1 customer imported successfully',
+      other: '{count} customers imported successfully',
+    },
+    customersPartlyImported: '{created} customers imported, {failed} failed',
+    trainingsTitle: 'Import Trainings',
+    trainingsIntro: 'Choose an .ics calendar export (e.g. from Google Calendar) or a CSV file with {fields} columns.',
+    allMatched: {
+      one: 'The session was matched to an existing customer by name or email.',
+      other: 'All {count} sessions were matched to existing customers by name or email.',
+    },
+    unmatchedIntro: 'These attendees did not match a customer by name or email. Choose the customer for each, or leave it empty to skip their sessions.',
+    attendeeSessions: '{attendee} ({sessions})',
+    sessionCount: {
+      one: '1 session',
+      other: '{count} sessions',
+    },
+    noAttendee: '(no attendee)',
+    importSessions: {
+      one: 'Import 1 session',
+      other: 'Import {count} sessions',
+    },
+    trainingsImported: {
+      one: '1 training session imported successfully',
+      other: '{count} training sessions imported successfully',
+    },
+    trainingsPartlyImported: '{created} training sessions imported, {failed} failed',
+    errors: {
+      date: 'Date is missing or not recognised',
+      duration: 'Duration is not a positive number of minutes',
+      activity: 'Activity is required',
+      summary: 'Event has no summary to use as activity',
+      recurrence: 'Repeats in a way that cannot be imported ({rule}); add these sessions by hand',
+    },
+  },
+  validation: {
+    correctFields: 'Please correct the highlighted fields',
+    required: '{field} is required',
+    email: 'Enter a valid email address, e.g. name@example.com',
+    phone: 'Enter a phone number such as +{callingCode} 40 123 4567',
+    postcode: 'Postcodes in {country} look like {example}',
+    duplicateEmail: 'Already used by {name}',
+    duplicateName: 'A customer named {name} already exists',
+    duplicatePhone: 'Same phone number as {name}',
+    invalid: 'Invalid value',
+  },
+};
+
+export default en;
@@ -0,0 +1,606 @@
+// Finnish messages; same keys as en.js
+const fi = {
+  app: {
+    title: 'Personal Trainer',
+  },
+  nav: {
+    customers: 'Asiakkaat',
+    trainings: 'Harjoitukset',
+    calendar: 'Kalenteri',
+    statistics: 'Tilastot',
+    recentlyDeleted: 'Äskettäin poistetut',
+    snapshots: 'Tilannevedokset',
+    backup: 'Varmuuskopiointi ja palautus',
+    resetDatabase: 'Nollaa tietokanta',
+    menu: 'Valikko',
+    colorMode: 'Väriteema',
+    language: 'Kieli',
+    account: 'Tili',
+  },
+  colorModes: {
+    light: 'Vaalea',
+    dark: 'Tumma',
+    system: 'Järjestelmän mukaan',
+  },
+  roles: {
+    admin: 'Ylläpitäjä',
+    trainer: 'Valmentaja',
+    readonly: 'Vain luku',
+  },
+  auth: {
+    signIn: 'Kirjaudu',
+    signOut: 'Kirjaudu ulos',
+    signInToContinue: 'Kirjaudu jatkaaksesi',
+    username: 'Käyttäjätunnus',
+    password: 'Salasana',
+    invalidCredentials: 'Väärä käyttäjätunnus tai salasana',
+    demoAccounts: 'Esittelytunnukset',
+    sessionExpired: 'Istuntosi on vanhentunut. Kirjaudu uudelleen.',
+    notConfigured: 'Kirjautumista ei ole määritetty tälle sivustolle',
+    forbidden: {
+      default: 'Sinulla ei ole oikeutta tähän',
+      otherTrainersCustomer: 'Asiakas on toisen valmentajan asiakas',
+      deleteCustomers: 'Vain ylläpitäjät voivat poistaa asiakkaita',
+      deleteTrainings: 'Vain ylläpitäjät voivat poistaa harjoituksia',
+      importCustomers: 'Vain ylläpitäjät voivat tuoda asiakkaita',
+      importTrainings: 'Vain ylläpitäjät voivat tuoda harjoituksia',
+      reset: 'Vain ylläpitäjät voivat palauttaa tietokannan',
+      assign: 'Vain ylläpitäjät voivat määrätä asiakkaita valmentajille',
+    },
+  },
+  common: {
+    cancel: 'Peruuta',
+    save: 'Tallenna',
+    delete: 'Poista',
+    edit: 'Muokkaa',
+    close: 'Sulje',
+    actions: 'Toiminnot',
+    import: 'Tuo',
+    importCsv: 'Tuo CSV',
+    exportCsv: 'Vie CSV',
+    exportCsvTooltip: 'Vie CSV-tiedostoon',
+    restore: 'Palauta',
+    restoring: 'Palautetaan…',
+    reload: 'Lataa uudelleen',
+    notAvailable: 'Ei tiedossa',
+    noResults: 'Ei näytettävää',
+    select: 'Valitse',
+    and: 'ja',
+    restoreHint: 'Voit palauttaa ne Äskettäin poistetuista, kunnes suljet sovelluksen.',
+  },
+  batch: {
+    clearSelection: 'Tyhjennä valinta',
+    item: 'Kohde',
+    result: 'Tulos',
+    deleted: 'Poistettu',
+    summary: '{succeeded}/{total} onnistui, {failed} epäonnistui.',
+  },
+  conflicts: {
+    title: 'Päällekkäinen varaus',
+    overlaps: {
+      one: 'Varaus menee päällekkäin olemassa olevan harjoituksen kanssa:',
+      other: 'Varaus menee päällekkäin {count} olemassa olevan harjoituksen kanssa:',
+    },
+    customerDoubleBooked: 'Asiakas varattu kahdesti',
+    trainerBusy: 'Valmentaja varattu',
+    customerClashesWith: '{name} (päällekkäin: {range})',
+    clashesWith: 'Päällekkäin: {range}',
+    bookAnyway: 'Varaa silti',
+    checkFailed: 'Päällekkäisiä varauksia ei voitu tarkistaa',
+  },
+  series: {
+    whichSessions: 'Tämä harjoitus kuuluu toistuvaan sarjaan. Mitä harjoituksia muutos koskee?',
+    thisOccurrence: 'Vain tätä',
+    thisAndFollowing: 'Tätä ja seuraavia',
+    deleteTitle: 'Poista toistuva harjoitus',
+    deleteQuestion: 'Tämä harjoitus kuuluu toistuvaan sarjaan. Poistetaanko vain tämä harjoitus vai tämä ja kaikki seuraavat?',
+    editTitle: 'Muokkaa toistuvaa harjoitusta',
+    editQuestion: 'Tämä harjoitus kuuluu toistuvaan sarjaan. Koskevatko muutokset vain tätä harjoitusta vai tätä ja kaikkia seuraavia?',
+    changeTitle: 'Muuta toistuvaa harjoitusta',
+  },
+  customers: {
+    title: 'Asiakkaat',
+    add: 'Lisää asiakas',
+    addTooltip: 'Lisää uusi asiakas',
+    edit: 'Muokkaa asiakasta',
+    editTitle: 'Muokkaa asiakasta',
+    delete: 'Poista asiakas',
+    deleteTitle: 'Poista asiakas',
+    deleteConfirm: 'Haluatko varmasti poistaa tämän asiakkaan? Myös kaikki asiakkaan harjoitukset poistetaan. Voit palauttaa ne Äskettäin poistetuista, kunnes suljet sovelluksen.',
+    deleteSelectedTitle: 'Poista asiakkaat',
+    deleteSelectedConfirm: {
+      one: 'Haluatko varmasti poistaa 1 asiakkaan?',
+      other: 'Haluatko varmasti poistaa {count} asiakasta?',
+    },
+    deleteSelectedTrainings: 'Myös kaikki heidän harjoituksensa poistetaan.',
+    deleteSelectedTrainingCount: {
+      one: 'Samalla poistetaan 1 harjoitus.',
+      other: 'Samalla poistetaan {count} harjoitusta.',
+    },
+    fetchFailed: 'Asiakkaiden haku epäonnistui',
+    fetchOneFailed: 'Asiakkaan lataus epäonnistui',
+    added: 'Asiakas lisätty',
+    addFailed: 'Asiakkaan lisäys epäonnistui',
+    updated: 'Asiakas päivitetty',
+    updateFailed: 'Asiakkaan päivitys epäonnistui',
+    deleted: {
+      one: 'Asiakas poistettu',
+      other: '{count} asiakasta poistettu',
+    },
+    deleteFailed: 'Asiakkaan poisto epäonnistui',
+    exported: 'Asiakkaat viety',
+    exportFailed: 'Asiakkaiden vienti epäonnistui',
+    selectedExported: {
+      one: '1 asiakas viety',
+      other: '{count} asiakasta viety',
+    },
+    trainingBookedFor: {
+      one: 'Harjoitus varattu 1 asiakkaalle',
+      other: 'Harjoitus varattu {count} asiakkaalle',
+    },
+    bookTrainingFor: {
+      one: 'Varaa harjoitus 1 asiakkaalle',
+      other: 'Varaa harjoitus {count} asiakkaalle',
+    },
+    importTooltip: 'Tuo asiakkaat CSV-tiedostosta',
+    search: 'Hae asiakkaita',
+    selected: {
+      one: '1 asiakas valittu',
+      other: '{count} asiakasta valittu',
+    },
+    count: {
+      one: '1 asiakas',
+      other: '{count} asiakasta',
+    },
+    address: 'Osoite',
+    fields: {
+      firstname: 'Etunimi',
+      lastname: 'Sukunimi',
+      email: 'Sähköposti',
+      phone: 'Puhelin',
+      streetaddress: 'Katuosoite',
+      postcode: 'Postinumero',
+      city: 'Kaupunki',
+    },
+    country: 'Maa',
+    countryHelp: 'Puhelinnumeroa ja postinumeroa varten',
+    notFound: 'Asiakasta ei löytynyt',
+    back: 'Takaisin asiakkaisiin',
+    exportSchedule: 'Vie aikataulu',
+    exportScheduleTooltip: 'Vie asiakkaan aikataulu kalenteriin (.ics)',
+    scheduleExported: 'Aikataulu viety',
+    contactDetails: 'Yhteystiedot',
+    editContactDetails: 'Muokkaa yhteystietoja',
+    assignedTrainer: 'Valmentaja',
+    unassigned: 'Ei valmentajaa',
+    trainerAssigned: 'Valmentaja asetettu',
+    trainerUnassigned: 'Valmentaja poistettu',
+    assignFailed: 'Valmentajan asetus epäonnistui',
+    summary: 'Yhteenveto',
+    summaryTotals: '{sessions}, yhteensä {minutes} minuuttia',
+    lastSeen: 'Viimeksi paikalla: {date}',
+    never: 'ei koskaan',
+    upcomingSessions: 'Tulevat harjoitukset',
+    noUpcomingSessions: 'Ei tulevia harjoituksia.',
+    pastSessions: 'Menneet harjoitukset',
+    noPastSessions: 'Ei menneitä harjoituksia.',
+  },
+  countries: {
+    FI: 'Suomi',
+    SE: 'Ruotsi',
+    NO: 'Norja',
+    EE: 'Viro',
+    DE: 'Saksa',
+    GB: 'Iso-Britannia',
+    US: 'Yhdysvallat',
+  },
+  trainings: {
+    title: 'Harjoitukset',
+    add: 'Lisää harjoitus',
+    addSession: 'Lisää harjoitus',
+    book: 'Varaa harjoitus',
+    edit: 'Muokkaa harjoitusta',
+    editTitle: 'Muokkaa harjoitusta',
+    delete: 'Poista harjoitus',
+    deleteTitle: 'Poista harjoitus',
+    deleteConfirm: 'Haluatko varmasti poistaa tämän harjoituksen?',
+    deleteSelectedTitle: 'Poista harjoitukset',
+    deleteSelectedConfirm: 'Haluatko varmasti poistaa {sessions} ({customers})?',
+    deleteFailed: 'Harjoituksen poisto epäonnistui',
+    deleted: {
+      one: 'Harjoitus poistettu',
+      other: '{count} harjoitusta poistettu',
+    },
+    partlyDeleted: '{deleted}/{total} harjoitusta poistettu',
+    added: 'Harjoitus lisätty',
+    addFailed: 'Harjoituksen lisäys epäonnistui',
+    seriesAdded: {
+      one: '1 harjoitus lisätty',
+      other: '{count} harjoitusta lisätty',
+    },
+    seriesPartlyAdded: '{created}/{total} harjoitusta lisätty, {failed} epäonnistui',
+    sessionsNotAdded: '{failed}/{total} harjoitusta ei voitu lisätä',
+    sessionsBooked: {
+      one: '1 harjoitus varattu',
+      other: '{count} harjoitusta varattu',
+    },
+    sessionCount: {
+      one: '1 harjoitus',
+      other: '{count} harjoitusta',
+    },
+    updated: {
+      one: 'Harjoitus päivitetty',
+      other: '{count} harjoitusta päivitetty',
+    },
+    updateFailed: 'Harjoituksen päivitys epäonnistui',
+    partlyUpdated: '{updated}/{total} harjoitusta päivitetty, {failed} epäonnistui',
+    fetchFailed: 'Harjoitusten lataus epäonnistui',
+    exported: {
+      one: '1 harjoitus viety',
+      other: '{count} harjoitusta viety',
+    },
+    importTooltip: 'Tuo harjoitukset .ics- tai CSV-tiedostosta',
+    exportIcs: 'Vie .ics',
+    exportIcsTooltip: 'Vie suodatetut harjoitukset kalenteriin (.ics)',
+    search: 'Hae harjoituksia',
+    searchHelp: 'Hae nimellä tai lajilla, tai suodata esim. {example}',
+    selected: {
+      one: '1 harjoitus valittu',
+      other: '{count} harjoitusta valittu',
+    },
+    date: 'Päivämäärä',
+    invalidDate: 'Virheellinen päivämäärä',
+    durationShort: 'Kesto (min)',
+    durationMinutes: 'Kesto (minuuttia)',
+    activity: 'Laji',
+    customer: 'Asiakas',
+    customers: 'Asiakkaat',
+    dateAndTime: 'Päivämäärä ja aika',
+    chooseCustomer: 'Valitse asiakas',
+  },
+  recurrence: {
+    repeat: 'Toisto',
+    none: 'Ei toistu',
+    daily: 'Päivittäin',
+    weekly: 'Viikoittain valittuina päivinä',
+    everyNWeeks: 'Joka N. viikko',
+    interval: 'Toistoväli (viikkoa)',
+    on: 'Päivät',
+    weekdays: 'Viikonpäivät',
+    afterCount: 'Tietyn harjoitusmäärän jälkeen',
+    onDate: 'Tiettynä päivänä',
+    count: 'Harjoitusten määrä',
+    endDate: 'Päättymispäivä',
+    willBeCreated: {
+      one: '1 harjoitus luodaan',
+      other: '{count} harjoitusta luodaan',
+    },
+    limitedTo: '(enintään {max})',
+    noSessions: 'Toistosääntö ei tuota yhtään harjoitusta',
+  },
+  filters: {
+    title: 'Suodattimet',
+    clearAll: 'Tyhjennä kaikki',
+    matching: '{count}/{total} harjoitusta',
+    from: 'Alkaen',
+    to: 'Päättyen',
+    minDuration: 'Vähimmäiskesto',
+    maxDuration: 'Enimmäiskesto',
+    activities: 'Lajit',
+    timeScope: 'Aika',
+    all: 'Kaikki',
+    upcoming: 'Tulevat',
+    past: 'Menneet',
+    upcomingOnly: 'Vain tulevat',
+    pastOnly: 'Vain menneet',
+    reset: 'Tyhjennä',
+    chips: {
+      activity: 'Laji: {value}',
+      customer: 'Asiakas: {value}',
+      from: 'Alkaen {date}',
+      before: 'Ennen {date}',
+      on: 'Päivänä {date}',
+      until: 'Päättyen {date}',
+      duration: 'Kesto {operator} {minutes} min',
+    },
+    errors: {
+      date: 'Päivämäärät kirjoitetaan muodossa vvvv-kk-pp',
+      duration: 'Kesto annetaan minuutteina',
+      scope: 'Käytä is:upcoming tai is:past',
+    },
+  },
+  calendar: {
+    title: 'Harjoituskalenteri',
+    today: 'Tänään',
+    previous: 'Edellinen',
+    next: 'Seuraava',
+    month: 'Kuukausi',
+    week: 'Viikko',
+    day: 'Päivä',
+    agenda: 'Lista',
+    date: 'Päivämäärä',
+    time: 'Aika',
+    event: 'Harjoitus',
+    allDay: 'Koko päivä',
+    noEventsInRange: 'Tällä aikavälillä ei ole harjoituksia.',
+    showMore: {
+      one: '+1 lisää',
+      other: '+{count} lisää',
+    },
+    view: 'Kalenterinäkymä',
+    fetchFailed: 'Kalenterin lataus epäonnistui',
+    rescheduled: {
+      one: 'Harjoitus siirretty',
+      other: '{count} harjoitusta siirretty',
+    },
+    seriesRescheduleFailed: 'Sarjan siirto epäonnistui, kalenteri ladataan uudelleen',
+    rescheduleFailed: 'Harjoituksen siirto epäonnistui, muutokset peruttiin',
+    nothingToExport: 'Näkyvällä aikavälillä ei ole harjoituksia',
+    exportIcsTooltip: 'Vie näkyvät harjoitukset kalenteriin (.ics)',
+    durationTooltip: 'Kesto: {minutes} minuuttia',
+    moveToPastTitle: 'Siirretäänkö harjoitus menneisyyteen?',
+    moveToPastConfirm: 'Harjoitus alkaisi {date}, joka on jo mennyt. Siirretäänkö silti?',
+    move: 'Siirrä',
+    icsDescription: 'Laji: {activity}\nAsiakas: {customer}\nKesto: {minutes} minuuttia',
+    icsNoCustomer: 'Ei asiakasta',
+  },
+  statistics: {
+    title: 'Harjoitustilastot',
+    fetchFailed: 'Tilastojen lataus epäonnistui',
+    range: 'Aikaväli',
+    presets: {
+      thisWeek: 'Tämä viikko',
+      thisMonth: 'Tämä kuukausi',
+      last90Days: 'Viimeiset 90 päivää',
+      allTime: 'Kaikki',
+      custom: 'Mukautettu',
+    },
+    metrics: {
+      minutes: 'Minuutit',
+      sessions: 'Harjoitukset',
+    },
+    minutesTrained: 'Harjoitellut minuutit',
+    activeCustomers: 'Aktiiviset asiakkaat',
+    previousValue: 'Edellinen jakso: {previous}',
+    change: '{change} edelliseen jaksoon verrattuna ({previous})',
+    minutesByActivity: 'Minuutit lajeittain',
+    minutesValue: '{minutes} min',
+    duration: 'Kesto',
+    trends: 'Trendit',
+    trendMetric: 'Trendin mittari',
+    granularity: 'Tarkkuus',
+    perWeek: 'Viikoittain',
+    perMonth: 'Kuukausittain',
+    trendComparison: '{metric} jaksoittain verrattuna edelliseen jaksoon',
+    trendByActivity: '{metric} lajeittain',
+    selectedPeriod: 'Valittu jakso',
+    previousPeriod: 'Edellinen jakso',
+  },
+  retention: {
+    title: 'Asiakaspysyvyys ja aktiivisuus',
+    inactiveAfter: 'Passiivinen, kun',
+    days: {
+      one: '1 päivä',
+      other: '{count} päivää',
+    },
+    active: {
+      one: 'Aktiiviset (viimeinen päivä)',
+      other: 'Aktiiviset (viimeiset {count} päivää)',
+    },
+    inactive: {
+      one: 'Passiiviset (yli 1 päivä)',
+      other: 'Passiiviset (yli {count} päivää)',
+    },
+    neverTrained: 'Ei harjoituksia',
+    shareOf: '{percent} % {count} asiakkaasta',
+    noSessionIn: 'Ei harjoituksia {count} päivään ({inactive})',
+    exported: 'Passiiviset asiakkaat viety',
+    lastSession: 'Viimeisin harjoitus',
+    never: 'Ei koskaan',
+    daysSince: 'Päiviä siitä',
+    nextBooked: 'Seuraava varaus',
+    cohorts: 'Kohortit ensimmäisen harjoituksen kuukauden mukaan',
+    noCohorts: 'Ei vielä pidettyjä harjoituksia.',
+    cohort: 'Kohortti',
+    topCustomers: 'Aktiivisimmat asiakkaat',
+    leaderboardMetric: 'Listan mittari',
+    noTrainingsInRange: 'Valitulla aikavälillä ei ole harjoituksia.',
+    firstMonth: 'Ensimmäinen kk',
+    monthOffset: '+{offset} kk',
+  },
+  undo: {
+    customers: {
+      one: 'Asiakas',
+      other: '{count} asiakasta',
+    },
+    sessions: {
+      one: '1 harjoitus',
+      other: '{count} harjoitusta',
+    },
+    restored: '{what} palautettu',
+    partlyRestored: '{restored}/{total} harjoitusta palautettu. Loput jäävät Äskettäin poistettuihin, joten voit yrittää uudelleen.',
+    restoreFailed: 'Palautus epäonnistui',
+    undo: 'Kumoa',
+  },
+  bin: {
+    title: 'Äskettäin poistetut',
+    empty: 'Tämän istunnon aikana ei ole poistettu mitään.',
+    discard: 'Hylkää',
+    emptyBin: 'Tyhjennä',
+    deletedAt: 'poistettu {date}',
+    customerWithSessions: {
+      one: 'Asiakas ja 1 harjoitus',
+      other: 'Asiakas ja {count} harjoitusta',
+    },
+    sessionOn: '{activity} {date}',
+    missing: 'Kohde ei ole enää roskakorissa',
+  },
+  snapshots: {
+    explanation: 'Tilannevedos tallennetaan automaattisesti ennen tietokannan nollausta. Palautus lisää vedoksen asiakkaat ja harjoitukset nykyisiin tietoihin.',
+    empty: 'Tähän selaimeen ei ole tallennettu tilannevedoksia.',
+    restoreFailed: 'Tilannevedoksen palautus epäonnistui',
+    beforeReset: 'Ennen nollausta',
+    beforeRestore: 'Ennen varmuuskopion palautusta',
+    missing: 'Tätä tilannevedosta ei enää ole',
+  },
+  reset: {
+    explanation: 'Tämä poistaa kaikki asiakkaat ja harjoitukset ja lataa tilalle esimerkkitiedot. Nykyisistä tiedoista tallennetaan ensin tilannevedos, jonka voi palauttaa Tilannevedoksista.',
+    typeToConfirm: {
+      before: 'Vahvista kirjoittamalla ',
+      after: '.',
+    },
+    confirmation: 'Vahvistus',
+    savingSnapshot: 'Tallennetaan tilannevedosta…',
+    resetting: 'Nollataan…',
+    snapshotFailed: 'Nykyisistä tiedoista ei voitu tallentaa tilannevedosta. Tietokantaa ei nollattu.',
+    done: 'Tietokanta nollattu',
+    failed: 'Tietokannan nollaus epäonnistui',
+  },
+  backup: {
+    title: 'Varmuuskopiointi ja palautus',
+    backup: 'Varmuuskopio',
+    backupExplanation: 'Lataa kaikki asiakkaat ja harjoitukset yhtenä JSON-tiedostona. Mukana ovat myös valmentajat ja toistuvat sarjat.',
+    preparing: 'Valmistellaan…',
+    download: 'Lataa varmuuskopio',
+    downloaded: 'Varmuuskopio ladattu: {customers} ja {sessions}',
+    createFailed: 'Varmuuskopion luonti epäonnistui',
+    restoreExplanation: 'Luo varmuuskopion sisältö uudelleen tähän taustajärjestelmään. Mikään ei muutu ennen kuin painat Palauta.',
+    chooseFile: 'Valitse varmuuskopiotiedosto',
+    contents: '{customers} ja {sessions}',
+    exportedAt: 'viety {date}',
+    merge: 'Yhdistä: säilytä nykyiset tiedot ja lisää puuttuvat',
+    replace: 'Korvaa: poista nykyiset tiedot ensin',
+    added: 'Lisätään',
+    present: 'On jo olemassa',
+    trainingSessions: 'Harjoitukset',
+    replaceWarning: 'Nykyiset tiedot poistetaan. Niistä tallennetaan ensin tilannevedos, jonka voi palauttaa Tilannevedoksista.',
+    nothingToRestore: 'Kaikki varmuuskopion tiedot ovat jo olemassa.',
+    previewFailed: 'Varmuuskopion vertailu nykyisiin tietoihin epäonnistui',
+    restored: 'Palautettu {customers} ja {sessions}',
+    partlyRestored: 'Palautettu {customers}/{totalCustomers} asiakasta ja {sessions}/{totalSessions} harjoitusta',
+    someFailed: '{message}; {count} tietuetta epäonnistui',
+    restoreFailed: 'Varmuuskopion palautus epäonnistui: {reason}',
+    invalid: 'Virheellinen varmuuskopio: {reason}',
+    errors: {
+      notJson: 'tiedosto ei ole JSON-muotoinen',
+      wrongFormat: 'tiedostoa ei ole viety tästä sovelluksesta',
+      version: 'versiota {version} ei tueta, päivitä sovellus ensin',
+      missing: 'asiakkaat tai harjoitukset puuttuvat',
+      duplicateIds: 'asiakkaiden tunnisteet eivät ole yksilöllisiä',
+      orphan: 'harjoitus viittaa asiakkaaseen {id}, jota ei ole tiedostossa',
+      customerNotRestored: 'Asiakasta {id} ei palautettu',
+    },
+  },
+  imports: {
+    steps: {
+      chooseFile: 'Valitse tiedosto',
+      mapColumns: 'Yhdistä sarakkeet',
+      matchCustomers: 'Yhdistä asiakkaat',
+      preview: 'Esikatselu',
+      import: 'Tuonti',
+    },
+    csvOnly: 'Vain CSV',
+    status: {
+      ready: 'Valmis',
+      invalid: 'Virheellinen',
+      duplicate: 'Kaksoiskappale',
+      unmatched: 'Ei asiakasta',
+      alreadyExists: 'On jo olemassa',
+    },
+    statusCount: '{label}: {count}',
+    trainingFields: {
+      date: 'Päivämäärä',
+      time: 'Alkamisaika',
+      end: 'Päättymisaika',
+      duration: 'Kesto (min)',
+      activity: 'Laji',
+      customer: 'Asiakkaan nimi',
+      email: 'Asiakkaan sähköposti',
+    },
+    chooseFile: 'Valitse tiedosto',
+    chooseCsvFile: 'Valitse CSV-tiedosto',
+    noDataRows: 'Tiedostossa ei ole tietorivejä',
+    noEvents: 'Kalenteritiedostossa ei ole tapahtumia',
+    readFailed: 'Tiedoston lukeminen epäonnistui',
+    readCsvFailed: 'CSV-tiedoston lukeminen epäonnistui',
+    fileRows: {
+      one: '{file}: 1 rivi. Valitse, mikä sarake sisältää kunkin kentän.',
+      other: '{file}: {count} riviä. Valitse, mikä sarake sisältää kunkin kentän.',
+    },
+    defaultDuration: 'Ilman kesto- tai päättymissaraketta harjoitukset kestävät {minutes} minuuttia.',
+    notImported: 'Ei tuoda',
+    column: 'Sarake {number}',
+    row: 'Rivi',
+    rowNumber: 'Rivi {number}',
+    eventNumber: 'Tapahtuma {number}',
+    name: 'Nimi',
+    session: 'Harjoitus',
+    statusColumn: 'Tila',
+    problems: 'Ongelmat',
+    result: 'Tulos',
+    details: 'Tiedot',
+    failed: 'Epäonnistui',
+    skipped: 'Ohitettu',
+    importing: 'Tuodaan {done}/{total}…',
+    finished: 'Valmis: {created} luotu, {failed} epäonnistui, {skipped} ohitettu.',
+    back: 'Takaisin',
+    next: 'Seuraava',
+    done: 'Valmis',
+    duplicateEmail: 'Sähköposti on jo käytössä',
+    emailExists: 'Sähköposti on jo olemassa',
+    includeDuplicates: 'Tuo kaksoiskappaleet silti',
+    customersTitle: 'Tuo asiakkaita',
+    customersIntro: 'Valitse CSV-tiedosto, jossa on otsikkorivi. Sarakkeet yhdistetään kenttiin {fields}.',
+    importCustomers: {
+      one: 'Tuo 1 asiakas',
+      other: 'Tuo {count} asiakasta',
+    },
+    customersImported: {
+      one: '1 asiakas tuotiin onnistuneesti',
+      other: '{count} asiakasta tuotiin onnistuneesti',
+    },
+    customersPartlyImported: '{created} asiakasta tuotiin, {failed} epäonnistui',
+    trainingsTitle: 'Tuo harjoituksia',
+    trainingsIntro: 'Valitse .ics-kalenterivienti (esim. Google-kalenterista) tai CSV-tiedosto, jossa on sarakkeet {fields}.',
+    allMatched: {
+      one: 'Harjoitus yhdistettiin olemassa olevaan asiakkaaseen nimen tai sähköpostin perusteella.',
+      other: 'Kaikki {count} harjoitusta yhdistettiin olemassa oleviin asiakkaisiin nimen tai sähköpostin perusteella.',
+    },
+    unmatchedIntro: 'Näitä osallistujia ei löytynyt asiakkaista nimen tai sähköpostin perusteella. Valitse kullekin asiakas tai jätä kenttä tyhjäksi ohittaaksesi heidän harjoituksensa.',
+    attendeeSessions: '{attendee} ({sessions})',
+    sessionCount: {
+      one: '1 harjoitus',
+      other: '{count} harjoitusta',
+    },
+    noAttendee: '(ei osallistujaa)',
+    importSessions: {
+      one: 'Tuo 1 harjoitus',
+      other: 'Tuo {count} harjoitusta',
+    },
+    trainingsImported: {
+      one: '1 harjoitus tuotiin onnistuneesti',
+      other: '{count} harjoitusta tuotiin onnistuneesti',
+    },
+    trainingsPartlyImported: '{created} harjoitusta tuotiin, {failed} epäonnistui',
+    errors: {
+      date: 'Päivämäärä puuttuu tai sitä ei tunnistettu',
+      duration: 'Kesto ei ole positiivinen minuuttimäärä',
+      activity: 'Laji on pakollinen',
+      summary: 'Tapahtumalla ei ole otsikkoa, jota käyttää lajina',
+      recurrence: 'Toistuu tavalla, jota ei voi tuoda ({rule}); lisää nämä harjoitukset käsin',
+    },
+  },
+  validation: {
+    correctFields: 'Korjaa korostetut kentät',
+    required: '{field} on pakollinen',
+    email: 'Anna kelvollinen sähköpostiosoite, esim. nimi@esimerkki.fi',
+    phone: 'Anna puhelinnumero muodossa +{callingCode} 40 123 4567',
+    postcode: 'Maan {country} postinumerot ovat muotoa {example}',
+    duplicateEmail: 'Käytössä jo asiakkaalla {name}',
+    duplicateName: 'Asiakas nimeltä {name} on jo olemassa',
+    duplicatePhone: 'Sama puhelinnumero kuin asiakkaalla {name}',
+    invalid: 'Virheellinen arvo',
+  },
+};
+
+export default fi;
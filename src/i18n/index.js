@@ -0,0 +1,111 @@
+// Translations and locale-aware formatting
+// Messages live in one catalog per language (en.js, fi.js) and are looked up by
+// dotted key, e.g. t('customers.title'). English is the fallback for keys a
+// catalog lacks. The chosen language is kept in localStorage.
+// Components read translations through useI18n() so they re-render when the
+// language changes; code outside components (toast messages in hooks, chip
+// labels in utils) can call t() and the formatters directly.
+import { format as formatDateFns } from 'date-fns';
+import enGB from 'date-fns/locale/en-GB';
+import fiDateLocale from 'date-fns/locale/fi';
+import { enUS as muiEnUS, fiFI as muiFiFI } from '@mui/material/locale';
+import { enUS as dataGridEnUS, fiFI as dataGridFiFI } from '@mui/x-data-grid/locales';
+import { enUS as pickersEnUS, fiFI as pickersFiFI } from '@mui/x-date-pickers/locales';
+import en from './en';
+import fi from './fi';
+
+// Supported languages
+// tag: BCP 47 tag for Intl and react-big-calendar
+// dateLocale: date-fns locale, which also decides the first day of the week
+// muiLocales: theme locales for MUI components, the DataGrid and the date pickers
+export const LANGUAGES = {
+  en: {
+    label: 'English',
+    tag: 'en-GB',
+    dateLocale: enGB,
+    muiLocales: [muiEnUS, dataGridEnUS, pickersEnUS],
+    messages: en,
+  },
+  fi: {
+    label: 'Suomi',
+    tag: 'fi-FI',
+    dateLocale: fiDateLocale,
+    muiLocales: [muiFiFI, dataGridFiFI, pickersFiFI],
+    messages: fi,
+  },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// localStorage key holding the chosen language
+export const LANGUAGE_STORAGE_KEY = 'personalTrainer.language';
+
+// The stored choice, or the browser's language when it is one we have
+const readLanguage = () => {
+  try {
+    const stored = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (LANGUAGES[stored]) return stored;
+  } catch {
+    // localStorage unavailable: fall back to the browser language
+  }
+  const browser = String(window.navigator?.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+let language = readLanguage();
+document.documentElement.lang = language;
+
+export const getLanguage = () => language;
+
+export const getLanguageConfig = () => LANGUAGES[language];
+
+// Switches the language and remembers the choice; use setLanguage from useI18n in components
+export const setLanguage = (next) => {
+  if (!LANGUAGES[next]) return;
+  language = next;
+  document.documentElement.lang = next;
+  try {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, next);
+  } catch {
+    // localStorage unavailable: the choice lasts until the page is reloaded
+  }
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// Numbers in messages are formatted for the language, e.g. 1 234 in Finnish
+const formatParam = (value) => (typeof value === 'number' ? formatNumber(value) : value);
+
+/**
+ * Translates a message key.
+ * {name} placeholders are replaced from params. Messages with plural forms are
+ * objects such as { one: '1 session', other: '{count} sessions' }, picked by
+ * params.count.
+ *
+ * @param {string} key - dotted key into the catalogs, e.g. 'trainings.deleted'
+ * @param {object} [params]
+ * @returns {string} the message, or the key itself when no catalog has it
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(LANGUAGES[language].messages, key) ?? lookup(en, key) ?? key;
+  if (message && typeof message === 'object') {
+    const form = new Intl.PluralRules(LANGUAGES[language].tag).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : formatParam(params[name])
+  ));
+};
+
+// Formats a date with a date-fns pattern in the current language, e.g. 'LLLL yyyy'
+export const formatDate = (date, pattern = 'P') => formatDateFns(new Date(date), pattern, { locale: LANGUAGES[language].dateLocale });
+
+// Date and time the way the current language writes them, e.g. 21/10/2026 17:30 or 21.10.2026 17.30
+export const formatDateTime = (date) => formatDate(date, 'P p');
+
+export const formatTime = (date) => formatDate(date, 'p');
+
+export const formatNumber = (value, options) => new Intl.NumberFormat(LANGUAGES[language].tag, options).format(value);
+
+// First day of the week in the current language: 0 = Sunday, 1 = Monday
+export const getWeekStartsOn = () => LANGUAGES[language].dateLocale.options?.weekStartsOn ?? 1;
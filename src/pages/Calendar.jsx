@@ -1,44 +1,163 @@
 // Import required libraries and components
-import { useState, useEffect } from 'react';
-import { Box, Typography, ToggleButtonGroup, ToggleButton, CircularProgress } from '@mui/material';
+import { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  ToggleButtonGroup,
+  ToggleButton,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Tooltip,
+  useMediaQuery,
+} from '@mui/material';
+import EventIcon from '@mui/icons-material/Event';
 import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
 import format from 'date-fns/format';
 import parse from 'date-fns/parse';
 import startOfWeek from 'date-fns/startOfWeek';
 import getDay from 'date-fns/getDay';
-import enUS from 'date-fns/locale/en-US';
+import startOfMonth from 'date-fns/startOfMonth';
+import endOfMonth from 'date-fns/endOfMonth';
+import endOfWeek from 'date-fns/endOfWeek';
+import startOfDay from 'date-fns/startOfDay';
+import endOfDay from 'date-fns/endOfDay';
+import addDays from 'date-fns/addDays';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css';
 import { toast } from 'sonner';
-import api from '../services/api';
-
-// Set up calendar to start weeks on Monday instead of Sunday
-// This is optional - you can remove this if you prefer Sunday as the first day
-const locales = {
-  'en-US': {
-    ...enUS,
-    options: {
-      ...enUS.options,
-      weekStartsOn: 1, // 1 means Monday
-    },
-  },
-};
+import api, { getCustomerUrl } from '../services/api';
+import TrainingDialog from '../components/TrainingDialog';
+import SeriesScopeDialog from '../components/SeriesScopeDialog';
+import {
+  SERIES_SCOPES,
+  isInSeries,
+  addTrainingSeries,
+  getScopedChanges,
+  getScopedTrainings,
+  updateTrainingOccurrences,
+} from '../services/trainingSeries';
+import useConflictCheck from '../hooks/useConflictCheck';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useQueryState, { queryParam } from '../hooks/useQueryState';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { PERMISSIONS } from '../services/auth';
+import { buildICS, ICS_MIME_TYPE } from '../utils/ical';
+import { downloadFile } from '../utils/download';
+import { LANGUAGES, getWeekStartsOn } from '../i18n';
+
+// The date-fns locale of every language, by the tag passed as the calendar's culture
+// The locale decides day and month names and the first day of the week
+const locales = Object.fromEntries(Object.values(LANGUAGES).map(({ tag, dateLocale }) => [tag, dateLocale]));
 
 // Configure the calendar to work with our date formatting
 // This setup is required for the calendar to work properly
 const localizer = dateFnsLocalizer({
   format,
   parse,
-  startOfWeek: () => startOfWeek(new Date(), { weekStartsOn: 1 }),
+  startOfWeek,
   getDay,
   locales,
 });
 
+// Calendar with the drag-and-drop addon, so events can be moved and resized
+const DnDCalendar = withDragAndDrop(Calendar);
+
+// Convert a training from the API into a calendar event
+// The original training is kept on the event so it can be saved back later
+const toCalendarEvent = (training) => ({
+  id: training.id,
+  // Show activity and customer name in the event title
+  title: `${training.activity} / ${training.customer.firstname} ${training.customer.lastname}`,
+  start: new Date(training.date),  // When the training starts
+  // Calculate end time by adding duration (in minutes) to start time
+  end: new Date(new Date(training.date).getTime() + training.duration * 60000),
+  customer: `${training.customer.firstname} ${training.customer.lastname}`,
+  training,
+});
+
+// Default start hour and length for sessions booked from the month view,
+// where a selection covers whole days rather than a time range
+const MONTH_SLOT_START_HOUR = 9;
+const DEFAULT_DURATION = 60;
+
+// Views offered on wide screens and on phones, where month and week columns get too narrow
+// The first one is the default view
+const VIEWS = ['month', 'week', 'day', 'agenda'];
+const PHONE_VIEWS = ['day', 'agenda'];
+
+// Days listed by the agenda view, starting from the displayed date
+const AGENDA_DAYS = 30;
+
+// Date range shown by the calendar for a view and displayed date
+// Month view includes the leading/trailing days of the surrounding weeks
+// Weeks start on the first day of the week of the current language
+const getVisibleRange = (date, view) => {
+  const weekOptions = { weekStartsOn: getWeekStartsOn() };
+  if (view === 'day') return { start: startOfDay(date), end: endOfDay(date) };
+  if (view === 'agenda') return { start: startOfDay(date), end: endOfDay(addDays(date, AGENDA_DAYS - 1)) };
+  if (view === 'week') {
+    return { start: startOfWeek(date, weekOptions), end: endOfWeek(date, weekOptions) };
+  }
+  return {
+    start: startOfWeek(startOfMonth(date), weekOptions),
+    end: endOfWeek(endOfMonth(date), weekOptions),
+  };
+};
+
 // Main calendar component that shows all training sessions
 const CalendarPage = () => {
   // Store calendar events, current view, and loading state
   const [events, setEvents] = useState([]);  // List of training sessions
-  const [view, setView] = useState('month');  // Current calendar view (month/week/day)
+  // Phones default to the day view; the default is picked when the page opens
+  const isPhone = useMediaQuery((theme) => theme.breakpoints.down('sm'), { noSsr: true });
+  const views = isPhone ? PHONE_VIEWS : VIEWS;
+  // Current view (month/week/day/agenda) and the date the calendar is showing, kept in the URL
+  // e.g. /calendar?view=week&date=2024-11-04; without a date the calendar shows today
+  const [query, setQuery] = useQueryState({
+    view: queryParam.oneOf(VIEWS, views[0]),
+    date: queryParam.date(),
+  });
+  // A month or week link opened on a phone falls back to the phone's default view
+  const view = views.includes(query.view) ? query.view : views[0];
+  const date = useMemo(() => query.date || new Date(), [query.date]);
   const [loading, setLoading] = useState(true);  // Whether we're loading data
+  const [pendingMove, setPendingMove] = useState(null);  // Move into the past waiting for confirmation
+  const [newTraining, setNewTraining] = useState(null);  // Prefilled values for the booking dialog
+  const [editingEvent, setEditingEvent] = useState(null);  // Event opened for editing
+  const [editingTraining, setEditingTraining] = useState(null);  // Form values for the edit dialog
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);  // Confirm deleting a single session
+  const [scopeRequest, setScopeRequest] = useState(null);  // Series change waiting for "this" vs "following"
+  const { checkConflicts, conflictDialog } = useConflictCheck();  // Overlap check before saving
+  const { deleteTrainings } = useUndoableDelete(() => fetchTrainings());  // Deletions with Undo
+  const { can } = useAuth();  // Read-only users can look but not book, move or delete
+  const canEdit = can(PERMISSIONS.EDIT);
+  const { t, config, formatDateTime } = useI18n();
+
+  // Texts of the calendar's own toolbar and views
+  const messages = {
+    today: t('calendar.today'),
+    previous: t('calendar.previous'),
+    next: t('calendar.next'),
+    month: t('calendar.month'),
+    week: t('calendar.week'),
+    day: t('calendar.day'),
+    agenda: t('calendar.agenda'),
+    date: t('calendar.date'),
+    time: t('calendar.time'),
+    event: t('calendar.event'),
+    allDay: t('calendar.allDay'),
+    noEventsInRange: t('calendar.noEventsInRange'),
+    showMore: (count) => t('calendar.showMore', { count }),
+  };
+
+  // Trainings behind the events, used to look up recurring series
+  const trainings = events.map((event) => event.training);
 
   // Load training data when the component first renders
   useEffect(() => {
@@ -52,28 +171,223 @@ const CalendarPage = () => {
       const trainings = await api.getTrainings();
       
       // Convert each training into a calendar event
-      const calendarEvents = trainings.map((training) => ({
-        id: training.id,
-        // Show activity and customer name in the event title
-        title: `${training.activity} / ${training.customer.firstname} ${training.customer.lastname}`,
-        start: new Date(training.date),  // When the training starts
-        // Calculate end time by adding duration (in minutes) to start time
-        end: new Date(new Date(training.date).getTime() + training.duration * 60000),
-        customer: `${training.customer.firstname} ${training.customer.lastname}`,
-      }));
+      // Trainings whose customer was deleted have nothing to show
+      const calendarEvents = trainings
+        .filter((training) => training.customer)
+        .map(toCalendarEvent);
       
       setEvents(calendarEvents);
     } catch (error) {
       console.error('Error fetching trainings:', error);
-      toast.error('Failed to load calendar events');
+      toast.error(t('calendar.fetchFailed'));
     } finally {
       setLoading(false);
     }
   };
 
-  // Update the calendar view when user switches between month/week/day
+  // Save a moved or resized event
+  // A single session is updated on the calendar right away and rolled back if the save fails;
+  // moving "this and following" occurrences of a series reloads the calendar afterwards
+  const saveMove = async ({ event, start, end }, scope = SERIES_SCOPES.SINGLE) => {
+    const duration = Math.max(1, Math.round((end.getTime() - start.getTime()) / 60000));
+    const training = {
+      date: start.toISOString(),
+      duration,
+      activity: event.training.activity,
+      customer: getCustomerUrl(event.training.customer.id),
+    };
+
+    // Overlapping sessions need an explicit override; cancelling leaves the event where it was
+    const updates = getScopedChanges(event.training, training, trainings, scope);
+    if (!(await checkConflicts(updates, { trainings, ignoreIds: updates.map((u) => u.id) }))) return;
+
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      const { updated, failed } = await updateTrainingOccurrences(event.training, training, trainings, scope);
+      if (updated === 0) {
+        toast.error(t('calendar.seriesRescheduleFailed'));
+      } else if (failed > 0) {
+        toast.warning(t('trainings.partlyUpdated', { updated, total: updated + failed, failed }));
+      } else {
+        toast.success(t('calendar.rescheduled', { count: updated }));
+      }
+      await fetchTrainings();
+      return;
+    }
+
+    const movedEvent = toCalendarEvent({ ...event.training, date: training.date, duration });
+
+    setEvents((current) => current.map((e) => (e.id === event.id ? movedEvent : e)));
+    try {
+      await api.updateTraining(event.id, training);
+      toast.success(t('calendar.rescheduled', { count: 1 }));
+    } catch (error) {
+      setEvents((current) => current.map((e) => (e.id === event.id ? event : e)));
+      toast.error(t('calendar.rescheduleFailed'));
+      console.error('Error rescheduling training:', error);
+    }
+  };
+
+  // Continue a move once it is confirmed: recurring sessions ask which occurrences to move
+  const requestMove = (move) => {
+    if (isInSeries(move.event.training, trainings)) {
+      setScopeRequest({ action: 'move', move });
+      return;
+    }
+    saveMove(move);
+  };
+
+  // Handle an event being dragged to a new slot or resized
+  // Moves that land in the past need an explicit confirmation first
+  const handleEventChange = ({ event, start, end }) => {
+    const newStart = new Date(start);
+    const newEnd = new Date(end);
+    if (newStart.getTime() === event.start.getTime() && newEnd.getTime() === event.end.getTime()) return;
+    if (newStart < new Date() && newStart.getTime() !== event.start.getTime()) {
+      setPendingMove({ event, start: newStart, end: newEnd });
+      return;
+    }
+    requestMove({ event, start: newStart, end: newEnd });
+  };
+
+  // Open the edit dialog for a clicked event
+  const handleSelectEvent = (event) => {
+    setEditingEvent(event);
+    setEditingTraining({
+      date: event.training.date,
+      duration: event.training.duration,
+      activity: event.training.activity,
+      customer: getCustomerUrl(event.training.customer.id),
+    });
+  };
+
+  // Close the edit dialog and forget the edited event
+  const closeEditDialog = () => {
+    setEditingEvent(null);
+    setEditingTraining(null);
+  };
+
+  // Save the edited event to one or more occurrences and reload the calendar
+  const saveEdit = async (changes, scope = SERIES_SCOPES.SINGLE) => {
+    if (!editingEvent) return;
+    const updates = getScopedChanges(editingEvent.training, changes, trainings, scope);
+    if (!(await checkConflicts(updates, { trainings, ignoreIds: updates.map((u) => u.id) }))) return;
+    const { updated, failed } = await updateTrainingOccurrences(editingEvent.training, changes, trainings, scope);
+    await fetchTrainings();  // Also after a partial failure, as some occurrences may have moved
+    if (updated === 0) {
+      toast.error(t('trainings.updateFailed'));
+      return;
+    }
+    closeEditDialog();
+    if (failed > 0) {
+      toast.warning(t('trainings.partlyUpdated', { updated, total: updated + failed, failed }));
+    } else {
+      toast.success(t('trainings.updated', { count: updated }));
+    }
+  };
+
+  // Delete the edited event (or it and the following occurrences) and reload the calendar
+  // The success toast offers Undo
+  const deleteEdited = async (scope = SERIES_SCOPES.SINGLE) => {
+    if (!editingEvent) return;
+    const results = await deleteTrainings(getScopedTrainings(editingEvent.training, trainings, scope));
+    const failures = results.filter((result) => !result.ok);
+    if (failures.length > 0) {
+      fetchTrainings();  // Some sessions may have been deleted
+      toast.error(t('trainings.deleteFailed'));
+      failures.forEach((result) => console.error('Error deleting training:', result.error));
+      return;
+    }
+    setDeleteConfirmOpen(false);
+    closeEditDialog();
+    await fetchTrainings();
+  };
+
+  // Edit dialog save: recurring sessions ask which occurrences to change
+  const handleUpdateTraining = (changes) => {
+    if (editingEvent && isInSeries(editingEvent.training, trainings)) {
+      setScopeRequest({ action: 'edit', changes });
+      return;
+    }
+    saveEdit(changes);
+  };
+
+  // Edit dialog delete: recurring sessions ask which occurrences to delete
+  const handleDeleteTraining = () => {
+    if (editingEvent && isInSeries(editingEvent.training, trainings)) {
+      setScopeRequest({ action: 'delete' });
+      return;
+    }
+    setDeleteConfirmOpen(true);
+  };
+
+  // Carry out the series change once "this" or "this and following" was chosen
+  const handleScopeSelect = (scope) => {
+    const request = scopeRequest;
+    setScopeRequest(null);
+    if (request.action === 'move') saveMove(request.move, scope);
+    if (request.action === 'edit') saveEdit(request.changes, scope);
+    if (request.action === 'delete') deleteEdited(scope);
+  };
+
+  // Open the booking dialog for a clicked or dragged-over empty slot
+  // Start and duration come from the selection
+  const handleSelectSlot = ({ start, end }) => {
+    const slotStart = new Date(start);
+    let duration = Math.round((new Date(end).getTime() - slotStart.getTime()) / 60000);
+    if (view === 'month') {
+      slotStart.setHours(MONTH_SLOT_START_HOUR, 0, 0, 0);
+      duration = DEFAULT_DURATION;
+    }
+    setNewTraining({ date: slotStart.toISOString(), duration: duration || DEFAULT_DURATION, activity: '', customer: '' });
+  };
+
+  // Create the booked training (or recurring series) and reload the calendar so it shows up right away
+  const handleAddTraining = async (training, occurrences = []) => {
+    const sessions = occurrences.length > 1
+      ? occurrences.map((date) => ({ ...training, date: date.toISOString() }))
+      : [training];
+    if (!(await checkConflicts(sessions, { trainings }))) return;
+    try {
+      if (occurrences.length > 1) {
+        const { created, failed } = await addTrainingSeries(training, occurrences);
+        if (failed > 0) {
+          toast.warning(t('trainings.seriesPartlyAdded', { created, total: occurrences.length, failed }));
+        } else {
+          toast.success(t('trainings.seriesAdded', { count: created }));
+        }
+      } else {
+        await api.addTraining(training);
+        toast.success(t('trainings.added'));
+      }
+      setNewTraining(null);
+      await fetchTrainings();
+    } catch (error) {
+      toast.error(t('trainings.addFailed'));
+      console.error('Error adding training:', error);
+    }
+  };
+
+  // Export the sessions in the visible range as an iCalendar file
+  const handleExportICS = () => {
+    const { start, end } = getVisibleRange(date, view);
+    const visible = trainings.filter((training) => {
+      const trainingDate = new Date(training.date);
+      return trainingDate >= start && trainingDate <= end;
+    });
+    if (visible.length === 0) {
+      toast.info(t('calendar.nothingToExport'));
+      return;
+    }
+    const ics = buildICS(visible, { name: t('trainings.title') });
+    const filename = `trainings-${format(start, 'yyyy-MM-dd')}-${format(end, 'yyyy-MM-dd')}.ics`;
+    if (downloadFile(ics, filename, ICS_MIME_TYPE)) {
+      toast.success(t('trainings.exported', { count: visible.length }));
+    }
+  };
+
+  // Update the calendar view when user switches between month/week/day/agenda
   const handleViewChange = (newView) => {
-    setView(newView);
+    setQuery({ view: newView });
   };
 
   // Show loading spinner while data is being fetched
@@ -87,31 +401,41 @@ const CalendarPage = () => {
 
   return (
     <Box sx={{ height: '100%', minHeight: 'calc(100vh - 180px)' }}>
-      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 3 }}>
         <Typography variant="h4" gutterBottom>
-          Training Calendar
+          {t('calendar.title')}
         </Typography>
         
-        {/* Optional: Buttons to switch between month/week/day views */}
-        <ToggleButtonGroup
-          value={view}
-          exclusive
-          onChange={(_, value) => value && handleViewChange(value)}
-          aria-label="calendar view"
-        >
-          <ToggleButton value="month" aria-label="month view">Month</ToggleButton>
-          <ToggleButton value="week" aria-label="week view">Week</ToggleButton>
-          <ToggleButton value="day" aria-label="day view">Day</ToggleButton>
-        </ToggleButtonGroup>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: { xs: 1, sm: 2 }, alignItems: 'center' }}>
+          {/* Export the visible sessions to phone/desktop calendars */}
+          <Tooltip title={t('calendar.exportIcsTooltip')} arrow>
+            <Button variant="outlined" startIcon={<EventIcon />} onClick={handleExportICS}>
+              {t('trainings.exportIcs')}
+            </Button>
+          </Tooltip>
+
+          {/* Optional: Buttons to switch between the views that fit the screen */}
+          <ToggleButtonGroup
+            value={view}
+            exclusive
+            size={isPhone ? 'small' : 'medium'}
+            onChange={(_, value) => value && handleViewChange(value)}
+            aria-label={t('calendar.view')}
+          >
+            {views.map((name) => (
+              <ToggleButton key={name} value={name}>{t(`calendar.${name}`)}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
       </Box>
       
       {/* The calendar itself */}
       {/* Optional: Styling for the calendar container */}
       <Box sx={{ 
         height: 'calc(100vh - 250px)',
-        minHeight: 600,
-        backgroundColor: 'white',
-        p: 2,
+        minHeight: { xs: 480, sm: 600 },
+        backgroundColor: 'background.paper',
+        p: { xs: 1, sm: 2 },
         borderRadius: 1,
         // Optional: Custom styling for calendar events
         '& .rbc-event': {
@@ -121,21 +445,126 @@ const CalendarPage = () => {
         '& .rbc-today': {
           backgroundColor: theme => theme.palette.primary.light + '20',
         },
+        // react-big-calendar's stylesheet uses fixed light greys; these follow the theme so dark mode works
+        '& .rbc-calendar *': {
+          borderColor: theme => `${theme.palette.divider} !important`,
+        },
+        '& .rbc-off-range': {
+          color: 'text.disabled',
+        },
+        '& .rbc-off-range-bg': {
+          backgroundColor: 'action.hover',
+        },
+        '& .rbc-toolbar button': {
+          color: 'text.primary',
+          '&:hover, &:focus': {
+            backgroundColor: 'action.hover',
+          },
+          '&.rbc-active, &:active': {
+            backgroundColor: 'action.selected',
+            color: 'text.primary',
+          },
+        },
+        '& .rbc-show-more': {
+          backgroundColor: 'transparent',
+          color: 'primary.main',
+        },
+        '& .rbc-overlay': {
+          backgroundColor: 'background.paper',
+        },
       }}>
-        <Calendar
+        <DnDCalendar
           localizer={localizer}
           events={events}
           startAccessor="start"
           endAccessor="end"
           view={view}
+          views={views}
           onView={handleViewChange}
+          length={AGENDA_DAYS}
+          date={date}
+          onNavigate={(newDate) => setQuery({ date: newDate })}
+          // Drag events to reschedule them, drag their edge to change the duration
+          // Resizing in month view would stretch a session across whole days, so it is only allowed in week/day
+          onEventDrop={handleEventChange}
+          onEventResize={handleEventChange}
+          draggableAccessor={() => canEdit}
+          resizableAccessor={() => canEdit && view !== 'month'}
+          // Click or drag across empty slots to book a new session
+          selectable={canEdit}
+          onSelectSlot={handleSelectSlot}
+          // Click an event to edit or delete it
+          onSelectEvent={canEdit ? handleSelectEvent : undefined}
           // Show event details in tooltip on hover
-          tooltipAccessor={event => `${event.title}\nDuration: ${
-            Math.round((event.end.getTime() - event.start.getTime()) / 60000)
-          } minutes`}
-          culture="en-US"
+          tooltipAccessor={event => `${event.title}\n${t('calendar.durationTooltip', {
+            minutes: Math.round((event.end.getTime() - event.start.getTime()) / 60000),
+          })}`}
+          // Day and month names, time formats and the first day of the week follow the language
+          culture={config.tag}
+          messages={messages}
         />
       </Box>
+
+      {/* Booking dialog for a selected slot, with a customer picker */}
+      <TrainingDialog
+        open={Boolean(newTraining)}
+        onClose={() => setNewTraining(null)}
+        onSave={handleAddTraining}
+        training={newTraining}
+        title={t('trainings.book')}
+        allowRecurrence
+      />
+
+      {/* Edit dialog for a clicked event */}
+      <TrainingDialog
+        open={Boolean(editingTraining)}
+        onClose={closeEditDialog}
+        onSave={handleUpdateTraining}
+        onDelete={can(PERMISSIONS.DELETE) ? handleDeleteTraining : undefined}
+        training={editingTraining}
+        title={t('trainings.editTitle')}
+      />
+
+      {/* Confirmation before deleting a single session */}
+      <Dialog open={deleteConfirmOpen} onClose={() => setDeleteConfirmOpen(false)}>
+        <DialogTitle>{t('trainings.deleteTitle')}</DialogTitle>
+        <DialogContent>{t('trainings.deleteConfirm')}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteConfirmOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={() => deleteEdited()} color="error" variant="contained">{t('common.delete')}</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* "This occurrence" vs "this and following" for recurring sessions */}
+      <SeriesScopeDialog
+        open={Boolean(scopeRequest)}
+        onClose={() => setScopeRequest(null)}
+        onSelect={handleScopeSelect}
+        title={scopeRequest?.action === 'delete' ? t('series.deleteTitle') : t('series.changeTitle')}
+        destructive={scopeRequest?.action === 'delete'}
+      />
+
+      {conflictDialog}
+
+      {/* Confirmation shown when a session is moved into the past */}
+      <Dialog open={Boolean(pendingMove)} onClose={() => setPendingMove(null)}>
+        <DialogTitle>{t('calendar.moveToPastTitle')}</DialogTitle>
+        <DialogContent>
+          {pendingMove && t('calendar.moveToPastConfirm', { date: formatDateTime(pendingMove.start) })}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingMove(null)}>{t('common.cancel')}</Button>
+          <Button
+            variant="contained"
+            onClick={() => {
+              requestMove(pendingMove);
+              setPendingMove(null);
+            }}
+          >
+            {t('calendar.move')}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,540 @@
+/**
+ * Customer detail page
+ * Shows one customer's contact details (editable in place), their past and
+ * upcoming sessions, totals per activity and a mini calendar, with quick
+ * actions to book a session or delete the customer. The actions shown depend
+ * on the signed-in user's role, and admins can assign the customer to a trainer.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Badge,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import FitnessCenterIcon from '@mui/icons-material/FitnessCenter';
+import EventIcon from '@mui/icons-material/Event';
+import { DateCalendar } from '@mui/x-date-pickers/DateCalendar';
+import { PickersDay } from '@mui/x-date-pickers/PickersDay';
+import { format } from 'date-fns';
+import { groupBy, sumBy } from 'lodash';
+import { toast } from 'sonner';
+import api, { getCustomerUrl } from '../services/api';
+import { getAuthProvider, PERMISSIONS } from '../services/auth';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { addTrainingSeries } from '../services/trainingSeries';
+import TrainingDialog from '../components/TrainingDialog';
+import useConflictCheck from '../hooks/useConflictCheck';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useCustomerForm from '../hooks/useCustomerForm';
+import CustomerFormFields from '../components/CustomerFormFields';
+import { CUSTOMER_FIELDS, hasServerFieldErrors } from '../utils/validation';
+import { buildICS, ICS_MIME_TYPE } from '../utils/ical';
+import { downloadFile } from '../utils/download';
+
+// Calendar day that shows a dot on days with a session
+const TrainingDay = ({ trainingDays = [], day, outsideCurrentMonth, ...other }) => {
+  const hasTraining = !outsideCurrentMonth && trainingDays.includes(format(day, 'yyyy-MM-dd'));
+  return (
+    <Badge overlap="circular" color="primary" variant="dot" invisible={!hasTraining}>
+      <PickersDay {...other} day={day} outsideCurrentMonth={outsideCurrentMonth} />
+    </Badge>
+  );
+};
+
+// Table of sessions with a delete action per row when onDelete is given
+const SessionTable = ({ trainings, emptyText, onDelete }) => {
+  const { t, formatDateTime } = useI18n();
+  if (trainings.length === 0) {
+    return <Typography variant="body2" color="text.secondary">{emptyText}</Typography>;
+  }
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>{t('trainings.date')}</TableCell>
+          <TableCell>{t('trainings.activity')}</TableCell>
+          <TableCell align="right">{t('trainings.durationShort')}</TableCell>
+          {onDelete && <TableCell align="right">{t('common.actions')}</TableCell>}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {trainings.map((training) => (
+          <TableRow key={training.id}>
+            <TableCell>{formatDateTime(training.date)}</TableCell>
+            <TableCell>{training.activity}</TableCell>
+            <TableCell align="right">{training.duration}</TableCell>
+            {onDelete && (
+              <TableCell align="right">
+                <Tooltip title={t('trainings.delete')} arrow>
+                  <IconButton size="small" onClick={() => onDelete(training)} aria-label={t('common.delete')}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </TableCell>
+            )}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+// Main customer detail component, reached from /customers/:id
+const CustomerDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const customerId = Number(id);
+  const customerUrl = getCustomerUrl(customerId);
+
+  const [customer, setCustomer] = useState(null);  // Customer as loaded from the API
+  const [trainings, setTrainings] = useState([]);  // This customer's trainings
+  const [allTrainings, setAllTrainings] = useState([]);  // Every training, for conflict checks
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [editing, setEditing] = useState(false);  // Whether contact details are being edited
+  const [otherCustomers, setOtherCustomers] = useState([]);  // Loaded when editing, for duplicate warnings
+  const form = useCustomerForm({ customers: otherCustomers, selfUrl: customerUrl });
+  const [trainingDialogOpen, setTrainingDialogOpen] = useState(false);
+  const [deleteCustomerOpen, setDeleteCustomerOpen] = useState(false);
+  const [trainingToDelete, setTrainingToDelete] = useState(null);
+  const { checkConflicts, conflictDialog } = useConflictCheck();
+  const { deleteCustomer, deleteTrainings } = useUndoableDelete(() => fetchData());  // Deletions with Undo
+  const { can } = useAuth();
+  const { t, formatDate, formatNumber } = useI18n();
+  const canEdit = can(PERMISSIONS.EDIT);
+  const canDelete = can(PERMISSIONS.DELETE);
+  const canAssign = can(PERMISSIONS.ASSIGN);
+  const [trainers, setTrainers] = useState([]);  // Trainers the customer can be assigned to (admins only)
+  const [trainer, setTrainer] = useState('');  // Username of the assigned trainer, '' when unassigned
+
+  // Load the customer and their trainings
+  const fetchData = async () => {
+    try {
+      const [customerData, trainingData] = await Promise.all([
+        api.getCustomer(customerId),
+        api.getTrainings(),
+      ]);
+      setCustomer(customerData);
+      setAllTrainings(trainingData);
+      setTrainings(trainingData.filter((training) => training.customer?.id === customerId));
+    } catch (error) {
+      // Another trainer's client looks the same as a missing one
+      if (error.response?.status === 404 || error.response?.status === 403) {
+        setNotFound(true);
+      } else {
+        toast.error(t('customers.fetchOneFailed'));
+        console.error('Error fetching customer:', error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload whenever another customer is opened
+  useEffect(() => {
+    setLoading(true);
+    setNotFound(false);
+    setEditing(false);
+    fetchData();
+  }, [customerId]);
+
+  // Load the trainers and the current assignment for the assignment picker
+  useEffect(() => {
+    if (!canAssign) return;
+    Promise.all([
+      getAuthProvider().getTrainers?.() ?? [],
+      api.getCustomerTrainer(customerUrl),
+    ])
+      .then(([trainerList, assigned]) => {
+        setTrainers(trainerList);
+        setTrainer(assigned || '');
+      })
+      .catch((error) => console.error('Error fetching trainers:', error));
+  }, [canAssign, customerUrl]);
+
+  // Split sessions into upcoming (soonest first) and past (latest first)
+  const { upcoming, past } = useMemo(() => {
+    const now = new Date();
+    const sorted = [...trainings].sort((a, b) => new Date(a.date) - new Date(b.date));
+    return {
+      upcoming: sorted.filter((training) => new Date(training.date) >= now),
+      past: sorted.filter((training) => new Date(training.date) < now).reverse(),
+    };
+  }, [trainings]);
+
+  // Totals per activity, largest first
+  const activityTotals = useMemo(() => (
+    Object.entries(groupBy(trainings, 'activity'))
+      .map(([activity, sessions]) => ({
+        activity,
+        sessions: sessions.length,
+        minutes: sumBy(sessions, 'duration'),
+      }))
+      .sort((a, b) => b.minutes - a.minutes)
+  ), [trainings]);
+
+  // Days with a session, for the mini calendar
+  const trainingDays = useMemo(
+    () => [...new Set(trainings.map((training) => format(new Date(training.date), 'yyyy-MM-dd')))],
+    [trainings],
+  );
+
+  const lastSeen = past[0] ? new Date(past[0].date) : null;
+
+  // Start editing contact details
+  // The other customers are loaded so the form can warn about duplicates
+  const startEditing = async () => {
+    form.reset(customer);
+    setEditing(true);
+    try {
+      setOtherCustomers(await api.getCustomers());
+    } catch (error) {
+      console.error('Error fetching customers for duplicate check:', error);
+    }
+  };
+
+  // Save edited contact details
+  // Invalid fields are highlighted instead of saving; server validation errors go on the fields
+  const handleSaveContact = async (e) => {
+    e.preventDefault();
+    const values = form.submit();
+    if (!values) return;
+    try {
+      const updated = await api.updateCustomer(customerUrl, values);
+      setCustomer(updated);
+      setEditing(false);
+      toast.success(t('customers.updated'));
+    } catch (error) {
+      console.error('Error updating customer:', error);
+      if (hasServerFieldErrors(error) && form.applyServerError(error)) {
+        toast.error(t('validation.correctFields'));
+      } else {
+        toast.error(t('customers.updateFailed'));
+      }
+    }
+  };
+
+  // Assign the customer to a trainer, or unassign them with ''
+  const handleAssignTrainer = async (e) => {
+    const username = e.target.value;
+    try {
+      await api.assignCustomer(customerUrl, username || null);
+      setTrainer(username);
+      toast.success(username ? t('customers.trainerAssigned') : t('customers.trainerUnassigned'));
+    } catch (error) {
+      toast.error(t('customers.assignFailed'));
+      console.error('Error assigning trainer:', error);
+    }
+  };
+
+  // Book a session (or a recurring series) for this customer
+  const handleAddTraining = async (training, occurrences = []) => {
+    const sessions = occurrences.length > 1
+      ? occurrences.map((date) => ({ ...training, date: date.toISOString() }))
+      : [training];
+    if (!(await checkConflicts(sessions, { trainings: allTrainings }))) return;
+    try {
+      if (occurrences.length > 1) {
+        const { created, failed } = await addTrainingSeries(training, occurrences);
+        if (failed > 0) {
+          toast.warning(t('trainings.seriesPartlyAdded', { created, total: occurrences.length, failed }));
+        } else {
+          toast.success(t('trainings.seriesAdded', { count: created }));
+        }
+      } else {
+        await api.addTraining(training);
+        toast.success(t('trainings.added'));
+      }
+      setTrainingDialogOpen(false);
+      fetchData();
+    } catch (error) {
+      toast.error(t('trainings.addFailed'));
+      console.error('Error adding training:', error);
+    }
+  };
+
+  // Delete one session of this customer; the success toast offers Undo
+  const handleDeleteTraining = async () => {
+    if (!trainingToDelete) return;
+    const [result] = await deleteTrainings([trainingToDelete]);
+    if (!result.ok) {
+      toast.error(t('trainings.deleteFailed'));
+      console.error('Error deleting training:', result.error);
+      return;
+    }
+    setTrainingToDelete(null);
+    fetchData();
+  };
+
+  // Export this customer's sessions as an iCalendar file they can add to their own calendar
+  const handleExportICS = () => {
+    const name = `${customer.firstname} ${customer.lastname}`;
+    const ics = buildICS(trainings, { name: `${t('trainings.title')} – ${name}` });
+    const filename = `${name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-')}-schedule.ics`;
+    if (downloadFile(ics, filename, ICS_MIME_TYPE)) {
+      toast.success(t('customers.scheduleExported'));
+    }
+  };
+
+  // Delete the customer (and, on the server, their trainings) and go back to the list
+  // Undo on the toast restores them under a new id
+  const handleDeleteCustomer = async () => {
+    try {
+      await deleteCustomer(customerUrl);
+      navigate('/customers');
+    } catch (error) {
+      toast.error(t('customers.deleteFailed'));
+      console.error('Error deleting customer:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%', minHeight: 400 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (notFound || !customer) {
+    return (
+      <Box sx={{ py: 4 }}>
+        <Typography variant="h5" gutterBottom>{t('customers.notFound')}</Typography>
+        <Button component={RouterLink} to="/customers" startIcon={<ArrowBackIcon />}>
+          {t('customers.back')}
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header with name and quick actions */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Tooltip title={t('customers.back')} arrow>
+            <IconButton component={RouterLink} to="/customers" aria-label={t('customers.back')}>
+              <ArrowBackIcon />
+            </IconButton>
+          </Tooltip>
+          <Typography variant="h4">
+            {customer.firstname} {customer.lastname}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+          {canEdit && (
+            <Button
+              variant="contained"
+              startIcon={<FitnessCenterIcon />}
+              onClick={() => setTrainingDialogOpen(true)}
+            >
+              {t('trainings.book')}
+            </Button>
+          )}
+          <Tooltip title={t('customers.exportScheduleTooltip')} arrow>
+            <span>
+              <Button
+                variant="outlined"
+                startIcon={<EventIcon />}
+                onClick={handleExportICS}
+                disabled={trainings.length === 0}
+              >
+                {t('customers.exportSchedule')}
+              </Button>
+            </span>
+          </Tooltip>
+          {canDelete && (
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={<DeleteIcon />}
+              onClick={() => setDeleteCustomerOpen(true)}
+            >
+              {t('customers.deleteTitle')}
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <Box sx={{
+        display: 'flex',
+        flexDirection: { xs: 'column', md: 'row' },
+        gap: 3,
+        alignItems: { xs: 'stretch', md: 'flex-start' },
+      }}>
+        {/* Left column: contact details and summary */}
+        <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 3 }}>
+          <Paper sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">{t('customers.contactDetails')}</Typography>
+              {!editing && canEdit && (
+                <Tooltip title={t('customers.editContactDetails')} arrow>
+                  <IconButton
+                    onClick={startEditing}
+                    aria-label={t('customers.editContactDetails')}
+                  >
+                    <EditIcon />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </Box>
+            {editing ? (
+              <form onSubmit={handleSaveContact} noValidate>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                  <CustomerFormFields form={form} size="small" />
+                  <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                    <Button onClick={() => setEditing(false)}>{t('common.cancel')}</Button>
+                    <Button type="submit" variant="contained">{t('common.save')}</Button>
+                  </Box>
+                </Box>
+              </form>
+            ) : (
+              <Table size="small">
+                <TableBody>
+                  {CUSTOMER_FIELDS.map((field) => (
+                    <TableRow key={field.name}>
+                      <TableCell component="th" sx={{ fontWeight: 500, width: 160 }}>{t(`customers.fields.${field.name}`)}</TableCell>
+                      <TableCell>{customer[field.name]}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            {canAssign && trainers.length > 0 && (
+              <TextField
+                select
+                label={t('customers.assignedTrainer')}
+                value={trainer}
+                onChange={handleAssignTrainer}
+                size="small"
+                fullWidth
+                sx={{ mt: 2 }}
+              >
+                <MenuItem value="">
+                  <em>{t('customers.unassigned')}</em>
+                </MenuItem>
+                {trainers.map((option) => (
+                  <MenuItem key={option.username} value={option.username}>{option.name}</MenuItem>
+                ))}
+              </TextField>
+            )}
+          </Paper>
+
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>{t('customers.summary')}</Typography>
+            <Typography variant="body1">
+              {t('customers.summaryTotals', {
+                sessions: t('trainings.sessionCount', { count: trainings.length }),
+                minutes: sumBy(trainings, 'duration'),
+              })}
+            </Typography>
+            <Typography variant="body1" gutterBottom>
+              {t('customers.lastSeen', { date: lastSeen ? formatDate(lastSeen) : t('customers.never') })}
+            </Typography>
+            {activityTotals.length > 0 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>{t('trainings.activity')}</TableCell>
+                    <TableCell align="right">{t('statistics.metrics.sessions')}</TableCell>
+                    <TableCell align="right">{t('statistics.metrics.minutes')}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {activityTotals.map((total) => (
+                    <TableRow key={total.activity}>
+                      <TableCell>{total.activity}</TableCell>
+                      <TableCell align="right">{total.sessions}</TableCell>
+                      <TableCell align="right">{formatNumber(total.minutes)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Paper>
+
+          <Paper sx={{ p: 1 }}>
+            <DateCalendar
+              readOnly
+              slots={{ day: TrainingDay }}
+              slotProps={{ day: { trainingDays } }}
+            />
+          </Paper>
+        </Box>
+
+        {/* Right column: sessions */}
+        <Box sx={{ flex: 2, display: 'flex', flexDirection: 'column', gap: 3 }}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>{t('customers.upcomingSessions')}</Typography>
+            <SessionTable
+              trainings={upcoming}
+              emptyText={t('customers.noUpcomingSessions')}
+              onDelete={canDelete ? setTrainingToDelete : undefined}
+            />
+          </Paper>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>{t('customers.pastSessions')}</Typography>
+            <SessionTable
+              trainings={past}
+              emptyText={t('customers.noPastSessions')}
+              onDelete={canDelete ? setTrainingToDelete : undefined}
+            />
+          </Paper>
+        </Box>
+      </Box>
+
+      <TrainingDialog
+        open={trainingDialogOpen}
+        onClose={() => setTrainingDialogOpen(false)}
+        onSave={handleAddTraining}
+        customerUrl={customerUrl}
+        allowRecurrence
+      />
+
+      <Dialog open={Boolean(trainingToDelete)} onClose={() => setTrainingToDelete(null)}>
+        <DialogTitle>{t('trainings.deleteTitle')}</DialogTitle>
+        <DialogContent>{t('trainings.deleteConfirm')}</DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTrainingToDelete(null)}>{t('common.cancel')}</Button>
+          <Button onClick={handleDeleteTraining} color="error" variant="contained">{t('common.delete')}</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={deleteCustomerOpen} onClose={() => setDeleteCustomerOpen(false)}>
+        <DialogTitle>{t('customers.deleteTitle')}</DialogTitle>
+        <DialogContent>
+          {t('customers.deleteConfirm')}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteCustomerOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={handleDeleteCustomer} color="error" variant="contained">{t('common.delete')}</Button>
+        </DialogActions>
+      </Dialog>
+
+      {conflictDialog}
+    </Box>
+  );
+};
+
+export default CustomerDetail;
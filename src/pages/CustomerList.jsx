@@ -2,14 +2,15 @@
  * Customer management page component
  * This file demonstrates:
  * - CRUD operations with REST API
- * - Material-UI DataGrid implementation
+ * - Material-UI DataGrid implementation, with cards instead on narrow screens
  * - Form handling with dialogs
- * - CSV export functionality
- * - Search and filtering
+ * - CSV export and import functionality
+ * - Server-side paging, sorting and search
  */
 
 // Import required libraries and components
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { 
   DataGrid, 
   GridActionsCellItem, 
@@ -24,244 +25,186 @@ import {
   DialogContent, 
   DialogActions, 
   Tooltip, 
+  useMediaQuery,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
 import AddIcon from '@mui/icons-material/Add';
 import DownloadIcon from '@mui/icons-material/Download';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
 import FitnessCenterIcon from '@mui/icons-material/FitnessCenter';
-import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
-import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
-import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { toast } from 'sonner';
-import api from '../services/api';
+import api, { getIdFromUrl } from '../services/api';
+import TrainingDialog from '../components/TrainingDialog';
+import { addTrainingSeries } from '../services/trainingSeries';
+import useConflictCheck from '../hooks/useConflictCheck';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useQueryState, { queryParam } from '../hooks/useQueryState';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { PERMISSIONS } from '../services/auth';
+import CustomerDialog from '../components/CustomerDialog';
+import CustomerImportDialog from '../components/CustomerImportDialog';
+import BatchToolbar from '../components/BatchToolbar';
+import BatchResultDialog from '../components/BatchResultDialog';
+import RecordCardList from '../components/RecordCardList';
+import { CUSTOMER_FIELDS } from '../utils/customerImport';
+import { toCSV } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+import { runWithConcurrency, getErrorMessage } from '../utils/concurrency';
+import { hasServerFieldErrors } from '../utils/validation';
 
-/**
- * Default form data structure for new customer creation.
- * Contains empty strings for all required customer fields.
- * Used to reset the form when adding a new customer.
- */
-const defaultFormData = {
-  firstname: '',
-  lastname: '',
-  email: '',
-  phone: '',
-  streetaddress: '',
-  postcode: '',
-  city: '',
-};
+// Milliseconds to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
 
 /**
- * Dialog component for adding or editing customer information.
- * Handles form state and validation for customer data.
- */
-const CustomerDialog = ({ open, onClose, onSave, customer, title }) => {
-  const [formData, setFormData] = useState(defaultFormData);
-
-  // Effect to update form data when a customer is selected or dialog is opened
-  useEffect(() => {
-    setFormData(customer || defaultFormData);
-  }, [customer, open]);
-
-  // Function to handle changes in form fields
-  const handleChange = (e) => {
-    setFormData({ ...formData, [e.target.name]: e.target.value });
-  };
-
-  // Function to handle form submission
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSave(formData);
-  };
-
-  return (
-    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
-      <form onSubmit={handleSubmit}>
-        <DialogTitle>{title}</DialogTitle>
-        <DialogContent>
-          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
-            <TextField
-              name="firstname"
-              label="First Name"
-              value={formData.firstname}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="lastname"
-              label="Last Name"
-              value={formData.lastname}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="email"
-              label="Email"
-              type="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="phone"
-              label="Phone"
-              value={formData.phone}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="streetaddress"
-              label="Street Address"
-              value={formData.streetaddress}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="postcode"
-              label="Postcode"
-              value={formData.postcode}
-              onChange={handleChange}
-              required
-            />
-            <TextField
-              name="city"
-              label="City"
-              value={formData.city}
-              onChange={handleChange}
-              required
-            />
-          </Box>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={onClose}>Cancel</Button>
-          <Button type="submit" variant="contained">Save</Button>
-        </DialogActions>
-      </form>
-    </Dialog>
-  );
-};
-
-/**
- * Dialog component for adding new training sessions to a customer.
- * Provides date-time selection and training details input.
+ * Generic confirmation dialog for delete operations
  */
-const TrainingDialog = ({ open, onClose, onSave, customerUrl }) => {
-  const [formData, setFormData] = useState({
-    date: new Date().toISOString(),
-    duration: 60,
-    activity: '',
-  });
-
-  // Function to handle form submission for training session
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSave({ ...formData, customer: customerUrl });
-  };
+const DeleteConfirmDialog = ({ open, onClose, onConfirm, title, content }) => {
+  const { t } = useI18n();
 
   return (
-    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
-      <form onSubmit={handleSubmit}>
-        <DialogTitle>Add Training</DialogTitle>
-        <DialogContent>
-          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
-            <LocalizationProvider dateAdapter={AdapterDateFns}>
-              <DateTimePicker
-                label="Date and Time"
-                value={new Date(formData.date)}
-                onChange={(newValue) => {
-                  if (newValue) {
-                    setFormData({ ...formData, date: newValue.toISOString() });
-                  }
-                }}
-              />
-            </LocalizationProvider>
-            <TextField
-              name="duration"
-              label="Duration (minutes)"
-              type="number"
-              value={formData.duration}
-              onChange={(e) => setFormData({ ...formData, duration: Number(e.target.value) })}
-              required
-            />
-            <TextField
-              name="activity"
-              label="Activity"
-              value={formData.activity}
-              onChange={(e) => setFormData({ ...formData, activity: e.target.value })}
-              required
-            />
-          </Box>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={onClose}>Cancel</Button>
-          <Button type="submit" variant="contained">Save</Button>
-        </DialogActions>
-      </form>
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>{content}</DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button onClick={onConfirm} color="error" variant="contained">{t('common.delete')}</Button>
+      </DialogActions>
     </Dialog>
   );
 };
 
-/**
- * Generic confirmation dialog for delete operations
- */
-const DeleteConfirmDialog = ({ open, onClose, onConfirm, title, content }) => (
-  <Dialog open={open} onClose={onClose}>
-    <DialogTitle>{title}</DialogTitle>
-    <DialogContent>{content}</DialogContent>
-    <DialogActions>
-      <Button onClick={onClose}>Cancel</Button>
-      <Button onClick={onConfirm} color="error" variant="contained">Delete</Button>
-    </DialogActions>
-  </Dialog>
-);
-
 /**
  * Main CustomerList component that manages the customer data grid and operations
  */
 const CustomerList = () => {
-  const [customers, setCustomers] = useState([]);
+  const [customers, setCustomers] = useState([]);  // The customers on the current page
+  const [rowCount, setRowCount] = useState(0);  // Matching customers on all pages
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [loaded, setLoaded] = useState(false);  // Whether the first page has arrived
+  // The backend pages, sorts and searches; the grid only shows one page
+  // Search, sort order and page are kept in the URL: ?q=anna&sort=lastname,asc&page=2&size=25
+  const [query, setQuery] = useQueryState({
+    q: queryParam.string(),
+    page: queryParam.number(0),
+    size: queryParam.number(10),
+    sort: queryParam.sort([{ field: 'lastname', sort: 'asc' }]),
+  });
+  const [searchTerm, setSearchTerm] = useState(query.q);  // The search box; query.q once typing pauses
+  const paginationModel = useMemo(() => ({ page: query.page, pageSize: query.size }), [query.page, query.size]);
+  const sortModel = query.sort;
+  const [reloadKey, setReloadKey] = useState(0);
+  // Every customer, loaded on demand for duplicate checks in the add/edit and import dialogs
+  const [allCustomers, setAllCustomers] = useState([]);
   const [customerDialogOpen, setCustomerDialogOpen] = useState(false);
   const [trainingDialogOpen, setTrainingDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [selectedCustomerUrl, setSelectedCustomerUrl] = useState('');
   const [isEditing, setIsEditing] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const { checkConflicts, conflictDialog } = useConflictCheck();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  // Phones get a card list instead of the grid
+  const isNarrow = useMediaQuery((theme) => theme.breakpoints.down('sm'));
+  // Read-only users only browse and export; deleting and importing is for admins
+  const { can } = useAuth();
+  const canEdit = can(PERMISSIONS.EDIT);
+  const canDelete = can(PERMISSIONS.DELETE);
+  // Deletions can be undone; reload the list when something is restored
+  const { deleteCustomer, deleteCustomers } = useUndoableDelete(() => fetchCustomers());
+  // Batch actions on the checked rows (row ids are customer URLs)
+  const [rowSelectionModel, setRowSelectionModel] = useState([]);
+  const [batchProgress, setBatchProgress] = useState(null);  // { done, total } while a batch runs
+  const [batchDeleteOpen, setBatchDeleteOpen] = useState(false);
+  const [batchTrainingCount, setBatchTrainingCount] = useState(null);  // Trainings deleted along with the selection
+  const [batchBookOpen, setBatchBookOpen] = useState(false);
+  const [batchReport, setBatchReport] = useState(null);  // Per-row results after a partial failure
+  // Checked customers by URL, kept while paging so batch actions work across pages
+  const [knownCustomers, setKnownCustomers] = useState({});
 
-  // Function to fetch customer data from the API
-  // This function sets the loading state to true, attempts to fetch customer data,
-  // and updates the state with the fetched data. If an error occurs, it displays an error message.
-  const fetchCustomers = async () => {
+  // Reloads the current page, e.g. after a customer was added or deleted
+  const fetchCustomers = () => setReloadKey((key) => key + 1);
+
+  // Search once typing pauses, starting again from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const search = searchTerm.trim();
+      setQuery((current) => (current.q === search ? {} : { q: search, page: 0 }));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Show the search from the URL when it changes by going back or forward
+  useEffect(() => {
+    if (query.q !== searchTerm.trim()) setSearchTerm(query.q);
+  }, [query.q]);
+
+  // Effect to fetch the current page whenever the page, sort order or search changes
+  // Responses that arrive after a newer request was made are ignored
+  useEffect(() => {
+    let cancelled = false;
     setLoading(true);
+    api.getCustomerPage({
+      page: paginationModel.page,
+      size: paginationModel.pageSize,
+      sort: sortModel,
+      search: query.q,
+    })
+      .then(({ customers, totalElements }) => {
+        if (cancelled) return;
+        // A deletion can leave the last page empty: step back to the new last page
+        const lastPage = Math.max(Math.ceil(totalElements / paginationModel.pageSize) - 1, 0);
+        if (customers.length === 0 && paginationModel.page > lastPage) {
+          setQuery({ page: lastPage }, { replace: true });
+          return;
+        }
+        setCustomers(customers);
+        setRowCount(totalElements);
+        setKnownCustomers((known) => ({
+          ...known,
+          ...Object.fromEntries(customers.map((customer) => [customer._links.self.href, customer])),
+        }));
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        toast.error(t('customers.fetchFailed'));
+        console.error('Error fetching customers:', error);
+      })
+      .finally(() => {
+        if (cancelled) return;
+        setLoading(false);
+        setLoaded(true);
+      });
+    return () => { cancelled = true; };
+  }, [paginationModel, sortModel, query.q, reloadKey]);
+
+  // Load every customer for the duplicate checks of the add/edit and import dialogs
+  // The dialogs open straight away and warn about duplicates once the list arrives
+  const loadAllCustomers = async () => {
     try {
-      const customers = await api.getCustomers();
-      setCustomers(customers);
+      setAllCustomers(await api.getCustomers());
     } catch (error) {
-      toast.error('Failed to fetch customers');
-      console.error('Error fetching customers:', error);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching customers for duplicate checks:', error);
     }
   };
 
-  // Effect to fetch customers when the component is mounted
-  useEffect(() => {
-    fetchCustomers();
-  }, []);
-
   // Function to handle adding a new customer
   // This function sends a request to add a new customer, displays a success message,
   // refreshes the customer list, and closes the customer dialog. If an error occurs, it displays an error message.
+  // Validation errors from the server are passed back to the dialog to show on the fields.
   const handleAddCustomer = async (customer) => {
     try {
       await api.addCustomer(customer);
-      toast.success('Customer added successfully');
+      toast.success(t('customers.added'));
       fetchCustomers();
       setCustomerDialogOpen(false);
     } catch (error) {
-      toast.error('Failed to add customer');
       console.error('Error adding customer:', error);
+      if (hasServerFieldErrors(error)) throw error;
+      toast.error(t('customers.addFailed'));
     }
   };
 
@@ -273,182 +216,301 @@ const CustomerList = () => {
     if (!selectedCustomer?._links?.self.href) return;
     try {
       await api.updateCustomer(selectedCustomer._links.self.href, customer);
-      toast.success('Customer updated successfully');
+      toast.success(t('customers.updated'));
       fetchCustomers();
       setCustomerDialogOpen(false);
       setSelectedCustomer(null);
     } catch (error) {
-      toast.error('Failed to update customer');
       console.error('Error updating customer:', error);
+      if (hasServerFieldErrors(error)) throw error;
+      toast.error(t('customers.updateFailed'));
     }
   };
 
   // Function to handle deleting a customer
-  // This function checks if a customer URL is selected, sends a request to delete the customer,
-  // displays a success message, refreshes the customer list, and closes the delete dialog.
-  // If an error occurs, it displays an error message.
+  // This function checks if a customer URL is selected, deletes the customer through the
+  // recycle bin (the success message offers Undo), refreshes the customer list, and closes
+  // the delete dialog. If an error occurs, it displays an error message.
   const handleDeleteCustomer = async () => {
     if (!selectedCustomerUrl) return;
     try {
-      await api.deleteCustomer(selectedCustomerUrl);
-      toast.success('Customer deleted successfully');
+      await deleteCustomer(selectedCustomerUrl);
       fetchCustomers();
       setDeleteDialogOpen(false);
       setSelectedCustomerUrl('');
     } catch (error) {
-      toast.error('Failed to delete customer');
+      toast.error(t('customers.deleteFailed'));
       console.error('Error deleting customer:', error);
     }
   };
 
   // Function to handle adding a training session to a customer
-  // This function sends a request to add a training session, displays a success message,
-  // and closes the training dialog. If an error occurs, it displays an error message.
-  const handleAddTraining = async (training) => {
+  // This function sends a request to add a training session (or one per date for a
+  // recurring series), displays a success message, and closes the training dialog.
+  // Overlapping sessions are listed first and need an explicit override.
+  // If an error occurs, it displays an error message.
+  const handleAddTraining = async (training, occurrences = []) => {
+    const sessions = occurrences.length > 1
+      ? occurrences.map((date) => ({ ...training, date: date.toISOString() }))
+      : [training];
+    if (!(await checkConflicts(sessions))) return;
     try {
-      await api.addTraining(training);
-      toast.success('Training added successfully');
+      if (occurrences.length > 1) {
+        const { created, failed } = await addTrainingSeries(training, occurrences);
+        if (failed > 0) {
+          toast.warning(t('trainings.seriesPartlyAdded', { created, total: occurrences.length, failed }));
+        } else {
+          toast.success(t('trainings.seriesAdded', { count: created }));
+        }
+      } else {
+        await api.addTraining(training);
+        toast.success(t('trainings.added'));
+      }
       setTrainingDialogOpen(false);
       setSelectedCustomerUrl('');
     } catch (error) {
-      toast.error('Failed to add training');
+      toast.error(t('trainings.addFailed'));
       console.error('Error adding training:', error);
     }
   };
 
-  // Function to export customer data to a CSV file
-  // This function constructs a CSV string from the customer data, creates a downloadable link,
-  // and triggers a download of the CSV file. It displays a success message upon completion.
-  const handleExportCSV = () => {
-    const fields = ['firstname', 'lastname', 'email', 'phone', 'streetaddress', 'postcode', 'city'];
-    const csvHeader = fields.join(',');
-    const csvRows = customers.map(customer => {
-      return fields.map(field => {
-        const value = customer[field];
-        return `"${String(value).replace(/"/g, '""')}"`;
-      }).join(',');
+  // Customers whose rows are checked, on this page or others
+  const selectedCustomers = rowSelectionModel.map((url) => knownCustomers[url]).filter(Boolean);
+
+  // Label of a customer in batch reports
+  const getCustomerName = (customer) => `${customer.firstname} ${customer.lastname}`;
+
+  // Ask for confirmation before deleting the selected customers
+  // The dialog also tells how many trainings go with them, counted from /gettrainings
+  const openBatchDelete = async () => {
+    setBatchTrainingCount(null);
+    setBatchDeleteOpen(true);
+    try {
+      const trainings = await api.getTrainings();
+      const ids = new Set(rowSelectionModel.map(getIdFromUrl));
+      setBatchTrainingCount(trainings.filter((training) => ids.has(training.customer?.id)).length);
+    } catch (error) {
+      console.error('Error counting trainings of selected customers:', error);
+    }
+  };
+
+  // Delete every selected customer, a few at a time
+  // Customers that could not be deleted stay selected and are listed in a report
+  const handleBatchDelete = async () => {
+    setBatchDeleteOpen(false);
+    const targets = selectedCustomers;
+    setBatchProgress({ done: 0, total: targets.length });
+    const results = await deleteCustomers(
+      targets.map((customer) => customer._links.self.href),
+      { onProgress: (done, total) => setBatchProgress({ done, total }) },
+    );
+    setBatchProgress(null);
+    setRowSelectionModel(results.filter((result) => !result.ok).map((result) => result.item));
+    if (results.some((result) => !result.ok)) {
+      setBatchReport({
+        title: t('customers.deleteSelectedTitle'),
+        rows: results.map((result, index) => ({
+          key: result.item,
+          label: getCustomerName(targets[index]),
+          ok: result.ok,
+          message: result.ok ? t('batch.deleted') : getErrorMessage(result.error),
+        })),
+      });
+    }
+    fetchCustomers();
+  };
+
+  // Export only the selected customers, with the same columns as the full export
+  const handleExportSelected = () => {
+    const fields = CUSTOMER_FIELDS.map((field) => field.name);
+    if (downloadFile(toCSV(fields, selectedCustomers), 'customers-selected.csv', 'text/csv;charset=utf-8;')) {
+      toast.success(t('customers.selectedExported', { count: selectedCustomers.length }));
+    }
+  };
+
+  // Book the same training (or recurring series) for every selected customer
+  // All sessions are checked for overlaps together before anything is saved
+  const handleBatchBook = async (training, occurrences = []) => {
+    const targets = selectedCustomers;
+    const dates = occurrences.length > 1 ? occurrences.map((date) => date.toISOString()) : [training.date];
+    const sessions = targets.flatMap((customer) => dates.map((date) => ({
+      ...training,
+      date,
+      customer: customer._links.self.href,
+    })));
+    if (!(await checkConflicts(sessions))) return;
+    setBatchBookOpen(false);
+
+    setBatchProgress({ done: 0, total: targets.length });
+    const results = await runWithConcurrency(targets, async (customer) => {
+      const booking = { ...training, customer: customer._links.self.href };
+      if (occurrences.length > 1) {
+        const { created, failed } = await addTrainingSeries(booking, occurrences);
+        if (failed > 0) throw new Error(t('trainings.sessionsNotAdded', { failed, total: occurrences.length }));
+        return created;
+      }
+      await api.addTraining(booking);
+      return 1;
+    }, { onProgress: (done, total) => setBatchProgress({ done, total }) });
+    setBatchProgress(null);
+
+    const failed = results.filter((result) => !result.ok).length;
+    if (failed === 0) {
+      toast.success(t('customers.trainingBookedFor', { count: targets.length }));
+      return;
+    }
+    setBatchReport({
+      title: t('trainings.book'),
+      rows: results.map((result) => ({
+        key: result.item._links.self.href,
+        label: getCustomerName(result.item),
+        ok: result.ok,
+        message: result.ok
+          ? t('trainings.sessionsBooked', { count: result.value })
+          : getErrorMessage(result.error),
+      })),
     });
-    
-    const csvString = [csvHeader, ...csvRows].join('\n');
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    if (link.download !== undefined) {
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', 'customers.csv');
-      link.style.visibility = 'hidden'; // Optional: styling element
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-      toast.success('Customers exported successfully');
+  };
+
+  // Function to export customer data to a CSV file
+  // This function constructs a CSV string from the customer data and triggers a download
+  // of the CSV file. It displays a success message upon completion.
+  // The same seven fields are read back by the import wizard.
+  // The grid only holds one page, so every customer is fetched first.
+  const handleExportCSV = async () => {
+    const fields = CUSTOMER_FIELDS.map((field) => field.name);
+    try {
+      const csvString = toCSV(fields, await api.getCustomers());
+      if (downloadFile(csvString, 'customers.csv', 'text/csv;charset=utf-8;')) {
+        toast.success(t('customers.exported'));
+      }
+    } catch (error) {
+      toast.error(t('customers.exportFailed'));
+      console.error('Error exporting customers:', error);
     }
   };
 
+  // Actions the user is allowed to take on a customer, shown in the grid and on the cards
+  // label names the button, tooltip explains it
+  const getCustomerActions = (customer) => [
+    canEdit && {
+      key: 'edit',
+      label: t('common.edit'),
+      tooltip: t('customers.edit'),
+      icon: <EditIcon />,
+      onClick: () => {
+        setSelectedCustomer(customer);
+        setIsEditing(true);
+        setCustomerDialogOpen(true);
+        loadAllCustomers();
+      },
+    },
+    canDelete && {
+      key: 'delete',
+      label: t('common.delete'),
+      tooltip: t('customers.delete'),
+      icon: <DeleteIcon />,
+      onClick: () => {
+        setSelectedCustomerUrl(customer._links.self.href);
+        setDeleteDialogOpen(true);
+      },
+    },
+    canEdit && {
+      key: 'training',
+      label: t('trainings.add'),
+      tooltip: t('trainings.addSession'),
+      icon: <FitnessCenterIcon />,
+      onClick: () => {
+        setSelectedCustomerUrl(customer._links.self.href);
+        setTrainingDialogOpen(true);
+      },
+    },
+  ].filter(Boolean);
+
+  const openCustomer = (customer) => navigate(`/customers/${getIdFromUrl(customer._links.self.href)}`);
+
   // Define columns for the DataGrid
   const columns = [
-    { field: 'firstname', headerName: 'First Name', flex: 1 },
-    { field: 'lastname', headerName: 'Last Name', flex: 1 },
-    { field: 'email', headerName: 'Email', flex: 1 },
-    { field: 'phone', headerName: 'Phone', flex: 1 },
-    { field: 'streetaddress', headerName: 'Address', flex: 1 },
-    { field: 'postcode', headerName: 'Postcode', flex: 1 },
-    { field: 'city', headerName: 'City', flex: 1 },
+    { field: 'firstname', headerName: t('customers.fields.firstname'), flex: 1 },
+    { field: 'lastname', headerName: t('customers.fields.lastname'), flex: 1 },
+    { field: 'email', headerName: t('customers.fields.email'), flex: 1 },
+    { field: 'phone', headerName: t('customers.fields.phone'), flex: 1 },
+    { field: 'streetaddress', headerName: t('customers.address'), flex: 1 },
+    { field: 'postcode', headerName: t('customers.fields.postcode'), flex: 1 },
+    { field: 'city', headerName: t('customers.fields.city'), flex: 1 },
     {
       field: 'actions',
       type: 'actions',
-      headerName: 'Actions',
+      headerName: t('common.actions'),
       flex: 1,
-      getActions: (params) => [
-        <GridActionsCellItem
-          icon={
-            <Tooltip title="Edit customer" arrow>
-              <EditIcon />
-            </Tooltip>
-          }
-          label="Edit"
-          onClick={() => {
-            setSelectedCustomer(params.row);
-            setIsEditing(true);
-            setCustomerDialogOpen(true);
-          }}
-          showInMenu={false}
-        />,
+      // Only the actions the user is allowed to take
+      getActions: (params) => getCustomerActions(params.row).map(({ key, label, tooltip, icon, onClick }) => (
         <GridActionsCellItem
+          key={key}
           icon={
-            <Tooltip title="Delete customer" arrow>
-              <DeleteIcon />
+            <Tooltip title={tooltip} arrow>
+              {icon}
             </Tooltip>
           }
-          label="Delete"
-          onClick={() => {
-            setSelectedCustomerUrl(params.row._links.self.href);
-            setDeleteDialogOpen(true);
-          }}
+          label={label}
+          onClick={onClick}
           showInMenu={false}
-        />,
-        <GridActionsCellItem
-          icon={
-            <Tooltip title="Add training session" arrow>
-              <FitnessCenterIcon />
-            </Tooltip>
-          }
-          label="Add Training"
-          onClick={() => {
-            setSelectedCustomerUrl(params.row._links.self.href);
-            setTrainingDialogOpen(true);
-          }}
-          showInMenu={false}
-        />,
-      ],
+        />
+      )),
     },
   ];
 
-  // Filter customers based on the search term
-  const filteredCustomers = customers.filter((customer) => {
-    const searchStr = searchTerm.toLowerCase();
-    return (
-      customer.firstname.toLowerCase().includes(searchStr) ||
-      customer.lastname.toLowerCase().includes(searchStr) ||
-      customer.email.toLowerCase().includes(searchStr) ||
-      customer.city.toLowerCase().includes(searchStr)
-    );
-  });
-
   return (
     <Box>
-      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
         <Typography variant="h4" gutterBottom>
-          Customers
+          {t('customers.title')}
         </Typography>
-        <Box sx={{ display: 'flex', gap: 2 }}>
-          <Tooltip title="Export to CSV" arrow>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: { xs: 1, sm: 2 } }}>
+          {can(PERMISSIONS.IMPORT) && (
+            <Tooltip title={t('customers.importTooltip')} arrow>
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => {
+                  setImportDialogOpen(true);
+                  loadAllCustomers();
+                }}
+              >
+                {t('common.importCsv')}
+              </Button>
+            </Tooltip>
+          )}
+          <Tooltip title={t('common.exportCsvTooltip')} arrow>
             <Button
               variant="outlined"
               startIcon={<DownloadIcon />}
               onClick={handleExportCSV}
             >
-              Export CSV
-            </Button>
-          </Tooltip>
-          <Tooltip title="Add new customer" arrow>
-            <Button
-              variant="contained"
-              startIcon={<AddIcon />}
-              onClick={() => {
-                setIsEditing(false);
-                setSelectedCustomer(null);
-                setCustomerDialogOpen(true);
-              }}
-            >
-              Add Customer
+              {t('common.exportCsv')}
             </Button>
           </Tooltip>
+          {canEdit && (
+            <Tooltip title={t('customers.addTooltip')} arrow>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => {
+                  setIsEditing(false);
+                  setSelectedCustomer(null);
+                  setCustomerDialogOpen(true);
+                  loadAllCustomers();
+                }}
+              >
+                {t('customers.add')}
+              </Button>
+            </Tooltip>
+          )}
         </Box>
       </Box>
       
       <TextField
-        label="Search Customers"
+        label={t('customers.search')}
         variant="outlined"
         fullWidth
         margin="normal"
@@ -456,24 +518,99 @@ const CustomerList = () => {
         onChange={(e) => setSearchTerm(e.target.value)}
       />
       
-      <Box sx={{ height: 600, width: '1440px', maxWidth: '100%' }}>
-        <DataGrid
-          rows={filteredCustomers}
-          columns={columns}
-          loading={loading}
+      <BatchToolbar
+        count={rowSelectionModel.length}
+        label={t('customers.selected', { count: rowSelectionModel.length })}
+        onClear={() => setRowSelectionModel([])}
+        progress={batchProgress}
+      >
+        {canEdit && (
+          <Button
+            size="small"
+            startIcon={<FitnessCenterIcon />}
+            onClick={() => setBatchBookOpen(true)}
+            disabled={Boolean(batchProgress)}
+          >
+            {t('trainings.book')}
+          </Button>
+        )}
+        <Button
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={handleExportSelected}
+          disabled={Boolean(batchProgress)}
+        >
+          {t('common.exportCsv')}
+        </Button>
+        {canDelete && (
+          <Button
+            size="small"
+            color="error"
+            startIcon={<DeleteIcon />}
+            onClick={openBatchDelete}
+            disabled={Boolean(batchProgress)}
+          >
+            {t('common.delete')}
+          </Button>
+        )}
+      </BatchToolbar>
+
+      {isNarrow ? (
+        <RecordCardList
+          rows={customers}
           getRowId={(row) => row._links.self.href}
-          initialState={{
-            pagination: {
-              paginationModel: { pageSize: 10 },
-            },
-            sorting: {
-              sortModel: [{ field: 'lastname', sort: 'asc' }],
-            },
-          }}
-          pageSizeOptions={[5, 10, 25]}
-          disableRowSelectionOnClick
+          renderCard={(customer) => (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }} noWrap>
+                {getCustomerName(customer)}
+              </Typography>
+              <Typography variant="body2" noWrap>{customer.email}</Typography>
+              <Typography variant="body2" noWrap>{customer.phone}</Typography>
+              <Typography variant="body2" color="text.secondary" noWrap>
+                {[customer.streetaddress, `${customer.postcode} ${customer.city}`.trim()].filter(Boolean).join(', ')}
+              </Typography>
+            </>
+          )}
+          // Cards have room for icons only, so the buttons are named by their longer tooltip
+          getActions={(customer) => getCustomerActions(customer).map((action) => ({ ...action, label: action.tooltip }))}
+          onOpen={openCustomer}
+          rowSelectionModel={rowSelectionModel}
+          onRowSelectionModelChange={setRowSelectionModel}
+          rowCount={rowCount}
+          paginationModel={paginationModel}
+          onPaginationModelChange={(model) => setQuery({ page: model.page, size: model.pageSize })}
+          pageSizeOptions={[5, 10, 25, 50]}
+          loading={loading}
         />
-      </Box>
+      ) : (
+        <Box sx={{ height: 600, width: '100%' }}>
+          <DataGrid
+            rows={customers}
+            columns={columns}
+            loading={loading}
+            getRowId={(row) => row._links.self.href}
+            paginationMode="server"
+            sortingMode="server"
+            rowCount={rowCount}
+            paginationModel={paginationModel}
+            // The grid clamps the page while it has no rows; keep the page from the URL until they load
+            onPaginationModelChange={(model) => loaded && setQuery({ page: model.page, size: model.pageSize })}
+            sortModel={sortModel}
+            onSortModelChange={(model) => setQuery({ sort: model })}
+            pageSizeOptions={[5, 10, 25, 50]}
+            checkboxSelection
+            keepNonExistentRowsSelected
+            rowSelectionModel={rowSelectionModel}
+            onRowSelectionModelChange={setRowSelectionModel}
+            disableRowSelectionOnClick
+            // Clicking a row (outside the checkbox and action buttons) opens the customer's detail page
+            onCellClick={(params) => {
+              if (params.field !== 'actions' && params.field !== '__check__') openCustomer(params.row);
+            }}
+            sx={{ '& .MuiDataGrid-row': { cursor: 'pointer' } }}
+          />
+        </Box>
+      )}
 
       <CustomerDialog
         open={customerDialogOpen}
@@ -484,7 +621,8 @@ const CustomerList = () => {
         }}
         onSave={isEditing ? handleEditCustomer : handleAddCustomer}
         customer={selectedCustomer || undefined}
-        title={isEditing ? 'Edit Customer' : 'Add Customer'}
+        title={isEditing ? t('customers.editTitle') : t('customers.add')}
+        customers={allCustomers}
       />
 
       <TrainingDialog
@@ -495,15 +633,48 @@ const CustomerList = () => {
         }}
         onSave={handleAddTraining}
         customerUrl={selectedCustomerUrl}
+        allowRecurrence
       />
 
       <DeleteConfirmDialog
         open={deleteDialogOpen}
         onClose={() => setDeleteDialogOpen(false)}
         onConfirm={handleDeleteCustomer}
-        title="Delete Customer"
-        content="Are you sure you want to delete this customer? This will also delete all associated trainings."
+        title={t('customers.deleteTitle')}
+        content={t('customers.deleteConfirm')}
       />
+
+      <DeleteConfirmDialog
+        open={batchDeleteOpen}
+        onClose={() => setBatchDeleteOpen(false)}
+        onConfirm={handleBatchDelete}
+        title={t('customers.deleteSelectedTitle')}
+        content={`${t('customers.deleteSelectedConfirm', { count: rowSelectionModel.length })} ${
+          batchTrainingCount === null
+            ? t('customers.deleteSelectedTrainings')
+            : t('customers.deleteSelectedTrainingCount', { count: batchTrainingCount })
+        } ${t('common.restoreHint')}`}
+      />
+
+      <TrainingDialog
+        open={batchBookOpen}
+        onClose={() => setBatchBookOpen(false)}
+        onSave={handleBatchBook}
+        customerLabel={selectedCustomers.map(getCustomerName).join(', ')}
+        title={t('customers.bookTrainingFor', { count: selectedCustomers.length })}
+        allowRecurrence
+      />
+
+      <BatchResultDialog report={batchReport} onClose={() => setBatchReport(null)} />
+
+      <CustomerImportDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        customers={allCustomers}
+        onImported={fetchCustomers}
+      />
+
+      {conflictDialog}
     </Box>
   );
 };
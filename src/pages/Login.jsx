@@ -0,0 +1,117 @@
+/**
+ * Login page
+ * Signs in through the configured auth provider and returns to the page the
+ * visitor was trying to open. On the dev server, with the local stand-in
+ * provider, the demo accounts are listed for convenience.
+ */
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  List,
+  ListItemButton,
+  ListItemText,
+} from '@mui/material';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { AUTH_PROVIDER_NAME, LOCAL_USERS } from '../services/auth';
+import { getErrorMessage } from '../utils/concurrency';
+
+const LoginPage = () => {
+  const { user, login } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Where to go after signing in: the page that sent the visitor here, or the customer list
+  const from = location.state?.from;
+  const destination = from ? `${from.pathname}${from.search || ''}` : '/customers';
+
+  if (user) return <Navigate to={destination} replace />;
+
+  const handleChange = (e) => setCredentials({ ...credentials, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await login(credentials);
+      navigate(destination, { replace: true });
+    } catch (loginError) {
+      setError(loginError?.response?.status === 401 ? t('auth.invalidCredentials') : getErrorMessage(loginError));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Paper sx={{ p: 4, width: '100%', maxWidth: 400 }}>
+        <Typography variant="h4" gutterBottom>
+          {t('app.title')}
+        </Typography>
+        <Typography color="text.secondary" sx={{ mb: 3 }}>
+          {t('auth.signInToContinue')}
+        </Typography>
+        <form onSubmit={handleSubmit}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            <TextField
+              name="username"
+              label={t('auth.username')}
+              value={credentials.username}
+              onChange={handleChange}
+              autoComplete="username"
+              autoFocus
+              required
+            />
+            <TextField
+              name="password"
+              label={t('auth.password')}
+              type="password"
+              value={credentials.password}
+              onChange={handleChange}
+              autoComplete="current-password"
+              required
+            />
+            <Button type="submit" variant="contained" size="large" disabled={submitting}>
+              {t('auth.signIn')}
+            </Button>
+          </Box>
+        </form>
+
+        {/* Development accounts of the local stand-in provider; clicking one fills in the form */}
+        {import.meta.env.DEV && AUTH_PROVIDER_NAME === 'local' && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="body2" color="text.secondary">
+              {t('auth.demoAccounts')}
+            </Typography>
+            <List dense>
+              {LOCAL_USERS.map((demoUser) => (
+                <ListItemButton
+                  key={demoUser.username}
+                  onClick={() => setCredentials({ username: demoUser.username, password: demoUser.password })}
+                >
+                  <ListItemText
+                    primary={`${demoUser.username} / ${demoUser.password}`}
+                    secondary={`${demoUser.name} · ${t(`roles.${demoUser.role}`)}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Box>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default LoginPage;
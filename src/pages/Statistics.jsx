@@ -1,45 +1,98 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Box, Typography, CircularProgress } from '@mui/material';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  ToggleButtonGroup,
+  ToggleButton,
+  Paper,
+  useTheme,
+} from '@mui/material';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import { groupBy, sumBy } from 'lodash';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { startOfDay, endOfDay, isValid } from 'date-fns';
 import { toast } from 'sonner';
 import api from '../services/api';
+import useQueryState, { queryParam } from '../hooks/useQueryState';
+import useI18n from '../hooks/useI18n';
+import TrendCharts from '../components/statistics/TrendCharts';
+import RetentionDashboard from '../components/statistics/RetentionDashboard';
+import { getChartStyles } from '../utils/chartStyles';
+import {
+  RANGE_PRESETS,
+  GRANULARITIES,
+  getPresetRange,
+  getPreviousRange,
+  filterByRange,
+  totalsByActivity,
+  summarize,
+  percentChange,
+  defaultGranularity,
+  buildTrend,
+} from '../utils/statistics';
 
 // These margins control the spacing around the chart
 // Optional: You can adjust these values to change the chart's padding
 const CHART_MARGINS = { top: 20, right: 30, left: 40, bottom: 5 };
 
-// Main component that shows a bar chart of training statistics
+// Headline number with its change against the previous period
+const SummaryCard = ({ label, value, previous }) => {
+  const { t, formatNumber } = useI18n();
+  const change = percentChange(value, previous);
+  let changeColor = 'text.secondary';
+  if (change > 0) changeColor = 'success.main';
+  if (change < 0) changeColor = 'error.main';
+  return (
+    <Paper sx={{ p: 2, flex: 1, minWidth: 200 }}>
+      <Typography variant="body2" color="text.secondary">{label}</Typography>
+      <Typography variant="h5" sx={{ fontWeight: 600 }}>{formatNumber(value)}</Typography>
+      <Typography variant="body2" sx={{ color: changeColor }}>
+        {change === null
+          ? t('statistics.previousValue', { previous })
+          : t('statistics.change', {
+            change: formatNumber(change / 100, { style: 'percent', signDisplay: 'exceptZero' }),
+            previous,
+          })}
+      </Typography>
+    </Paper>
+  );
+};
+
+// Main component that shows training statistics for a selectable date range
 const StatisticsPage = () => {
-  // stats: holds the processed training data for the chart
+  // trainings: every training loaded from the server
+  // customers: every customer, so those who never trained show up in retention figures
   // loading: tracks whether we're still loading data from the server
-  const [stats, setStats] = useState([]);
+  const [trainings, setTrainings] = useState([]);
+  const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
+  // The selected date range (a preset, or custom start/end dates) and the trend options
+  // (per week or month, minutes or session counts) are kept in the URL,
+  // e.g. /statistics?range=custom&from=2024-01-01&to=2024-06-30&metric=sessions
+  const [query, setQuery] = useQueryState({
+    range: queryParam.oneOf(Object.values(RANGE_PRESETS), RANGE_PRESETS.LAST_90_DAYS),
+    from: queryParam.date(),
+    to: queryParam.date(),
+    granularity: queryParam.oneOf(Object.values(GRANULARITIES), null),  // null = pick from the range length
+    metric: queryParam.oneOf(['minutes', 'sessions']),
+  });
+  const { range: preset, granularity, metric } = query;
+  const customRange = useMemo(() => ({ start: query.from, end: query.to }), [query.from, query.to]);
+  const { t, language, formatDate, formatNumber } = useI18n();
+  const theme = useTheme();
 
-  // When the component first loads, fetch the training data
+  // When the component first loads, fetch the training and customer data
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        // Get all trainings from the API
-        const trainings = await api.getTrainings();
-        
-        // Group trainings by activity type (e.g., "Running", "Swimming", etc.)
-        // This creates an object where each key is an activity and the value is an array of trainings
-        const groupedStats = groupBy(trainings, 'activity');
-        
-        // Transform the grouped data into a format the chart can use
-        // For each activity, calculate the total duration of all trainings
-        const activityStats = Object.entries(groupedStats).map(([activity, trainings]) => ({
-          activity,
-          duration: sumBy(trainings, 'duration'),
-        }));
-        
-        // Sort activities by duration (highest to lowest) and update the state
-        setStats(activityStats.sort((a, b) => b.duration - a.duration));
+        // Get all trainings and customers from the API
+        const [trainingData, customerData] = await Promise.all([api.getTrainings(), api.getCustomers()]);
+        setTrainings(trainingData);
+        setCustomers(customerData);
       } catch (error) {
         // If something goes wrong, log the error and show a toast notification
         console.error('Error fetching training statistics:', error);
-        toast.error('Failed to load statistics');
+        toast.error(t('statistics.fetchFailed'));
       } finally {
         // Whether successful or not, we're done loading
         setLoading(false);
@@ -49,9 +102,44 @@ const StatisticsPage = () => {
     fetchStats();
   }, []);
 
+  // The date range the page shows
+  // A custom range falls back to the last 90 days until both dates are chosen;
+  // reversed dates (e.g. typed into the URL) are swapped rather than crashing the trend
+  const range = useMemo(() => {
+    if (preset === RANGE_PRESETS.CUSTOM && customRange.start && customRange.end) {
+      const [from, to] = customRange.start > customRange.end
+        ? [customRange.end, customRange.start]
+        : [customRange.start, customRange.end];
+      return { start: startOfDay(from), end: endOfDay(to) };
+    }
+    if (preset === RANGE_PRESETS.CUSTOM) return getPresetRange(RANGE_PRESETS.LAST_90_DAYS);
+    return getPresetRange(preset, trainings);
+  }, [preset, customRange, trainings, language]);  // The week starts on a different day per language
+
+  const previousRange = useMemo(() => getPreviousRange(range, preset), [range, preset]);
+  const activeGranularity = granularity || defaultGranularity(range);
+
+  // Everything on the page is derived from the trainings in the range
+  const rangeTrainings = useMemo(() => filterByRange(trainings, range), [trainings, range]);
+  const previousTrainings = useMemo(() => filterByRange(trainings, previousRange), [trainings, previousRange]);
+  const stats = useMemo(() => totalsByActivity(rangeTrainings), [rangeTrainings]);
+  const summary = summarize(rangeTrainings);
+  const previousSummary = summarize(previousTrainings);
+  const trend = useMemo(
+    () => buildTrend(rangeTrainings, range, activeGranularity),
+    [rangeTrainings, range, activeGranularity, language],
+  );
+  const previousTrend = useMemo(
+    () => buildTrend(previousTrainings, previousRange, activeGranularity),
+    [previousTrainings, previousRange, activeGranularity, language],
+  );
+
   // Format the tooltip text that appears when hovering over bars
   // Shows duration in minutes
-  const tooltipFormatter = (value) => [`${value} min`, 'Duration'];
+  const tooltipFormatter = (value) => [t('statistics.minutesValue', { minutes: value }), t('statistics.duration')];
+
+  // Chart colours follow the light or dark palette
+  const chartStyles = getChartStyles(theme);
 
   // The chart configuration is wrapped in useMemo to prevent unnecessary re-renders
   // It will only re-render when the stats data changes
@@ -63,54 +151,51 @@ const StatisticsPage = () => {
         margin={CHART_MARGINS}
       >
         {/* Optional: Grid lines in the background */}
-        <CartesianGrid strokeDasharray="3 3" />
-        
+        <CartesianGrid strokeDasharray="3 3" stroke={chartStyles.gridStroke} />
+
         {/* X-axis shows activity names */}
-        <XAxis 
+        <XAxis
           dataKey="activity"
-          tick={{ fill: '#334155' }}  // Optional: Color of the axis labels
+          tick={chartStyles.axisTick}  // Optional: Color of the axis labels
         />
-        
+
         {/* Y-axis shows duration values */}
         <YAxis
-          label={{ 
-            value: 'Duration (min)', 
-            angle: -90, 
+          label={{
+            value: t('trainings.durationShort'),
+            angle: -90,
             position: 'insideLeft',
-            style: { fill: '#334155' }  // Optional: Color of the axis label
+            style: chartStyles.axisLabel  // Optional: Color of the axis label
           }}
-          tick={{ fill: '#334155' }}  // Optional: Color of the axis ticks
+          tick={chartStyles.axisTick}  // Optional: Color of the axis ticks
+          tickFormatter={formatNumber}
         />
-        
+
         {/* Tooltip appears when hovering over bars */}
         <Tooltip
-          contentStyle={{
-            backgroundColor: '#ffffff',
-            border: '1px solid #e2e8f0',
-            borderRadius: '4px',
-          }}
+          contentStyle={chartStyles.tooltip}
           formatter={tooltipFormatter}
         />
-        
+
         {/* The actual bars in the chart */}
-        <Bar 
-          dataKey="duration" 
-          fill="#2563eb"  // Optional: Color of the bars
+        <Bar
+          dataKey="duration"
+          fill={chartStyles.primary}  // Optional: Color of the bars
           radius={[4, 4, 0, 0]}  // Optional: Rounded corners on top of bars
         />
       </BarChart>
     </ResponsiveContainer>
-  ), [stats]);
+  ), [stats, t, language, theme]);
 
   // Show a loading spinner while data is being fetched
   if (loading) {
     return (
-      <Box sx={{ 
-        display: 'flex', 
-        justifyContent: 'center', 
-        alignItems: 'center', 
-        height: '100%', 
-        minHeight: 400 
+      <Box sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        height: '100%',
+        minHeight: 400
       }}>
         <CircularProgress />
       </Box>
@@ -121,25 +206,109 @@ const StatisticsPage = () => {
   return (
     <Box sx={{ height: '100%', minHeight: 'calc(100vh - 180px)' }}>
       <Typography variant="h4" gutterBottom>
-        Training Statistics
+        {t('statistics.title')}
       </Typography>
-      
+
+      {/* Date range selection */}
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 3 }}>
+        <ToggleButtonGroup
+          value={preset}
+          exclusive
+          size="small"
+          onChange={(_, value) => value && setQuery({ range: value })}
+          aria-label={t('statistics.range')}
+        >
+          <ToggleButton value={RANGE_PRESETS.THIS_WEEK}>{t('statistics.presets.thisWeek')}</ToggleButton>
+          <ToggleButton value={RANGE_PRESETS.THIS_MONTH}>{t('statistics.presets.thisMonth')}</ToggleButton>
+          <ToggleButton value={RANGE_PRESETS.LAST_90_DAYS}>{t('statistics.presets.last90Days')}</ToggleButton>
+          <ToggleButton value={RANGE_PRESETS.ALL_TIME}>{t('statistics.presets.allTime')}</ToggleButton>
+          <ToggleButton value={RANGE_PRESETS.CUSTOM}>{t('statistics.presets.custom')}</ToggleButton>
+        </ToggleButtonGroup>
+        {preset === RANGE_PRESETS.CUSTOM && (
+          <>
+            <DatePicker
+              label={t('filters.from')}
+              value={customRange.start}
+              maxDate={customRange.end || undefined}
+              onChange={(value) => (!value || isValid(value)) && setQuery({ from: value })}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+            <DatePicker
+              label={t('filters.to')}
+              value={customRange.end}
+              minDate={customRange.start || undefined}
+              onChange={(value) => (!value || isValid(value)) && setQuery({ to: value })}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+          </>
+        )}
+        <Typography variant="body2" color="text.secondary">
+          {formatDate(range.start)} – {formatDate(range.end)}
+        </Typography>
+      </Box>
+
+      {/* Headline numbers compared with the previous period */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <SummaryCard label={t('statistics.minutesTrained')} value={summary.minutes} previous={previousSummary.minutes} />
+        <SummaryCard label={t('statistics.metrics.sessions')} value={summary.sessions} previous={previousSummary.sessions} />
+        <SummaryCard label={t('statistics.activeCustomers')} value={summary.customers} previous={previousSummary.customers} />
+      </Box>
+
       {/* Optional: Container styling for the chart */}
-      <Box sx={{ 
-        height: 'calc(100vh - 250px)',
-        minHeight: 600,
-        backgroundColor: 'white',
+      <Box sx={{
+        height: 500,
+        backgroundColor: 'background.paper',
         p: 4,
+        pb: 8,
+        mb: 3,
         borderRadius: 1,
         boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
       }}>
         <Typography variant="h6" gutterBottom sx={{ mb: 4 }}>
-          Total Minutes by Activity
+          {t('statistics.minutesByActivity')}
         </Typography>
         {chartContent}
       </Box>
+
+      {/* Trends per week or month */}
+      <Box sx={{
+        backgroundColor: 'background.paper',
+        p: 4,
+        borderRadius: 1,
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+      }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          <Typography variant="h6">{t('statistics.trends')}</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+            <ToggleButtonGroup
+              value={metric}
+              exclusive
+              size="small"
+              onChange={(_, value) => value && setQuery({ metric: value })}
+              aria-label={t('statistics.trendMetric')}
+            >
+              <ToggleButton value="minutes">{t('statistics.metrics.minutes')}</ToggleButton>
+              <ToggleButton value="sessions">{t('statistics.metrics.sessions')}</ToggleButton>
+            </ToggleButtonGroup>
+            <ToggleButtonGroup
+              value={activeGranularity}
+              exclusive
+              size="small"
+              onChange={(_, value) => value && setQuery({ granularity: value })}
+              aria-label={t('statistics.granularity')}
+            >
+              <ToggleButton value={GRANULARITIES.WEEK}>{t('statistics.perWeek')}</ToggleButton>
+              <ToggleButton value={GRANULARITIES.MONTH}>{t('statistics.perMonth')}</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+        </Box>
+        <TrendCharts trend={trend} previousTrend={previousTrend} metric={metric} />
+      </Box>
+
+      {/* Who keeps training and who has gone quiet */}
+      <RetentionDashboard customers={customers} trainings={trainings} rangeTrainings={rangeTrainings} />
     </Box>
   );
 };
 
-export default StatisticsPage;
\ No newline at end of file
+export default StatisticsPage;
@@ -1,33 +1,171 @@
 // Import required libraries and components
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { DataGrid, GridActionsCellItem } from '@mui/x-data-grid';
-import { TextField, Box, Typography, Dialog, DialogTitle, DialogContent, DialogActions, Button, Tooltip } from '@mui/material';
+import {
+  TextField,
+  Box,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Tooltip,
+  Badge,
+  Chip,
+  Collapse,
+  useMediaQuery,
+} from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
+import DownloadIcon from '@mui/icons-material/Download';
+import EditIcon from '@mui/icons-material/Edit';
+import EventIcon from '@mui/icons-material/Event';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import FilterListIcon from '@mui/icons-material/FilterList';
 import { format } from 'date-fns';
 import { toast } from 'sonner';
-import api from '../services/api';
+import api, { getCustomerUrl } from '../services/api';
+import TrainingDialog from '../components/TrainingDialog';
+import SeriesScopeDialog from '../components/SeriesScopeDialog';
+import {
+  SERIES_SCOPES,
+  isInSeries,
+  getScopedChanges,
+  getScopedTrainings,
+  updateTrainingOccurrences,
+} from '../services/trainingSeries';
+import useConflictCheck from '../hooks/useConflictCheck';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useQueryState, { queryParam } from '../hooks/useQueryState';
+import useAuth from '../hooks/useAuth';
+import useI18n from '../hooks/useI18n';
+import { PERMISSIONS } from '../services/auth';
+import { buildICS, ICS_MIME_TYPE } from '../utils/ical';
+import { downloadFile } from '../utils/download';
+import TrainingImportDialog from '../components/TrainingImportDialog';
+import BatchToolbar from '../components/BatchToolbar';
+import BatchResultDialog from '../components/BatchResultDialog';
+import RecordCardList from '../components/RecordCardList';
+import { toCSV } from '../utils/csv';
+import { getErrorMessage } from '../utils/concurrency';
+import TrainingFilterPanel from '../components/TrainingFilterPanel';
+import {
+  TIME_SCOPES,
+  EMPTY_PANEL_FILTERS,
+  QUERY_HELP,
+  parseTrainingQuery,
+  removeQueryToken,
+  buildPanelFilters,
+  applyTrainingFilters,
+  sortTrainings,
+  getCustomerName,
+  getActivityOptions,
+  getCustomerOptions,
+} from '../utils/trainingFilters';
+
+// Milliseconds to wait after the last keystroke before the search is written to the URL
+// Filtering itself is immediate; this keeps every keystroke out of the browser history
+const SEARCH_HISTORY_DELAY = 500;
+
+// Search, filter panel, sort order and page as URL parameters, e.g.
+// /trainings?q=yoga&from=2024-11-01&activity=Yoga,Pilates&when=upcoming&sort=date,desc&page=1
+const QUERY_SCHEMA = {
+  q: queryParam.string(),
+  from: queryParam.date(),
+  to: queryParam.date(),
+  min: queryParam.string(),
+  max: queryParam.string(),
+  activity: queryParam.list(),
+  customer: queryParam.number(),
+  when: queryParam.oneOf(Object.values(TIME_SCOPES), TIME_SCOPES.ALL),
+  page: queryParam.number(0),
+  size: queryParam.number(10),
+  sort: queryParam.sort([{ field: 'date', sort: 'desc' }]),
+};
 
 // Simple dialog that asks for confirmation before deleting
 // Used for both customer and training deletions
-const DeleteConfirmDialog = ({ open, onClose, onConfirm, title, content }) => (
-  <Dialog open={open} onClose={onClose}>
-    <DialogTitle>{title}</DialogTitle>
-    <DialogContent>{content}</DialogContent>
-    <DialogActions>
-      <Button onClick={onClose}>Cancel</Button>
-      <Button onClick={onConfirm} color="error" variant="contained">Delete</Button>
-    </DialogActions>
-  </Dialog>
-);
+const DeleteConfirmDialog = ({ open, onClose, onConfirm, title, content }) => {
+  const { t } = useI18n();
+
+  return (
+    <Dialog open={open} onClose={onClose}>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>{content}</DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button onClick={onConfirm} color="error" variant="contained">{t('common.delete')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
 
 // Main component that shows a list of all training sessions
 const TrainingList = () => {
   // Store all our data and UI state
   const [trainings, setTrainings] = useState([]);  // List of all trainings
   const [loading, setLoading] = useState(true);    // Whether we're loading data
-  const [searchTerm, setSearchTerm] = useState(''); // Text to filter trainings
+  const [query, setQuery] = useQueryState(QUERY_SCHEMA);  // Filters, sort and page kept in the URL
+  const [searchTerm, setSearchTerm] = useState(query.q); // Text or query to filter trainings
+  const [filtersOpen, setFiltersOpen] = useState(false);  // Show/hide the filter panel
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);  // Show/hide delete dialog
   const [selectedTrainingId, setSelectedTrainingId] = useState(null);  // ID of training to delete
+  const [editDialogOpen, setEditDialogOpen] = useState(false);  // Show/hide edit dialog
+  const [editingTraining, setEditingTraining] = useState(null);  // Training being edited
+  const [seriesDeleteOpen, setSeriesDeleteOpen] = useState(false);  // Ask which occurrences to delete
+  const [pendingUpdate, setPendingUpdate] = useState(null);  // Series edit waiting for a scope choice
+  const { checkConflicts, conflictDialog } = useConflictCheck();  // Overlap check before saving
+  const [importDialogOpen, setImportDialogOpen] = useState(false);  // Show/hide the import wizard
+  const { deleteTrainings } = useUndoableDelete(() => fetchTrainings());  // Deletions with Undo
+  const { can } = useAuth();  // Editing needs a trainer or admin; deleting and importing an admin
+  const canEdit = can(PERMISSIONS.EDIT);
+  const canDelete = can(PERMISSIONS.DELETE);
+  const { t, language, formatDateTime } = useI18n();
+  const isNarrow = useMediaQuery((theme) => theme.breakpoints.down('sm'));  // Cards instead of the grid on phones
+  const [rowSelectionModel, setRowSelectionModel] = useState([]);  // IDs of checked trainings
+  const [batchProgress, setBatchProgress] = useState(null);  // { done, total } while a batch runs
+  const [batchDeleteOpen, setBatchDeleteOpen] = useState(false);  // Confirm deleting the checked trainings
+  const [batchReport, setBatchReport] = useState(null);  // Per-row results after a partial failure
+
+  // Values of the filter panel, read from the URL
+  const panelFilters = useMemo(() => ({
+    from: query.from,
+    to: query.to,
+    minDuration: query.min,
+    maxDuration: query.max,
+    activities: query.activity,
+    customerId: query.customer,
+    timeScope: query.when,
+  }), [query.from, query.to, query.min, query.max, query.activity, query.customer, query.when]);
+
+  // Changing a filter starts again from the first page
+  const setPanelFilters = (panel, changes = {}) => setQuery({
+    from: panel.from,
+    to: panel.to,
+    min: panel.minDuration,
+    max: panel.maxDuration,
+    activity: panel.activities,
+    customer: panel.customerId,
+    when: panel.timeScope,
+    page: 0,
+    ...changes,
+  });
+
+  const paginationModel = useMemo(() => ({ page: query.page, pageSize: query.size }), [query.page, query.size]);
+
+  // Write the search to the URL once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const search = searchTerm.trim();
+      setQuery((current) => (current.q === search ? {} : { q: search, page: 0 }));
+    }, SEARCH_HISTORY_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Show the search from the URL when it changes by going back or forward
+  useEffect(() => {
+    if (query.q !== searchTerm.trim()) setSearchTerm(query.q);
+  }, [query.q]);
 
   // Load training data when component first renders
   useEffect(() => {
@@ -41,138 +179,491 @@ const TrainingList = () => {
       setTrainings(data);
     } catch (error) {
       console.error('Error fetching trainings:', error);
-      toast.error('Failed to load training sessions');
+      toast.error(t('trainings.fetchFailed'));
     } finally {
       setLoading(false);
     }
   };
 
+  // Start deleting a training: recurring sessions ask which occurrences to delete
+  const requestDelete = (training) => {
+    setSelectedTrainingId(training.id);
+    if (isInSeries(training, trainings)) {
+      setSeriesDeleteOpen(true);
+    } else {
+      setDeleteDialogOpen(true);
+    }
+  };
+
   // Delete a training session after confirmation
-  const handleDeleteTraining = async () => {
-    if (!selectedTrainingId) return;
-    try {
-      await api.deleteTraining(selectedTrainingId);
-      await fetchTrainings();  // Reload the list after deletion
-      setDeleteDialogOpen(false);
-      setSelectedTrainingId(null);
-      toast.success('Training session deleted successfully');
-    } catch (error) {
-      console.error('Error deleting training:', error);
-      toast.error('Failed to delete training session');
+  // For a recurring session the scope decides whether later occurrences go too
+  // The success toast offers Undo
+  const handleDeleteTraining = async (scope = SERIES_SCOPES.SINGLE) => {
+    const training = trainings.find((item) => item.id === selectedTrainingId);
+    if (!training) return;
+    const results = await deleteTrainings(getScopedTrainings(training, trainings, scope));
+    await fetchTrainings();  // Reload the list after deletion, also when some sessions failed
+    const failures = results.filter((result) => !result.ok);
+    if (failures.length > 0) {
+      failures.forEach((result) => console.error('Error deleting training:', result.error));
+      toast.error(t('trainings.deleteFailed'));
+      return;
     }
+    setDeleteDialogOpen(false);
+    setSeriesDeleteOpen(false);
+    setSelectedTrainingId(null);
   };
 
+  // Open the edit dialog prefilled with the chosen training
+  // The dialog works with customer URLs, so build one from the embedded customer's id
+  const openEditDialog = (training) => {
+    setEditingTraining({
+      id: training.id,
+      date: training.date,
+      duration: training.duration,
+      activity: training.activity,
+      customer: training.customer ? getCustomerUrl(training.customer.id) : '',
+    });
+    setEditDialogOpen(true);
+  };
+
+  // Save changes to a training session, possibly moving it to another customer
+  // Recurring sessions first ask whether the change applies to later occurrences too
+  const handleUpdateTraining = (training) => {
+    if (!editingTraining) return;
+    const original = trainings.find((item) => item.id === editingTraining.id);
+    if (original && isInSeries(original, trainings)) {
+      setPendingUpdate(training);
+      return;
+    }
+    saveTrainingUpdate(training, SERIES_SCOPES.SINGLE);
+  };
+
+  // Write the edited values to the chosen occurrences
+  // Sessions that would overlap others need an explicit override first
+  const saveTrainingUpdate = async (training, scope) => {
+    const original = trainings.find((item) => item.id === editingTraining?.id);
+    if (!original) return;
+    setPendingUpdate(null);
+    const updates = getScopedChanges(original, training, trainings, scope);
+    if (!(await checkConflicts(updates, { trainings, ignoreIds: updates.map((u) => u.id) }))) return;
+    const { updated, failed } = await updateTrainingOccurrences(original, training, trainings, scope);
+    await fetchTrainings();  // Reload the list so the grid shows the saved values, also after a partial failure
+    if (updated === 0) {
+      toast.error(t('trainings.updateFailed'));
+      return;
+    }
+    setEditDialogOpen(false);
+    setEditingTraining(null);
+    if (failed > 0) {
+      toast.warning(t('trainings.partlyUpdated', { updated, total: updated + failed, failed }));
+    } else {
+      toast.success(t('trainings.updated', { count: updated }));
+    }
+  };
+
+  // Actions the user is allowed to take on a training, shown in the grid and on the cards
+  const getTrainingActions = (training) => [
+    canEdit && {
+      key: 'edit',
+      label: t('common.edit'),
+      tooltip: t('trainings.edit'),
+      icon: <EditIcon />,
+      onClick: () => openEditDialog(training),
+    },
+    canDelete && {
+      key: 'delete',
+      label: t('common.delete'),
+      tooltip: t('trainings.delete'),
+      icon: <DeleteIcon />,
+      onClick: () => requestDelete(training),
+    },
+  ].filter(Boolean);
+
   // Define how each column should be displayed in the grid
   const columns = [
     {
       field: 'date',
-      headerName: 'Date',
+      headerName: t('trainings.date'),
       flex: 1,
       // Format the date to be readable
       renderCell: (params) => {
         try {
-          const date = new Date(params.row.date);
-          return format(date, 'dd.MM.yyyy HH:mm');
+          return formatDateTime(params.row.date);
         } catch {
-          return 'Invalid date';
+          return t('trainings.invalidDate');
         }
       },
     },
-    { field: 'duration', headerName: 'Duration (min)', flex: 1 },
-    { field: 'activity', headerName: 'Activity', flex: 1 },
+    { field: 'duration', headerName: t('trainings.durationShort'), flex: 1 },
+    { field: 'activity', headerName: t('trainings.activity'), flex: 1 },
     {
       field: 'customer',
-      headerName: 'Customer',
+      headerName: t('trainings.customer'),
       flex: 1,
       // Show customer's full name
       renderCell: (params) => {
         const customer = params.row?.customer;
-        if (!customer) return 'N/A';
+        if (!customer) return t('common.notAvailable');
         return `${customer.firstname} ${customer.lastname}`;
       },
     },
     {
       field: 'actions',
       type: 'actions',
-      headerName: 'Actions',
+      headerName: t('common.actions'),
       flex: 1,
-      // Add delete button for each row
-      getActions: (params) => [
-        <Tooltip title="Delete training session" arrow>
+      // Add edit and delete buttons for each row
+      getActions: (params) => getTrainingActions(params.row).map(({ key, label, tooltip, icon, onClick }) => (
+        <Tooltip key={key} title={tooltip} arrow>
           <span>
             <GridActionsCellItem
-              icon={<DeleteIcon />}
-              label="Delete"
-              onClick={() => {
-                setSelectedTrainingId(params.row.id);
-                setDeleteDialogOpen(true);
-              }}
+              icon={icon}
+              label={label}
+              onClick={onClick}
               showInMenu={false}
             />
           </span>
-        </Tooltip>,
-      ],
+        </Tooltip>
+      )),
     },
   ];
 
-  // Filter trainings based on search text
-  // Looks for matches in activity name or customer name
-  const filteredTrainings = trainings.filter((training) => {
-    const searchStr = searchTerm.toLowerCase();
-    return (
-      training.activity.toLowerCase().includes(searchStr) ||
-      (training.customer && 
-        `${training.customer.firstname} ${training.customer.lastname}`
-          .toLowerCase()
-          .includes(searchStr))
+  // Choices for the filter panel, taken from the loaded trainings
+  const activityOptions = useMemo(() => getActivityOptions(trainings), [trainings]);
+  const customerOptions = useMemo(() => getCustomerOptions(trainings), [trainings]);
+
+  // Active filters from the panel and the search box, shown as chips
+  // Plain words match the activity or customer name; keywords such as duration>=45 filter by field
+  const activeFilters = useMemo(() => {
+    const now = Date.now();
+    return [
+      ...buildPanelFilters(panelFilters, { customers: customerOptions, now }),
+      ...parseTrainingQuery(searchTerm, now),
+    ];
+  }, [panelFilters, searchTerm, customerOptions, language]);  // Chip labels are translated
+  const panelFilterCount = activeFilters.filter((filter) => filter.field).length;
+
+  const filteredTrainings = useMemo(
+    () => applyTrainingFilters(trainings, activeFilters),
+    [trainings, activeFilters],
+  );
+
+  // The page of filtered trainings shown as cards; the grid sorts and pages by itself
+  const cardTrainings = useMemo(() => {
+    if (!isNarrow) return [];
+    const start = paginationModel.page * paginationModel.pageSize;
+    return sortTrainings(filteredTrainings, query.sort).slice(start, start + paginationModel.pageSize);
+  }, [isNarrow, filteredTrainings, query.sort, paginationModel]);
+
+  // Removing a chip clears its panel field or takes its token out of the search box
+  const removeFilter = (filter) => {
+    if (filter.field) {
+      setPanelFilters({ ...panelFilters, [filter.field]: EMPTY_PANEL_FILTERS[filter.field] });
+    } else {
+      const search = removeQueryToken(searchTerm, filter);
+      setSearchTerm(search);
+      setQuery({ q: search, page: 0 });
+    }
+  };
+
+  const clearFilters = () => {
+    setPanelFilters(EMPTY_PANEL_FILTERS, { q: '' });
+    setSearchTerm('');
+  };
+
+  // Export the trainings currently matching the search as an iCalendar file
+  const handleExportICS = () => {
+    const ics = buildICS(filteredTrainings, { name: t('trainings.title') });
+    if (downloadFile(ics, 'trainings.ics', ICS_MIME_TYPE)) {
+      toast.success(t('trainings.exported', { count: filteredTrainings.length }));
+    }
+  };
+
+  // Trainings whose rows are checked
+  const selectedTrainings = trainings.filter((training) => rowSelectionModel.includes(training.id));
+  const selectedCustomerCount = new Set(selectedTrainings.map((training) => training.customer?.id)).size;
+
+  // Label of a training in batch reports
+  const describeTraining = (training) => (
+    `${formatDateTime(training.date)} ${training.activity}${
+      training.customer ? ` – ${training.customer.firstname} ${training.customer.lastname}` : ''}`
+  );
+
+  // Delete every checked training, a few at a time
+  // Sessions that could not be deleted stay selected and are listed in a report
+  const handleBatchDelete = async () => {
+    setBatchDeleteOpen(false);
+    const targets = selectedTrainings;
+    setBatchProgress({ done: 0, total: targets.length });
+    const results = await deleteTrainings(
+      targets,
+      { onProgress: (done, total) => setBatchProgress({ done, total }) },
     );
-  });
+    setBatchProgress(null);
+    setRowSelectionModel(results.filter((result) => !result.ok).map((result) => result.item.id));
+    if (results.some((result) => !result.ok)) {
+      setBatchReport({
+        title: t('trainings.deleteSelectedTitle'),
+        rows: results.map((result) => ({
+          key: result.item.id,
+          label: describeTraining(result.item),
+          ok: result.ok,
+          message: result.ok ? t('batch.deleted') : getErrorMessage(result.error),
+        })),
+      });
+    }
+    fetchTrainings();
+  };
+
+  // Export the checked trainings to CSV, in columns the import wizard reads back
+  const handleExportSelected = () => {
+    const rows = selectedTrainings.map((training) => ({
+      date: format(new Date(training.date), 'dd.MM.yyyy HH:mm'),
+      duration: training.duration,
+      activity: training.activity,
+      customer: training.customer ? `${training.customer.firstname} ${training.customer.lastname}` : '',
+      email: training.customer?.email || '',
+    }));
+    const csv = toCSV(['date', 'duration', 'activity', 'customer', 'email'], rows);
+    if (downloadFile(csv, 'trainings-selected.csv', 'text/csv;charset=utf-8;')) {
+      toast.success(t('trainings.exported', { count: rows.length }));
+    }
+  };
 
   return (
     <Box>
-      <Typography variant="h4" gutterBottom>
-        Trainings
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Typography variant="h4" gutterBottom>
+          {t('trainings.title')}
+        </Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: { xs: 1, sm: 2 } }}>
+          {/* Import sessions from calendar exports or spreadsheets */}
+          {can(PERMISSIONS.IMPORT) && (
+            <Tooltip title={t('trainings.importTooltip')} arrow>
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setImportDialogOpen(true)}
+              >
+                {t('common.import')}
+              </Button>
+            </Tooltip>
+          )}
+          {/* Export the filtered trainings to phone/desktop calendars */}
+          <Tooltip title={t('trainings.exportIcsTooltip')} arrow>
+            <span>
+              <Button
+                variant="outlined"
+                startIcon={<EventIcon />}
+                onClick={handleExportICS}
+                disabled={filteredTrainings.length === 0}
+              >
+                {t('trainings.exportIcs')}
+              </Button>
+            </span>
+          </Tooltip>
+        </Box>
+      </Box>
       
-      {/* Search box to filter trainings */}
-      <TextField
-        label="Search Trainings"
-        variant="outlined"
-        fullWidth
-        margin="normal"
-        value={searchTerm}
-        onChange={(e) => setSearchTerm(e.target.value)}
-      />
+      {/* Search box to filter trainings, with the filter panel toggle next to it */}
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+        <TextField
+          label={t('trainings.search')}
+          variant="outlined"
+          fullWidth
+          margin="normal"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          helperText={t('trainings.searchHelp', { example: QUERY_HELP })}
+        />
+        <Button
+          variant={filtersOpen ? 'contained' : 'outlined'}
+          startIcon={(
+            <Badge badgeContent={panelFilterCount} color="secondary">
+              <FilterListIcon />
+            </Badge>
+          )}
+          onClick={() => setFiltersOpen(!filtersOpen)}
+          sx={{ mt: 2, height: 56, flexShrink: 0 }}
+        >
+          {t('filters.title')}
+        </Button>
+      </Box>
+
+      <Collapse in={filtersOpen}>
+        <Box sx={{ mb: 2 }}>
+          <TrainingFilterPanel
+            value={panelFilters}
+            onChange={setPanelFilters}
+            activities={activityOptions}
+            customers={customerOptions}
+          />
+        </Box>
+      </Collapse>
+
+      {/* Active filters; keywords that could not be understood are shown in red and ignored */}
+      {activeFilters.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 2 }}>
+          {activeFilters.map((filter) => (
+            <Tooltip key={filter.id} title={filter.error || ''} arrow>
+              <Chip
+                label={filter.label}
+                color={filter.error ? 'error' : 'default'}
+                variant={filter.field ? 'filled' : 'outlined'}
+                onDelete={() => removeFilter(filter)}
+              />
+            </Tooltip>
+          ))}
+          <Typography variant="body2" color="text.secondary">
+            {t('filters.matching', { count: filteredTrainings.length, total: trainings.length })}
+          </Typography>
+          <Button size="small" onClick={clearFilters}>{t('filters.clearAll')}</Button>
+        </Box>
+      )}
       
-      {/* Grid showing all trainings */}
+      {/* Actions for the checked trainings */}
+      <BatchToolbar
+        count={rowSelectionModel.length}
+        label={t('trainings.selected', { count: rowSelectionModel.length })}
+        onClear={() => setRowSelectionModel([])}
+        progress={batchProgress}
+      >
+        <Button
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={handleExportSelected}
+          disabled={Boolean(batchProgress)}
+        >
+          {t('common.exportCsv')}
+        </Button>
+        {canDelete && (
+          <Button
+            size="small"
+            color="error"
+            startIcon={<DeleteIcon />}
+            onClick={() => setBatchDeleteOpen(true)}
+            disabled={Boolean(batchProgress)}
+          >
+            {t('common.delete')}
+          </Button>
+        )}
+      </BatchToolbar>
+
+      {/* Grid showing all trainings, or cards on phones */}
       {/* Optional: Container styling */}
-      <Box sx={{ height: 600, width: '1440px', maxWidth: '100%' }}>
-        <DataGrid
-          rows={filteredTrainings}
-          columns={columns}
-          loading={loading}
+      {isNarrow ? (
+        <RecordCardList
+          rows={cardTrainings}
           getRowId={(row) => row.id}
-          initialState={{
-            pagination: {
-              paginationModel: { pageSize: 10 },  // Show 10 items per page by default
-            },
-            sorting: {
-              sortModel: [{ field: 'date', sort: 'desc' }],  // Sort by date descending
-            },
-          }}
-          pageSizeOptions={[5, 10, 25]}  // Let users choose how many items per page
-          disableRowSelectionOnClick
+          renderCard={(training) => (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }} noWrap>
+                {training.activity}
+              </Typography>
+              <Typography variant="body2">
+                {formatDateTime(training.date)} · {t('statistics.minutesValue', { minutes: training.duration })}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" noWrap>
+                {training.customer ? getCustomerName(training.customer) : t('common.notAvailable')}
+              </Typography>
+            </>
+          )}
+          // Cards have room for icons only, so the buttons are named by their longer tooltip
+          getActions={(training) => getTrainingActions(training).map((action) => ({ ...action, label: action.tooltip }))}
+          rowSelectionModel={rowSelectionModel}
+          onRowSelectionModelChange={setRowSelectionModel}
+          rowCount={filteredTrainings.length}
+          paginationModel={paginationModel}
+          onPaginationModelChange={(model) => setQuery({ page: model.page, size: model.pageSize })}
+          pageSizeOptions={[5, 10, 25]}
+          loading={loading}
         />
-      </Box>
+      ) : (
+        <Box sx={{ height: 600, width: '100%' }}>
+          <DataGrid
+            rows={filteredTrainings}
+            columns={columns}
+            loading={loading}
+            getRowId={(row) => row.id}
+            paginationModel={paginationModel}  // 10 items per page by default
+            // The grid clamps the page while it has no rows; keep the page from the URL until they load
+            onPaginationModelChange={(model) => !loading && setQuery({ page: model.page, size: model.pageSize })}
+            sortModel={query.sort}  // Sorted by date descending by default
+            onSortModelChange={(model) => setQuery({ sort: model })}
+            pageSizeOptions={[5, 10, 25]}  // Let users choose how many items per page
+            checkboxSelection  // Check rows for batch actions
+            rowSelectionModel={rowSelectionModel}
+            onRowSelectionModelChange={setRowSelectionModel}
+            disableRowSelectionOnClick
+          />
+        </Box>
+      )}
+
+      {/* Dialog for editing a training, including moving it to another customer */}
+      <TrainingDialog
+        open={editDialogOpen}
+        onClose={() => {
+          setEditDialogOpen(false);
+          setEditingTraining(null);
+        }}
+        onSave={handleUpdateTraining}
+        training={editingTraining}
+        title={t('trainings.editTitle')}
+      />
 
       {/* Dialog that shows up when deleting a training */}
       <DeleteConfirmDialog
         open={deleteDialogOpen}
         onClose={() => setDeleteDialogOpen(false)}
-        onConfirm={handleDeleteTraining}
-        title="Delete Training"
-        content="Are you sure you want to delete this training session?"
+        onConfirm={() => handleDeleteTraining(SERIES_SCOPES.SINGLE)}
+        title={t('trainings.deleteTitle')}
+        content={t('trainings.deleteConfirm')}
       />
+
+      {/* Dialog that shows up when deleting the checked trainings */}
+      <DeleteConfirmDialog
+        open={batchDeleteOpen}
+        onClose={() => setBatchDeleteOpen(false)}
+        onConfirm={handleBatchDelete}
+        title={t('trainings.deleteSelectedTitle')}
+        content={t('trainings.deleteSelectedConfirm', {
+          sessions: t('trainings.sessionCount', { count: selectedTrainings.length }),
+          customers: t('customers.count', { count: selectedCustomerCount }),
+        })}
+      />
+
+      {/* Per-row results when a batch action partly failed */}
+      <BatchResultDialog report={batchReport} onClose={() => setBatchReport(null)} />
+
+      {/* Scope choice when deleting a recurring session */}
+      <SeriesScopeDialog
+        open={seriesDeleteOpen}
+        onClose={() => setSeriesDeleteOpen(false)}
+        onSelect={handleDeleteTraining}
+        title={t('series.deleteTitle')}
+        content={t('series.deleteQuestion')}
+        destructive
+      />
+
+      {/* Scope choice when editing a recurring session */}
+      <SeriesScopeDialog
+        open={Boolean(pendingUpdate)}
+        onClose={() => setPendingUpdate(null)}
+        onSelect={(scope) => saveTrainingUpdate(pendingUpdate, scope)}
+        title={t('series.editTitle')}
+        content={t('series.editQuestion')}
+      />
+
+      {/* Wizard for importing trainings from .ics or CSV files */}
+      <TrainingImportDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        trainings={trainings}
+        onImported={fetchTrainings}
+      />
+
+      {conflictDialog}
     </Box>
   );
 };
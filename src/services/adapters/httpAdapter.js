@@ -0,0 +1,21 @@
+// HTTP adapter that talks to the real REST service
+// Wraps an axios instance so every request goes through one place
+import axios from 'axios';
+
+// Creates an adapter that sends requests over the network using axios
+// All adapters share the same shape: get/post/put/delete returning { data }
+// so the api service does not need to know which one it is using
+// supportsSearch: whether the backend filters customer pages by ?search=
+const createHttpAdapter = ({ supportsSearch = false } = {}) => {
+  const client = axios.create();
+
+  return {
+    supportsSearch,
+    get: (url, config) => client.get(url, config),
+    post: (url, data, config) => client.post(url, data, config),
+    put: (url, data, config) => client.put(url, data, config),
+    delete: (url, config) => client.delete(url, config),
+  };
+};
+
+export default createHttpAdapter;
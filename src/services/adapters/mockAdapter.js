@@ -0,0 +1,349 @@
+// In-browser mock backend
+// Emulates the customer/training REST service (Spring Data REST + HAL) entirely
+// in the browser and persists its data to localStorage, so the app can be
+// developed and demoed without network access
+import { createSeedState } from './mockSeed';
+import { queryCustomers, parseSortParam } from '../../utils/customerQuery';
+
+// localStorage key holding the mock database
+export const MOCK_STORAGE_KEY = 'personalTrainer.mockDb';
+
+// Artificial latency (ms) so loading states behave like they do against the real service
+const DEFAULT_DELAY = 150;
+
+// Fields a customer resource carries (everything except id and links)
+const CUSTOMER_FIELDS = ['firstname', 'lastname', 'streetaddress', 'postcode', 'city', 'email', 'phone'];
+
+// Builds an error that looks like the one axios throws for a non-2xx response
+// Pages only ever look at error.response, so that is what we reproduce
+const createHttpError = (status, message, url) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { message, path: url } };
+  return error;
+};
+
+// Builds the 400 response Spring Data REST sends when bean validation fails
+// ({ errors: [{ entity, property, invalidValue, message }] })
+const createValidationError = (violations, url) => {
+  const error = createHttpError(400, 'Validation failed', url);
+  error.response.data.errors = violations.map((violation) => ({ entity: 'Customer', ...violation }));
+  return error;
+};
+
+// Constraints the backend puts on customers: names must not be blank and the email must be well-formed
+const validateCustomerFields = (customer, url) => {
+  const violations = [];
+  ['firstname', 'lastname'].forEach((property) => {
+    if (!String(customer[property] ?? '').trim()) {
+      violations.push({ property, invalidValue: customer[property] ?? null, message: 'must not be blank' });
+    }
+  });
+  if (customer.email && !/^[^\s@]+@[^\s@]+$/.test(customer.email)) {
+    violations.push({ property: 'email', invalidValue: customer.email, message: 'must be a well-formed email address' });
+  }
+  if (violations.length > 0) throw createValidationError(violations, url);
+};
+
+// Deep copy so callers can never mutate the stored state by accident
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Reads the database from localStorage, seeding it on first use
+const loadState = (storage) => {
+  try {
+    const stored = storage?.getItem(MOCK_STORAGE_KEY);
+    if (stored) return JSON.parse(stored);
+  } catch {
+    // Corrupt or inaccessible storage: fall through and reseed
+  }
+  return createSeedState();
+};
+
+// Writes the database to localStorage (ignored when storage is unavailable)
+const saveState = (storage, state) => {
+  try {
+    storage?.setItem(MOCK_STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Quota exceeded or private mode: keep working in memory
+  }
+};
+
+// Returns the id at the end of a resource URL such as …/customers/12
+const idFromUrl = (url) => {
+  const match = String(url || '').match(/\/(\d+)\/?$/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Creates an adapter that serves all API requests from an in-memory database.
+ * It has the same get/post/put/delete shape as the HTTP adapter.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl - API root used to build HAL links (same as BASE_URL)
+ * @param {string} options.resetUrl - URL that reseeds the sample data
+ * @param {Storage} [options.storage] - where to persist the database (defaults to localStorage)
+ * @param {number} [options.delay] - artificial latency in milliseconds
+ * @param {boolean} [options.requireToken] - answer 401 to requests without a bearer token,
+ *   like a backend behind the login would
+ */
+const createMockAdapter = ({
+  baseUrl,
+  resetUrl,
+  storage = typeof window !== 'undefined' ? window.localStorage : undefined,
+  delay = DEFAULT_DELAY,
+  requireToken = true,
+}) => {
+  let state = loadState(storage);
+
+  // Paths are compared without origin so absolute and relative URLs both work
+  const origin = typeof window !== 'undefined' ? window.location.origin : 'http://localhost';
+  const toUrl = (url) => new URL(url, origin);
+  const basePath = toUrl(baseUrl).pathname.replace(/\/+$/, '');
+  const resetPath = toUrl(resetUrl).pathname.replace(/\/+$/, '');
+
+  // HAL links are built from the configured base URL, exactly like the server does
+  const customerHref = (id) => `${baseUrl}/customers/${id}`;
+  const trainingHref = (id) => `${baseUrl}/trainings/${id}`;
+
+  const persist = () => saveState(storage, state);
+
+  // RESOURCE SHAPES
+
+  // Customer as returned by /customers and /customers/{id}
+  const toCustomerResource = (customer) => {
+    const resource = {};
+    CUSTOMER_FIELDS.forEach((field) => {
+      resource[field] = customer[field];
+    });
+    const self = customerHref(customer.id);
+    resource._links = {
+      self: { href: self },
+      customer: { href: self },
+      trainings: { href: `${self}/trainings` },
+    };
+    return resource;
+  };
+
+  // Training as returned by /trainings and /trainings/{id}
+  const toTrainingResource = (training) => {
+    const self = trainingHref(training.id);
+    return {
+      date: training.date,
+      duration: training.duration,
+      activity: training.activity,
+      _links: {
+        self: { href: self },
+        training: { href: self },
+        customer: { href: `${self}/customer` },
+      },
+    };
+  };
+
+  // Training as returned by /gettrainings: plain JSON with the customer embedded
+  const toTrainingWithCustomer = (training) => {
+    const customer = state.customers.find((c) => c.id === training.customerId);
+    return {
+      id: training.id,
+      date: training.date,
+      duration: training.duration,
+      activity: training.activity,
+      customer: customer ? { ...customer } : null,
+    };
+  };
+
+  // LOOKUPS
+
+  const findCustomer = (id, url) => {
+    const customer = state.customers.find((c) => c.id === id);
+    if (!customer) throw createHttpError(404, 'Customer not found', url);
+    return customer;
+  };
+
+  const findTraining = (id, url) => {
+    const training = state.trainings.find((t) => t.id === id);
+    if (!training) throw createHttpError(404, 'Training not found', url);
+    return training;
+  };
+
+  // Copies the known customer fields from a request body
+  const pickCustomerFields = (body = {}) => {
+    const customer = {};
+    CUSTOMER_FIELDS.forEach((field) => {
+      customer[field] = body[field] ?? '';
+    });
+    return customer;
+  };
+
+  // Validates a training request body and resolves its customer URL to an id
+  const pickTrainingFields = (body = {}, url) => {
+    const customerId = idFromUrl(body.customer);
+    if (customerId === null) throw createHttpError(400, 'Training must reference a customer URL', url);
+    findCustomer(customerId, url);
+    if (!body.date || Number.isNaN(new Date(body.date).getTime())) {
+      throw createHttpError(400, 'Training date is invalid', url);
+    }
+    return {
+      date: new Date(body.date).toISOString(),
+      duration: Number(body.duration) || 0,
+      activity: body.activity ?? '',
+      customerId,
+    };
+  };
+
+  // ROUTING
+
+  // Dispatches a request to the matching handler and returns the response body
+  // params are the axios-style query parameters; parameters in the URL itself count too
+  const route = (method, url, body, params = {}) => {
+    const parsedUrl = toUrl(url);
+    const path = parsedUrl.pathname.replace(/\/+$/, '');
+    const query = { ...Object.fromEntries(parsedUrl.searchParams), ...params };
+
+    if (path === resetPath) {
+      if (method !== 'post') throw createHttpError(405, 'Method not allowed', url);
+      state = createSeedState();
+      persist();
+      return { status: 200, data: 'Database reset' };
+    }
+
+    if (!path.startsWith(basePath)) throw createHttpError(404, 'Not found', url);
+    const segments = path.slice(basePath.length).split('/').filter(Boolean);
+    const [collection, rawId, relation] = segments;
+    const id = rawId !== undefined ? Number(rawId) : null;
+
+    // /gettrainings
+    if (collection === 'gettrainings' && method === 'get' && id === null) {
+      return { status: 200, data: state.trainings.map(toTrainingWithCustomer) };
+    }
+
+    // /customers
+    if (collection === 'customers' && id === null) {
+      if (method === 'get') {
+        // Without page or size the whole collection is returned
+        if (query.page === undefined && query.size === undefined) {
+          return {
+            status: 200,
+            data: {
+              _embedded: { customers: state.customers.map(toCustomerResource) },
+              _links: { self: { href: `${baseUrl}/customers` } },
+            },
+          };
+        }
+        // Paged like Spring Data REST: ?page=0&size=20&sort=lastname,asc (plus search=text),
+        // with the page metadata next to the embedded customers
+        const page = Math.max(Number(query.page) || 0, 0);
+        const size = Math.max(Number(query.size) || 20, 1);
+        const { customers, totalElements } = queryCustomers(state.customers, {
+          page,
+          size,
+          sort: parseSortParam(query.sort),
+          search: query.search,
+        });
+        return {
+          status: 200,
+          data: {
+            _embedded: { customers: customers.map(toCustomerResource) },
+            _links: { self: { href: `${baseUrl}/customers?page=${page}&size=${size}` } },
+            page: { size, totalElements, totalPages: Math.ceil(totalElements / size), number: page },
+          },
+        };
+      }
+      if (method === 'post') {
+        validateCustomerFields(pickCustomerFields(body), url);
+        const customer = { id: state.nextCustomerId++, ...pickCustomerFields(body) };
+        state.customers.push(customer);
+        persist();
+        return { status: 201, data: toCustomerResource(customer) };
+      }
+    }
+
+    // /customers/{id} and /customers/{id}/trainings
+    if (collection === 'customers' && id !== null) {
+      const customer = findCustomer(id, url);
+      if (relation === 'trainings' && method === 'get') {
+        const trainings = state.trainings.filter((t) => t.customerId === id).map(toTrainingResource);
+        return { status: 200, data: { _embedded: { trainings } } };
+      }
+      if (relation === undefined) {
+        if (method === 'get') return { status: 200, data: toCustomerResource(customer) };
+        if (method === 'put') {
+          validateCustomerFields(pickCustomerFields(body), url);
+          Object.assign(customer, pickCustomerFields(body));
+          persist();
+          return { status: 200, data: toCustomerResource(customer) };
+        }
+        if (method === 'delete') {
+          // Like the server, deleting a customer cascades to their trainings
+          state.customers = state.customers.filter((c) => c.id !== id);
+          state.trainings = state.trainings.filter((t) => t.customerId !== id);
+          persist();
+          return { status: 204, data: '' };
+        }
+      }
+    }
+
+    // /trainings
+    if (collection === 'trainings' && id === null) {
+      if (method === 'get') {
+        return {
+          status: 200,
+          data: { _embedded: { trainings: state.trainings.map(toTrainingResource) } },
+        };
+      }
+      if (method === 'post') {
+        const training = { id: state.nextTrainingId++, ...pickTrainingFields(body, url) };
+        state.trainings.push(training);
+        persist();
+        return { status: 201, data: toTrainingResource(training) };
+      }
+    }
+
+    // /trainings/{id} and /trainings/{id}/customer
+    if (collection === 'trainings' && id !== null) {
+      const training = findTraining(id, url);
+      if (relation === 'customer' && method === 'get') {
+        return { status: 200, data: toCustomerResource(findCustomer(training.customerId, url)) };
+      }
+      if (relation === undefined) {
+        if (method === 'get') return { status: 200, data: toTrainingResource(training) };
+        if (method === 'put') {
+          Object.assign(training, pickTrainingFields(body, url));
+          persist();
+          return { status: 200, data: toTrainingResource(training) };
+        }
+        if (method === 'delete') {
+          state.trainings = state.trainings.filter((t) => t.id !== id);
+          persist();
+          return { status: 204, data: '' };
+        }
+      }
+    }
+
+    throw createHttpError(404, 'Not found', url);
+  };
+
+  // Runs a request after the artificial delay and returns an axios-like response
+  const request = (method, url, body, config) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      try {
+        if (requireToken && !/^Bearer \S+/.test(config?.headers?.Authorization || '')) {
+          throw createHttpError(401, 'Full authentication is required to access this resource', url);
+        }
+        const { status, data } = route(method, url, body === undefined ? undefined : clone(body), config?.params);
+        resolve({ status, data: clone(data) });
+      } catch (error) {
+        reject(error);
+      }
+    }, delay);
+  });
+
+  return {
+    // Customer pages are filtered by ?search= (see the /customers route)
+    supportsSearch: true,
+    get: (url, config) => request('get', url, undefined, config),
+    post: (url, data, config) => request('post', url, data, config),
+    put: (url, data, config) => request('put', url, data, config),
+    delete: (url, config) => request('delete', url, undefined, config),
+  };
+};
+
+export default createMockAdapter;
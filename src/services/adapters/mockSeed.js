@@ -0,0 +1,65 @@
+// Sample data for the in-browser mock backend
+// Mirrors the kind of data the hosted REST service is seeded with on /reset
+
+const customers = [
+  { firstname: 'Anna', lastname: 'Korhonen', email: 'anna.korhonen@example.com', phone: '040-123 4567', streetaddress: 'Mannerheimintie 12', postcode: '00100', city: 'Helsinki' },
+  { firstname: 'Mikko', lastname: 'Virtanen', email: 'mikko.virtanen@example.com', phone: '050-234 5678', streetaddress: 'Hämeenkatu 5', postcode: '33100', city: 'Tampere' },
+  { firstname: 'Laura', lastname: 'Nieminen', email: 'laura.nieminen@example.com', phone: '044-345 6789', streetaddress: 'Aurakatu 8', postcode: '20100', city: 'Turku' },
+  { firstname: 'Juha', lastname: 'Mäkinen', email: 'juha.makinen@example.com', phone: '045-456 7890', streetaddress: 'Kauppakatu 21', postcode: '40100', city: 'Jyväskylä' },
+  { firstname: 'Sofia', lastname: 'Lehtonen', email: 'sofia.lehtonen@example.com', phone: '040-567 8901', streetaddress: 'Isokatu 3', postcode: '90100', city: 'Oulu' },
+  { firstname: 'Ville', lastname: 'Heikkinen', email: 'ville.heikkinen@example.com', phone: '050-678 9012', streetaddress: 'Tehtaankatu 17', postcode: '00140', city: 'Helsinki' },
+  { firstname: 'Emma', lastname: 'Laine', email: 'emma.laine@example.com', phone: '044-789 0123', streetaddress: 'Länsiväylä 40', postcode: '02160', city: 'Espoo' },
+  { firstname: 'Olli', lastname: 'Hämäläinen', email: 'olli.hamalainen@example.com', phone: '045-890 1234', streetaddress: 'Kuninkaankatu 9', postcode: '70100', city: 'Kuopio' },
+];
+
+// Trainings are described relative to the moment of seeding so the calendar
+// always has something to show around "today"
+// customer is an index into the customers array above
+const trainings = [
+  { customer: 0, dayOffset: -21, hour: 9, duration: 60, activity: 'Spinning' },
+  { customer: 0, dayOffset: -14, hour: 9, duration: 60, activity: 'Spinning' },
+  { customer: 0, dayOffset: -7, hour: 9, duration: 60, activity: 'Spinning' },
+  { customer: 0, dayOffset: 2, hour: 9, duration: 60, activity: 'Spinning' },
+  { customer: 1, dayOffset: -10, hour: 17, duration: 45, activity: 'Gym training' },
+  { customer: 1, dayOffset: -3, hour: 17, duration: 45, activity: 'Gym training' },
+  { customer: 1, dayOffset: 4, hour: 17, duration: 45, activity: 'Gym training' },
+  { customer: 2, dayOffset: -18, hour: 12, duration: 30, activity: 'Jogging' },
+  { customer: 2, dayOffset: -1, hour: 12, duration: 30, activity: 'Jogging' },
+  { customer: 2, dayOffset: 1, hour: 18, duration: 90, activity: 'Zumba' },
+  { customer: 3, dayOffset: -40, hour: 8, duration: 60, activity: 'Boxing' },
+  { customer: 3, dayOffset: -33, hour: 8, duration: 60, activity: 'Boxing' },
+  { customer: 4, dayOffset: -5, hour: 15, duration: 75, activity: 'Yoga' },
+  { customer: 4, dayOffset: 0, hour: 15, duration: 75, activity: 'Yoga' },
+  { customer: 4, dayOffset: 7, hour: 15, duration: 75, activity: 'Yoga' },
+  { customer: 5, dayOffset: -2, hour: 7, duration: 60, activity: 'Gym training' },
+  { customer: 5, dayOffset: 3, hour: 7, duration: 60, activity: 'Gym training' },
+  { customer: 6, dayOffset: -12, hour: 19, duration: 45, activity: 'Zumba' },
+  { customer: 6, dayOffset: 5, hour: 19, duration: 45, activity: 'Zumba' },
+  { customer: 7, dayOffset: -60, hour: 10, duration: 30, activity: 'Jogging' },
+];
+
+// Builds a fresh database state: customers and trainings with sequential ids
+// Trainings reference their customer by id, like the foreign key on the server
+export const createSeedState = (now = new Date()) => {
+  const seededCustomers = customers.map((customer, index) => ({ id: index + 1, ...customer }));
+
+  const seededTrainings = trainings.map((training, index) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() + training.dayOffset);
+    date.setHours(training.hour, 0, 0, 0);
+    return {
+      id: index + 1,
+      date: date.toISOString(),
+      duration: training.duration,
+      activity: training.activity,
+      customerId: seededCustomers[training.customer].id,
+    };
+  });
+
+  return {
+    customers: seededCustomers,
+    trainings: seededTrainings,
+    nextCustomerId: seededCustomers.length + 1,
+    nextTrainingId: seededTrainings.length + 1,
+  };
+};
@@ -1,36 +1,225 @@
 // Central API service for handling all backend communication
-// Uses axios for HTTP requests to make API calls simpler and more consistent
-import axios from 'axios';
+// Every request goes through a pluggable adapter, so the same build can talk to
+// the hosted REST service, a staging deployment or an in-memory stand-in
+import createHttpAdapter from './adapters/httpAdapter';
+import createMockAdapter from './adapters/mockAdapter';
+import { queryCustomers } from '../utils/customerQuery';
+import { PERMISSIONS, ROLES, hasPermission } from './auth';
+import { getCustomerOwner, setCustomerOwner, getOwnedCustomerIds, clearCustomerOwners } from './customerOwners';
+import { t } from '../i18n';
+
+// Default backend: the REST service deployed on Rahtiapp
+const DEFAULT_BASE_URL = 'https://customer-rest-service-frontend-personaltrainer.2.rahtiapp.fi/api';
 
 // Base URL for all API requests
-// Using a REST service deployed on Rahtiapp
-const BASE_URL = 'https://customer-rest-service-frontend-personaltrainer.2.rahtiapp.fi/api';
+// Set VITE_API_BASE_URL in an .env file to point the app at another backend
+export const BASE_URL = (import.meta.env.VITE_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+// URL that resets the backend to its sample data
+// The reset endpoint lives next to the API root (…/reset, not …/api/reset),
+// so by default it is derived from BASE_URL. Override with VITE_API_RESET_URL.
+export const RESET_URL = import.meta.env.VITE_API_RESET_URL || `${BASE_URL.replace(/\/api$/, '')}/reset`;
+
+// localStorage key that overrides VITE_API_ADAPTER for this browser
+// e.g. localStorage.setItem('personalTrainer.apiAdapter', 'mock') to demo offline
+export const ADAPTER_STORAGE_KEY = 'personalTrainer.apiAdapter';
+
+// Which backend to use: 'http' (default) talks to BASE_URL, 'mock' keeps all
+// data in the browser. Set VITE_API_ADAPTER or the localStorage key above.
+const readAdapterName = () => {
+  try {
+    const override = window.localStorage.getItem(ADAPTER_STORAGE_KEY);
+    if (override) return override;
+  } catch {
+    // localStorage unavailable: fall back to the build configuration
+  }
+  return import.meta.env.VITE_API_ADAPTER || 'http';
+};
+
+export const ADAPTER_NAME = readAdapterName();
+
+// Largest page Spring Data REST serves (its default max-page-size); bigger requests are capped
+const MAX_PAGE_SIZE = 1000;
+
+// Whether the backend at BASE_URL filters customers by ?search=; the hosted service doesn't
+// Set VITE_API_SEARCH=true for a backend that does
+const HTTP_SEARCH = import.meta.env.VITE_API_SEARCH === 'true';
+
+// Creates the adapter selected by ADAPTER_NAME
+const createDefaultAdapter = () => (
+  ADAPTER_NAME === 'mock'
+    ? createMockAdapter({ baseUrl: BASE_URL, resetUrl: RESET_URL })
+    : createHttpAdapter({ supportsSearch: HTTP_SEARCH })
+);
+
+// The adapter currently used for all requests
+// An adapter is any object with get/post/put/delete methods that resolve to { data },
+// and supportsSearch when its backend filters customer pages by ?search=
+let adapter = createDefaultAdapter();
+
+// Replaces the adapter used for all requests (e.g. with an in-memory one in development)
+// Returns the previous adapter so callers can restore it
+export const setAdapter = (nextAdapter) => {
+  const previous = adapter;
+  adapter = nextAdapter;
+  return previous;
+};
+
+// Returns the adapter currently in use
+export const getAdapter = () => adapter;
+
+// The signed-in session ({ token, user }), set by the auth context
+// Its token is sent with every request and its user decides what may be seen and changed
+let session = null;
+let onUnauthorized = null;
+
+export const setSession = (nextSession) => {
+  session = nextSession;
+};
+
+// Registers a function called when the backend answers 401, e.g. because the token expired
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// Sends a request through the adapter with the session's token attached
+const request = async (method, url, ...args) => {
+  const hasBody = method === 'post' || method === 'put';
+  const config = (hasBody ? args[1] : args[0]) || {};
+  const authConfig = session?.token
+    ? { ...config, headers: { ...config.headers, Authorization: `Bearer ${session.token}` } }
+    : config;
+  try {
+    return await (hasBody ? adapter[method](url, args[0], authConfig) : adapter[method](url, authConfig));
+  } catch (error) {
+    if (error?.response?.status === 401) onUnauthorized?.(error);
+    throw error;
+  }
+};
+
+// Error thrown when the signed-in user may not do something, shaped like an axios 403 response
+const createForbiddenError = (message) => {
+  const error = new Error(message);
+  error.response = { status: 403, data: { message } };
+  return error;
+};
+
+// messageKey names the explanation in the auth.forbidden section of the catalogs
+const requirePermission = (permission, messageKey = 'default') => {
+  if (!hasPermission(session?.user, permission)) throw createForbiddenError(t(`auth.forbidden.${messageKey}`));
+};
+
+// Trainers only see their own clients; admins and read-only users see everyone
+// Checked in the browser only, against the assignments in customerOwners.js, so
+// it keeps trainers' lists tidy but does not stop a trainer reaching other clients
+const isScopedToOwnClients = () => !hasPermission(session?.user, PERMISSIONS.VIEW_ALL_CUSTOMERS);
+
+const canSeeCustomer = (customerId) => (
+  !isScopedToOwnClients() || getCustomerOwner(customerId) === session?.user?.username
+);
+
+const requireCustomerAccess = (customerUrl) => {
+  if (!canSeeCustomer(getIdFromUrl(customerUrl))) {
+    throw createForbiddenError(t('auth.forbidden.otherTrainersCustomer'));
+  }
+};
+
+// Builds the URL of a customer resource from its numeric id
+// /gettrainings embeds customers with an id but without HAL links
+export const getCustomerUrl = (customerId) => `${BASE_URL}/customers/${customerId}`;
+
+// Extracts the numeric id from a resource URL such as …/customers/12
+// Returns null when the URL does not end in an id
+export const getIdFromUrl = (url) => {
+  const match = String(url || '').match(/\/(\d+)\/?$/);
+  return match ? Number(match[1]) : null;
+};
 
 // Main API service object containing all available operations
 // Each function handles a specific API endpoint and returns a Promise
 const api = {
   // CUSTOMER OPERATIONS
-  
+
   // Fetches all customers from the backend
   // Returns an array of customer objects with their details
+  // A paged collection is read page by page, as page sizes above MAX_PAGE_SIZE are capped
+  // Trainers only get their own clients
   getCustomers: async () => {
-    const response = await axios.get(`${BASE_URL}/customers`);
-    return response.data._embedded.customers;
+    const customers = [];
+    for (let page = 0; ; page += 1) {
+      const response = await request('get', `${BASE_URL}/customers`, { params: { page, size: MAX_PAGE_SIZE } });
+      const { _embedded, page: pageInfo } = response.data;
+      // A backend that ignores ?page= serves the first page again
+      if (pageInfo && pageInfo.number !== page) break;
+      customers.push(..._embedded.customers);
+      // Without page metadata the whole collection came in one response
+      if (!pageInfo || page + 1 >= pageInfo.totalPages) break;
+    }
+    return customers.filter((customer) => canSeeCustomer(getIdFromUrl(customer._links.self.href)));
+  },
+
+  // Fetches one page of customers, sorted and filtered by the backend
+  // query: { page (0-based), size, sort: [{ field, sort }], search }
+  // Returns { customers, totalElements }. Spring Data REST reads page, size and
+  // sort; search is only sent to adapters with supportsSearch (the hosted service
+  // ignores it). Otherwise, or when the response has no page metadata or is not
+  // the page asked for, the full list is fetched and paged in the browser instead.
+  // A trainer's clients are always paged in the browser, as the backend doesn't know about trainers
+  getCustomerPage: async ({ page = 0, size = 25, sort = [], search = '' } = {}) => {
+    if (isScopedToOwnClients() || (search && !adapter.supportsSearch)) {
+      return queryCustomers(await api.getCustomers(), { page, size, sort, search });
+    }
+
+    const params = { page, size };
+    if (sort.length > 0) params.sort = `${sort[0].field},${sort[0].sort}`;
+    if (search) params.search = search;
+
+    const response = await request('get', `${BASE_URL}/customers`, { params });
+    const { _embedded, page: pageInfo } = response.data;
+    const customers = _embedded.customers;
+    if (pageInfo && pageInfo.number === page && customers.length <= size) {
+      return { customers, totalElements: pageInfo.totalElements };
+    }
+
+    const all = pageInfo ? await api.getCustomers() : customers;
+    return queryCustomers(all, { page, size, sort, search });
+  },
+
+  // Fetches a single customer by their numeric id
+  // Returns the customer object, throws a 404 error if it does not exist
+  getCustomer: async (customerId) => {
+    if (!canSeeCustomer(customerId)) throw createForbiddenError(t('auth.forbidden.otherTrainersCustomer'));
+    const response = await request('get', getCustomerUrl(customerId));
+    return response.data;
   },
 
   // Creates a new customer in the system
   // Takes a customer object with firstname, lastname, email, etc.
   // Returns the created customer with their generated ID
+  // Customers added by a trainer are assigned to them
   addCustomer: async (customer) => {
-    const response = await axios.post(`${BASE_URL}/customers`, customer);
+    requirePermission(PERMISSIONS.EDIT);
+    const response = await request('post', `${BASE_URL}/customers`, customer);
+    if (session?.user?.role === ROLES.TRAINER) {
+      setCustomerOwner(getIdFromUrl(response.data._links.self.href), session.user.username);
+    }
     return response.data;
   },
 
+  // Creates a customer read from an import file (see CustomerImportDialog)
+  // Importing needs the import permission on top of the one to add customers
+  importCustomer: async (customer) => {
+    requirePermission(PERMISSIONS.IMPORT, 'importCustomers');
+    return api.addCustomer(customer);
+  },
+
   // Updates an existing customer's information
   // Requires the full customer URL (from _links.self.href) and updated customer data
   // Returns the updated customer object
   updateCustomer: async (customerUrl, customer) => {
-    const response = await axios.put(customerUrl, customer);
+    requirePermission(PERMISSIONS.EDIT);
+    requireCustomerAccess(customerUrl);
+    const response = await request('put', customerUrl, customer);
     return response.data;
   },
 
@@ -38,23 +227,48 @@ const api = {
   // Requires the full customer URL (from _links.self.href)
   // Returns nothing on success, throws error on failure
   deleteCustomer: async (customerUrl) => {
-    await axios.delete(customerUrl);
+    requirePermission(PERMISSIONS.DELETE, 'deleteCustomers');
+    await request('delete', customerUrl);
+    setCustomerOwner(getIdFromUrl(customerUrl), null);
   },
 
   // TRAINING OPERATIONS
-  
+
   // Fetches all training sessions, including customer information
   // Returns an array of training sessions with details like date, duration, activity
+  // Trainers only get the sessions of their own clients
   getTrainings: async () => {
-    const response = await axios.get(`${BASE_URL}/gettrainings`);
-    return response.data;
+    const response = await request('get', `${BASE_URL}/gettrainings`);
+    if (!isScopedToOwnClients()) return response.data;
+    const own = getOwnedCustomerIds(session?.user?.username);
+    return response.data.filter((training) => own.has(training.customer?.id));
   },
 
   // Creates a new training session
   // Takes training data including date, duration, activity, and customer reference
   // Returns the created training session with its ID
   addTraining: async (training) => {
-    const response = await axios.post(`${BASE_URL}/trainings`, training);
+    requirePermission(PERMISSIONS.EDIT);
+    requireCustomerAccess(training.customer);
+    const response = await request('post', `${BASE_URL}/trainings`, training);
+    return response.data;
+  },
+
+  // Creates a training session read from an import file (see TrainingImportDialog)
+  // Importing needs the import permission on top of the one to add trainings
+  importTraining: async (training) => {
+    requirePermission(PERMISSIONS.IMPORT, 'importTrainings');
+    return api.addTraining(training);
+  },
+
+  // Updates an existing training session
+  // Takes the training session's ID and the full training data, including the
+  // customer URL, so a session can also be reassigned to another customer
+  // Returns the updated training session
+  updateTraining: async (trainingId, training) => {
+    requirePermission(PERMISSIONS.EDIT);
+    requireCustomerAccess(training.customer);
+    const response = await request('put', `${BASE_URL}/trainings/${trainingId}`, training);
     return response.data;
   },
 
@@ -62,8 +276,32 @@ const api = {
   // Takes the training session's ID
   // Returns nothing on success, throws error on failure
   deleteTraining: async (trainingId) => {
-    await axios.delete(`${BASE_URL}/trainings/${trainingId}`);
+    requirePermission(PERMISSIONS.DELETE, 'deleteTrainings');
+    await request('delete', `${BASE_URL}/trainings/${trainingId}`);
+  },
+
+  // DATABASE OPERATIONS
+
+  // Resets the backend to its initial sample data
+  // Returns nothing on success, throws error on failure
+  // The new sample customers have new ids, so trainer assignments are forgotten
+  resetDatabase: async () => {
+    requirePermission(PERMISSIONS.RESET, 'reset');
+    await request('post', RESET_URL);
+    clearCustomerOwners();
   },
+
+  // USERS
+
+  // Assigns a customer to a trainer (by username), or unassigns them with null
+  // Admins only; the assignment is kept in this browser (see customerOwners.js)
+  assignCustomer: async (customerUrl, username) => {
+    requirePermission(PERMISSIONS.ASSIGN, 'assign');
+    setCustomerOwner(getIdFromUrl(customerUrl), username);
+  },
+
+  // Returns the trainer a customer is assigned to (username), or null
+  getCustomerTrainer: async (customerUrl) => getCustomerOwner(getIdFromUrl(customerUrl)),
 };
 
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,158 @@
+// Authentication and roles
+// Signing in goes through a pluggable auth provider, like the API adapters: the
+// local stand-in below for development, or an HTTP login endpoint. The signed-in
+// session is kept in localStorage and its token is sent with every API request.
+import axios from 'axios';
+import { t } from '../i18n';
+
+// Roles a user can have; their names are in the translation catalogs under roles
+export const ROLES = {
+  ADMIN: 'admin',
+  TRAINER: 'trainer',
+  READ_ONLY: 'readonly',
+};
+
+// Things a role may do
+// EDIT: add and change customers and trainings
+// DELETE: delete customers and trainings, and restore them from the recycle bin
+// IMPORT: import customers and trainings from files
+// RESET: reset the database to its sample data
+// VIEW_ALL_CUSTOMERS: see every customer; without it only the user's own clients are shown
+// ASSIGN: decide which trainer a customer belongs to
+export const PERMISSIONS = {
+  EDIT: 'edit',
+  DELETE: 'delete',
+  IMPORT: 'import',
+  RESET: 'reset',
+  VIEW_ALL_CUSTOMERS: 'viewAllCustomers',
+  ASSIGN: 'assign',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.TRAINER]: [PERMISSIONS.EDIT],
+  [ROLES.READ_ONLY]: [PERMISSIONS.VIEW_ALL_CUSTOMERS],
+};
+
+// Whether a user (as returned by login) may do something; signed-out users may do nothing
+export const hasPermission = (user, permission) => Boolean(
+  user && ROLE_PERMISSIONS[user.role]?.includes(permission),
+);
+
+// localStorage key holding the signed-in session: { token, user, expiresAt }
+export const SESSION_STORAGE_KEY = 'personalTrainer.session';
+
+// Reads the stored session, or null when there is none, it has expired or no
+// auth provider is configured
+export const loadSession = () => {
+  if (AUTH_PROVIDER_NAME === 'none') return null;
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+    if (!session?.token || !session.user) return null;
+    if (session.expiresAt && session.expiresAt <= Date.now()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  try {
+    if (session) {
+      window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch {
+    // localStorage unavailable: the session lasts until the page is reloaded
+  }
+};
+
+// How long a session from the local provider lasts
+const LOCAL_SESSION_HOURS = 8;
+
+// Users of the local stand-in provider
+// Development only: the passwords are in the bundle for anyone to read
+export const LOCAL_USERS = [
+  { username: 'admin', password: 'admin', name: 'Alex Admin', role: ROLES.ADMIN },
+  { username: 'anna', password: 'trainer', name: 'Anna Trainer', role: ROLES.TRAINER },
+  { username: 'ben', password: 'trainer', name: 'Ben Trainer', role: ROLES.TRAINER },
+  { username: 'viewer', password: 'viewer', name: 'Val Viewer', role: ROLES.READ_ONLY },
+];
+
+// Error thrown for a wrong username or password, shaped like an axios 401 response
+const createLoginError = () => {
+  const message = t('auth.invalidCredentials');
+  const error = new Error(message);
+  error.response = { status: 401, data: { message } };
+  return error;
+};
+
+// Creates a provider that checks credentials against LOCAL_USERS in the browser
+// Its tokens are unsigned and only meant to be sent to the mock or a development backend
+export const createLocalAuthProvider = ({ users = LOCAL_USERS } = {}) => ({
+  login: async ({ username, password }) => {
+    const match = users.find((user) => user.username === username.trim().toLowerCase() && user.password === password);
+    if (!match) throw createLoginError();
+    const user = { username: match.username, name: match.name, role: match.role };
+    const expiresAt = Date.now() + LOCAL_SESSION_HOURS * 60 * 60 * 1000;
+    const token = `local.${window.btoa(JSON.stringify({ sub: user.username, role: user.role, exp: expiresAt }))}`;
+    return { token, user, expiresAt };
+  },
+  logout: async () => {},
+  // Trainers that customers can be assigned to
+  getTrainers: async () => users
+    .filter((user) => user.role === ROLES.TRAINER)
+    .map(({ username, name }) => ({ username, name })),
+});
+
+// Creates a provider that signs in against a login endpoint
+// POST { username, password } must answer { token, user: { username, name, role }, expiresAt? }
+export const createHttpAuthProvider = ({ loginUrl }) => ({
+  login: async ({ username, password }) => {
+    const response = await axios.post(loginUrl, { username, password });
+    return response.data;
+  },
+  logout: async () => {},
+});
+
+// Creates a provider that refuses every sign-in, used when none is configured
+export const createUnconfiguredAuthProvider = () => ({
+  login: async () => {
+    const message = t('auth.notConfigured');
+    const error = new Error(message);
+    error.response = { status: 503, data: { message } };
+    throw error;
+  },
+  logout: async () => {},
+});
+
+// Which provider to use: 'http' posts to VITE_AUTH_LOGIN_URL, 'local' checks LOCAL_USERS.
+// Without VITE_AUTH_PROVIDER the local provider is only used by the dev server;
+// other builds get 'none' and nobody can sign in until a provider is configured
+const readAuthProviderName = () => {
+  const configured = import.meta.env.VITE_AUTH_PROVIDER;
+  if (configured === 'http' || configured === 'local') return configured;
+  return import.meta.env.DEV ? 'local' : 'none';
+};
+
+export const AUTH_PROVIDER_NAME = readAuthProviderName();
+
+const createDefaultAuthProvider = () => {
+  const loginUrl = import.meta.env.VITE_AUTH_LOGIN_URL;
+  if (AUTH_PROVIDER_NAME === 'http' && loginUrl) return createHttpAuthProvider({ loginUrl });
+  if (AUTH_PROVIDER_NAME === 'local') return createLocalAuthProvider();
+  return createUnconfiguredAuthProvider();
+};
+
+// The provider currently used for signing in
+let authProvider = createDefaultAuthProvider();
+
+// Replaces the auth provider; returns the previous one so callers can restore it
+export const setAuthProvider = (nextProvider) => {
+  const previous = authProvider;
+  authProvider = nextProvider;
+  return previous;
+};
+
+export const getAuthProvider = () => authProvider;
@@ -0,0 +1,150 @@
+// Full JSON backup and restore
+// A backup holds every customer and training, with trainings linked to their
+// customer by the customer's id in the file. Restoring replays it through
+// api.js and attaches each training to the URL its customer gets on the
+// target backend, so data can move between the hosted service and the mock.
+// Database snapshots (see snapshots.js) use the same format.
+import api, { getIdFromUrl } from './api';
+import { getSeriesId, addToSeries, removeFromSeries } from './trainingSeries';
+import { CUSTOMER_FIELDS } from '../utils/validation';
+import { buildBackup, planRestore } from '../utils/backup';
+import { runWithConcurrency } from '../utils/concurrency';
+import { t } from '../i18n';
+
+// Loads every customer and training as they are now
+const loadCurrentData = async () => {
+  const [customers, trainings] = await Promise.all([api.getCustomers(), api.getTrainings()]);
+  return { customers, trainings };
+};
+
+/**
+ * Loads every customer and training into a backup object (see utils/backup.js).
+ * Trainer assignments and recurring series, which are kept in this browser,
+ * are included.
+ *
+ * @returns {Promise<object>}
+ */
+export const exportBackup = async () => {
+  const { customers, trainings } = await loadCurrentData();
+  const trainers = await Promise.all(customers.map((customer) => api.getCustomerTrainer(customer._links.self.href)));
+  return buildBackup({
+    customers: customers.map((customer, index) => ({ ...customer, trainer: trainers[index] })),
+    trainings: trainings.map((training) => ({ ...training, seriesId: getSeriesId(training.id) })),
+  }, getIdFromUrl);
+};
+
+/**
+ * Creates backup customers and trainings through the API. Customers are
+ * created first; each training is then attached to the new URL of its
+ * customer, or to `customerUrls[customerId]` for customers that already exist.
+ * Trainings whose customer could not be created are counted as failed.
+ *
+ * @param {object} records
+ * @param {object[]} records.customers - backup customers to create
+ * @param {object[]} records.trainings - backup trainings to create
+ * @param {object} [records.customerUrls] - { [backupId]: url } of customers that exist already
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - called with (finished) after every record
+ * @returns {Promise<{ customers: { created, failed }, trainings: { created, failed } }>}
+ */
+export const replayBackupRecords = async ({ customers, trainings, customerUrls = {} }, { onProgress } = {}) => {
+  const customerResults = await runWithConcurrency(customers, async (customer) => {
+    const fields = {};
+    CUSTOMER_FIELDS.forEach(({ name }) => {
+      fields[name] = customer[name] ?? '';
+    });
+    const created = await api.addCustomer(fields);
+    const url = created._links.self.href;
+    if (customer.trainer) await api.assignCustomer(url, customer.trainer);
+    return url;
+  }, { onProgress: (finished) => onProgress?.(finished) });
+
+  // Backup customer id -> URL on this backend
+  const urls = { ...customerUrls };
+  customerResults.forEach((result) => {
+    if (result.ok) urls[result.item.id] = result.value;
+  });
+
+  const trainingResults = await runWithConcurrency(trainings, async (training) => {
+    let customer = null;
+    if (training.customerId !== null) {
+      customer = urls[training.customerId];
+      if (!customer) throw new Error(t('backup.errors.customerNotRestored', { id: String(training.customerId) }));
+    }
+    const created = await api.addTraining({
+      date: training.date,
+      duration: training.duration,
+      activity: training.activity,
+      customer,
+    });
+    return getIdFromUrl(created?._links?.self?.href);
+  }, { onProgress: (finished) => onProgress?.(customers.length + finished) });
+
+  // Put the recreated sessions back into their recurring series
+  const seriesIds = {};
+  trainingResults.forEach((result) => {
+    if (!result.ok || result.value === null || !result.item.seriesId) return;
+    seriesIds[result.item.seriesId] = [...(seriesIds[result.item.seriesId] || []), result.value];
+  });
+  Object.entries(seriesIds).forEach(([seriesId, ids]) => addToSeries(seriesId, ids));
+
+  [...customerResults, ...trainingResults]
+    .filter((result) => !result.ok)
+    .forEach((result) => console.error('Error restoring backup record:', result.error));
+
+  const count = (results) => {
+    const created = results.filter((result) => result.ok).length;
+    return { created, failed: results.length - created };
+  };
+  return { customers: count(customerResults), trainings: count(trainingResults) };
+};
+
+/**
+ * Dry run: works out what restoring a backup would change (see planRestore).
+ *
+ * @param {object} backup - as from parseBackup
+ * @param {string} mode - one of RESTORE_MODES
+ * @returns {Promise<object>} the plan, to be passed to applyRestorePlan
+ */
+export const previewRestore = async (backup, mode) => planRestore(backup, await loadCurrentData(), mode);
+
+/**
+ * Carries out a plan from previewRestore: deletes what it replaces, then
+ * creates the backup records. Stops before creating anything when a deletion
+ * fails, so a replace never ends up mixing old and restored data.
+ *
+ * @param {object} plan
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - called with (finished, total) over all steps
+ * @returns {Promise<object>} { deleted: { customers, trainings }, customers, trainings } as
+ *   from replayBackupRecords, plus the number of records deleted
+ */
+export const applyRestorePlan = async (plan, { onProgress } = {}) => {
+  // The backend deletes a customer's trainings with the customer; only sessions without one are left over
+  const orphanTrainings = plan.trainingsToDelete.filter((training) => !training.customer);
+  const deletions = plan.customersToDelete.length + orphanTrainings.length;
+  const total = deletions + plan.customersToCreate.length + plan.trainingsToCreate.length;
+  let done = 0;
+  const step = () => {
+    done += 1;
+    onProgress?.(done, total);
+  };
+
+  const deleteResults = [
+    ...await runWithConcurrency(plan.customersToDelete, (customer) => api.deleteCustomer(customer._links.self.href), { onProgress: step }),
+    ...await runWithConcurrency(orphanTrainings, (training) => api.deleteTraining(training.id), { onProgress: step }),
+  ];
+  removeFromSeries(plan.trainingsToDelete.map((training) => training.id));
+  const failedDeletion = deleteResults.find((result) => !result.ok);
+  if (failedDeletion) throw failedDeletion.error;
+
+  const result = await replayBackupRecords({
+    customers: plan.customersToCreate,
+    trainings: plan.trainingsToCreate,
+    customerUrls: plan.matchedCustomers,
+  }, { onProgress: (finished) => onProgress?.(deletions + finished, total) });
+  return {
+    deleted: { customers: plan.customersToDelete.length, trainings: plan.trainingsToDelete.length },
+    ...result,
+  };
+};
@@ -0,0 +1,52 @@
+// Which trainer each customer belongs to
+// The REST service has no notion of trainers, so the assignment is remembered
+// in this browser's localStorage, keyed by customer id. Trainers only see their
+// own clients; customers they add are assigned to them automatically.
+// This is a convenience filter, not access control: anyone using the browser can
+// edit the assignments, and the backend serves every customer to any token. With
+// the local auth provider and the mock adapter that is all there is to protect;
+// against a shared backend, per-trainer access has to be enforced by the backend.
+
+// localStorage key holding { [customerId]: username }
+const STORAGE_KEY = 'personalTrainer.customerOwners';
+
+// Reads the assignments from localStorage
+const loadOwners = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Writes the assignments to localStorage
+const saveOwners = (owners) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(owners));
+  } catch (error) {
+    console.error('Error saving customer assignments:', error);
+  }
+};
+
+// Returns the username of the trainer a customer is assigned to, or null
+export const getCustomerOwner = (customerId) => loadOwners()[customerId] || null;
+
+// Assigns a customer to a trainer; a null username removes the assignment
+export const setCustomerOwner = (customerId, username) => {
+  const owners = loadOwners();
+  if (username) {
+    owners[customerId] = username;
+  } else {
+    delete owners[customerId];
+  }
+  saveOwners(owners);
+};
+
+// Ids of the customers assigned to a trainer
+export const getOwnedCustomerIds = (username) => {
+  const owners = loadOwners();
+  return new Set(Object.keys(owners).filter((id) => owners[id] === username).map(Number));
+};
+
+// Forgets every assignment, e.g. after the database was reset
+export const clearCustomerOwners = () => saveOwners({});
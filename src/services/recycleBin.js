@@ -0,0 +1,240 @@
+// Recently deleted customers and trainings
+// Deletions go through here so they can be undone: the records are snapshotted
+// before they are deleted, and restoring recreates them through api.js. The
+// backend hands out new ids, so restored records get new URLs.
+// Snapshots are kept in sessionStorage, i.e. until the browser tab is closed.
+import api, { getCustomerUrl, getIdFromUrl } from './api';
+import { getSeriesId, addToSeries, removeFromSeries } from './trainingSeries';
+import { CUSTOMER_FIELDS } from '../utils/customerImport';
+import { runWithConcurrency } from '../utils/concurrency';
+import { t, formatDateTime } from '../i18n';
+
+// sessionStorage key holding { entries: [...], customerIds: { [oldId]: newId } }
+const STORAGE_KEY = 'personalTrainer.recycleBin';
+
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 50;
+
+// What a bin entry holds
+export const BIN_ENTRY_TYPES = {
+  CUSTOMER: 'customer',
+  TRAININGS: 'trainings',
+};
+
+// Reads the bin from sessionStorage
+const loadBin = () => {
+  try {
+    const bin = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+    return { entries: bin?.entries || [], customerIds: bin?.customerIds || {} };
+  } catch {
+    return { entries: [], customerIds: {} };
+  }
+};
+
+// Writes the bin to sessionStorage
+const saveBin = (bin) => {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(bin));
+  } catch (error) {
+    console.error('Error saving recycle bin:', error);
+  }
+};
+
+// Components listening for changes (see subscribe)
+const listeners = new Set();
+
+// Tells listeners what happened: { type: 'deleted' | 'restored' | 'discarded', entry }
+const notify = (event) => listeners.forEach((listener) => listener(event));
+
+// Registers a listener for bin changes; returns a function that removes it
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Entries in the bin, most recently deleted first
+export const getBinEntries = () => loadBin().entries;
+
+// Stores a new entry at the top of the bin
+const addEntry = (entry) => {
+  const bin = loadBin();
+  const stored = { id: `deleted-${Date.now()}-${bin.entries.length}`, deletedAt: new Date().toISOString(), ...entry };
+  bin.entries = [stored, ...bin.entries].slice(0, MAX_ENTRIES);
+  saveBin(bin);
+  notify({ type: 'deleted', entry: stored });
+  return stored;
+};
+
+// What is needed to recreate a training loaded from /gettrainings
+// The series id has to be read before the training is removed from its series
+const snapshotTraining = (training) => ({
+  date: training.date,
+  duration: training.duration,
+  activity: training.activity,
+  customerId: training.customer?.id ?? null,
+  customerName: training.customer ? `${training.customer.firstname} ${training.customer.lastname}` : '',
+  seriesId: getSeriesId(training.id),
+});
+
+// Bin label for trainings: the session itself when there is one, else how many
+const describeTrainings = (trainings) => (trainings.length === 1
+  ? t('bin.sessionOn', { activity: trainings[0].activity, date: formatDateTime(trainings[0].date) })
+  : t('trainings.sessionCount', { count: trainings.length }));
+
+/**
+ * Deletes a customer and keeps a snapshot of them and their trainings.
+ * The backend removes the trainings together with the customer.
+ *
+ * @param {string} customerUrl - the customer's _links.self.href
+ * @param {object} [options]
+ * @param {object[]} [options.trainings] - every training as from /gettrainings; loaded when not given
+ * @returns {Promise<object>} the bin entry
+ */
+export const deleteCustomer = async (customerUrl, { trainings: allTrainings } = {}) => {
+  const customerId = getIdFromUrl(customerUrl);
+  const [customer, trainings, trainer] = await Promise.all([
+    api.getCustomer(customerId),
+    allTrainings || api.getTrainings(),
+    api.getCustomerTrainer(customerUrl),
+  ]);
+  const ownTrainings = trainings.filter((training) => training.customer?.id === customerId);
+  const snapshot = ownTrainings.map(snapshotTraining);
+
+  await api.deleteCustomer(customerUrl);
+  removeFromSeries(ownTrainings.map((training) => training.id));
+
+  const fields = {};
+  CUSTOMER_FIELDS.forEach(({ name }) => {
+    fields[name] = customer[name] ?? '';
+  });
+  return addEntry({
+    type: BIN_ENTRY_TYPES.CUSTOMER,
+    label: `${customer.firstname} ${customer.lastname}`,
+    customerId,
+    customer: fields,
+    trainer,
+    trainings: snapshot,
+  });
+};
+
+/**
+ * Deletes several customers with bounded concurrency, loading the trainings
+ * only once for all of them.
+ *
+ * @param {string[]} customerUrls
+ * @param {object} [options] - { onProgress } as for runWithConcurrency
+ * @returns {Promise<object[]>} per-customer results as from runWithConcurrency; the values are bin entries
+ */
+export const deleteCustomers = async (customerUrls, { onProgress } = {}) => {
+  let trainings;
+  try {
+    trainings = await api.getTrainings();
+  } catch (error) {
+    return customerUrls.map((item) => ({ item, ok: false, error }));
+  }
+  return runWithConcurrency(customerUrls, (customerUrl) => deleteCustomer(customerUrl, { trainings }), { onProgress });
+};
+
+/**
+ * Deletes trainings (as loaded from /gettrainings) with bounded concurrency and
+ * keeps snapshots of them. The sessions that were deleted share one bin entry,
+ * also when others failed.
+ *
+ * @param {object[]} trainings
+ * @param {object} [options] - { onProgress } as for runWithConcurrency
+ * @returns {Promise<{ entry: object|null, results: object[] }>} the bin entry (null when
+ *   nothing was deleted) and per-training results as from runWithConcurrency
+ */
+export const deleteTrainings = async (trainings, { onProgress } = {}) => {
+  const snapshots = new Map(trainings.map((training) => [training.id, snapshotTraining(training)]));
+  const results = await runWithConcurrency(trainings, (training) => api.deleteTraining(training.id), { onProgress });
+  const deleted = results.filter((result) => result.ok).map((result) => result.item);
+  removeFromSeries(deleted.map((training) => training.id));
+
+  let entry = null;
+  if (deleted.length > 0) {
+    entry = addEntry({
+      type: BIN_ENTRY_TYPES.TRAININGS,
+      label: describeTrainings(deleted),
+      trainings: deleted.map((training) => snapshots.get(training.id)),
+    });
+  }
+  return { entry, results };
+};
+
+/**
+ * Recreates the records of a bin entry and removes it from the bin.
+ * Trainings of a customer that was itself deleted and restored are attached
+ * to the restored customer. Sessions are recreated one after another and put
+ * back into their recurring series.
+ * Sessions that fail stay in the bin so they can be retried: the entry is
+ * reduced to them, and a restored customer's entry becomes a trainings entry.
+ *
+ * @param {string} entryId
+ * @returns {Promise<{ restored: number, failed: number }>} counts of restored trainings
+ */
+export const restoreEntry = async (entryId) => {
+  const entry = loadBin().entries.find((item) => item.id === entryId);
+  if (!entry) throw new Error(t('bin.missing'));
+
+  let customerUrl = null;
+  if (entry.type === BIN_ENTRY_TYPES.CUSTOMER) {
+    const created = await api.addCustomer(entry.customer);
+    customerUrl = created._links.self.href;
+    if (entry.trainer) await api.assignCustomer(customerUrl, entry.trainer);
+    // Remember the new id so trainings of this customer deleted earlier can follow
+    const bin = loadBin();
+    bin.customerIds[entry.customerId] = getIdFromUrl(customerUrl);
+    saveBin(bin);
+  }
+
+  const { customerIds } = loadBin();
+  const seriesIds = {};
+  const failed = [];
+  for (const training of entry.trainings) {
+    const customer = customerUrl || getCustomerUrl(customerIds[training.customerId] ?? training.customerId);
+    try {
+      const created = await api.addTraining({
+        date: training.date,
+        duration: training.duration,
+        activity: training.activity,
+        customer,
+      });
+      const id = getIdFromUrl(created?._links?.self?.href);
+      if (training.seriesId && id !== null) {
+        seriesIds[training.seriesId] = [...(seriesIds[training.seriesId] || []), id];
+      }
+    } catch (error) {
+      failed.push(training);
+      console.error('Error restoring training:', error);
+    }
+  }
+  Object.entries(seriesIds).forEach(([seriesId, ids]) => addToSeries(seriesId, ids));
+
+  const bin = loadBin();
+  if (failed.length > 0) {
+    bin.entries = bin.entries.map((item) => (item.id === entryId
+      ? { ...item, type: BIN_ENTRY_TYPES.TRAININGS, label: describeTrainings(failed), trainings: failed }
+      : item));
+  } else {
+    bin.entries = bin.entries.filter((item) => item.id !== entryId);
+  }
+  saveBin(bin);
+  notify({ type: 'restored', entry });
+  return { restored: entry.trainings.length - failed.length, failed: failed.length };
+};
+
+// Removes an entry from the bin without restoring it
+export const discardEntry = (entryId) => {
+  const bin = loadBin();
+  const entry = bin.entries.find((item) => item.id === entryId);
+  bin.entries = bin.entries.filter((item) => item.id !== entryId);
+  saveBin(bin);
+  notify({ type: 'discarded', entry });
+};
+
+// Empties the bin
+export const clearBin = () => {
+  saveBin({ entries: [], customerIds: {} });
+  notify({ type: 'discarded', entry: null });
+};
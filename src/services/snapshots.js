@@ -0,0 +1,89 @@
+// Database snapshots
+// A snapshot is a backup (see backup.js) of every customer and training, taken
+// automatically before the database is reset. Restoring one replays it through
+// api.js: the customers are created again, and their trainings are attached to
+// the new customer URLs the backend hands out.
+// Snapshots are kept in localStorage so they survive the reload after a reset.
+import { exportBackup, replayBackupRecords } from './backup';
+import { t } from '../i18n';
+
+// localStorage key holding the snapshots, newest first
+const STORAGE_KEY = 'personalTrainer.snapshots';
+
+// Oldest snapshots are dropped beyond this many
+const MAX_SNAPSHOTS = 5;
+
+// Reads the snapshots from localStorage
+const loadSnapshots = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Writes the snapshots to localStorage
+// Throws when they do not fit, so a reset is not started without one
+const saveSnapshots = (snapshots) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots));
+};
+
+// Components listening for changes (see subscribe)
+const listeners = new Set();
+
+// Registers a listener for snapshot changes; returns a function that removes it
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// Snapshots, newest first
+export const getSnapshots = () => loadSnapshots();
+
+/**
+ * Copies every customer and training into a new snapshot.
+ * Throws when the data cannot be loaded or the snapshot cannot be stored.
+ *
+ * @param {string} label - why the snapshot was taken, e.g. 'Before reset'
+ * @returns {Promise<object>} the snapshot: a backup with id, label and createdAt
+ */
+export const takeSnapshot = async (label) => {
+  const backup = await exportBackup();
+  const snapshot = {
+    ...backup,
+    id: `snapshot-${Date.now()}`,
+    label,
+    createdAt: backup.exportedAt,
+  };
+
+  saveSnapshots([snapshot, ...loadSnapshots()].slice(0, MAX_SNAPSHOTS));
+  notify();
+  return snapshot;
+};
+
+// Removes a snapshot
+export const deleteSnapshot = (snapshotId) => {
+  saveSnapshots(loadSnapshots().filter((snapshot) => snapshot.id !== snapshotId));
+  notify();
+};
+
+/**
+ * Recreates the customers and trainings of a snapshot, in addition to the
+ * data already in the database. Trainings whose customer could not be
+ * recreated are counted as failed. The snapshot is kept, so it can be
+ * restored again.
+ *
+ * @param {string} snapshotId
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - called with (finished, total) over all records
+ * @returns {Promise<{ customers: { created, failed }, trainings: { created, failed } }>}
+ */
+export const restoreSnapshot = async (snapshotId, { onProgress } = {}) => {
+  const snapshot = loadSnapshots().find((item) => item.id === snapshotId);
+  if (!snapshot) throw new Error(t('snapshots.missing'));
+
+  const total = snapshot.customers.length + snapshot.trainings.length;
+  return replayBackupRecords(snapshot, { onProgress: (finished) => onProgress?.(finished, total) });
+};
@@ -0,0 +1,163 @@
+// Recurring training series
+// The REST service has no notion of a series, so which trainings belong together
+// is remembered in this browser's localStorage. Every session is still an
+// ordinary training created through api.addTraining.
+import api, { getCustomerUrl, getIdFromUrl } from './api';
+import { runWithConcurrency } from '../utils/concurrency';
+
+// localStorage key holding { [seriesId]: [trainingId, ...] }
+const STORAGE_KEY = 'personalTrainer.trainingSeries';
+
+// Scopes for editing or deleting one occurrence of a series
+export const SERIES_SCOPES = {
+  SINGLE: 'single',
+  FOLLOWING: 'following',
+};
+
+// Reads the series registry from localStorage
+const loadSeries = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Writes the series registry to localStorage
+const saveSeries = (series) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(series));
+  } catch (error) {
+    console.error('Error saving training series:', error);
+  }
+};
+
+// Returns the id of the series a training belongs to, or null
+const findSeriesId = (series, trainingId) => (
+  Object.keys(series).find((seriesId) => series[seriesId].includes(trainingId)) || null
+);
+
+/**
+ * Returns the other trainings of the series `training` belongs to,
+ * including itself, sorted by date. Only trainings present in `trainings`
+ * (the list loaded from /gettrainings) are returned.
+ * Returns an empty array when the training is not part of a series.
+ */
+export const getSeriesTrainings = (training, trainings) => {
+  const series = loadSeries();
+  const seriesId = findSeriesId(series, training.id);
+  if (!seriesId) return [];
+  const ids = new Set(series[seriesId]);
+  return trainings
+    .filter((t) => ids.has(t.id))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Whether a training belongs to a series with more than one remaining session
+export const isInSeries = (training, trainings) => getSeriesTrainings(training, trainings).length > 1;
+
+// Returns the occurrences a scoped change applies to: just this one, or this one and every later one
+export const getScopedTrainings = (training, trainings, scope) => {
+  if (scope !== SERIES_SCOPES.FOLLOWING) return [training];
+  const start = new Date(training.date);
+  const following = getSeriesTrainings(training, trainings).filter((t) => new Date(t.date) >= start);
+  return following.length ? following : [training];
+};
+
+// Returns the id of the series a training belongs to, or null
+export const getSeriesId = (trainingId) => findSeriesId(loadSeries(), trainingId);
+
+// Adds trainings to a series, recreating it if it is gone
+// Used when deleted sessions are restored under new ids
+export const addToSeries = (seriesId, trainingIds) => {
+  const series = loadSeries();
+  const ids = [...(series[seriesId] || []), ...trainingIds];
+  if (ids.length < 2) return;
+  series[seriesId] = ids;
+  saveSeries(series);
+};
+
+// Forgets trainings that no longer exist; drops series that become empty
+export const removeFromSeries = (trainingIds) => {
+  const removed = new Set(trainingIds);
+  const series = loadSeries();
+  Object.keys(series).forEach((seriesId) => {
+    series[seriesId] = series[seriesId].filter((id) => !removed.has(id));
+    if (series[seriesId].length === 0) delete series[seriesId];
+  });
+  saveSeries(series);
+};
+
+/**
+ * Creates one training per date through api.addTraining and remembers them as a series.
+ * Sessions are created one after another so the backend sees them in order.
+ *
+ * @param {object} training - { duration, activity, customer (URL) }
+ * @param {Date[]} dates - start date of every session
+ * @returns {Promise<{ created: number, failed: number }>}
+ */
+export const addTrainingSeries = async (training, dates) => {
+  const ids = [];
+  let failed = 0;
+  for (const date of dates) {
+    try {
+      const created = await api.addTraining({ ...training, date: new Date(date).toISOString() });
+      const id = getIdFromUrl(created?._links?.self?.href);
+      if (id !== null) ids.push(id);
+    } catch (error) {
+      failed += 1;
+      console.error('Error adding training in series:', error);
+    }
+  }
+
+  if (ids.length > 1) {
+    const series = loadSeries();
+    series[`series-${Date.now()}`] = ids;
+    saveSeries(series);
+  }
+  return { created: dates.length - failed, failed };
+};
+
+/**
+ * Works out the new values of every occurrence a scoped change touches.
+ * For following occurrences the start time is shifted by the same amount the
+ * edited occurrence moved, while duration, activity and customer are copied.
+ *
+ * @param {object} training - the edited occurrence as loaded from /gettrainings
+ * @param {object} changes - { date, duration, activity, customer (URL) }
+ * @param {object[]} trainings - all loaded trainings
+ * @param {string} scope - one of SERIES_SCOPES
+ * @returns {object[]} { id, date, duration, activity, customer (URL) } per occurrence
+ */
+export const getScopedChanges = (training, changes, trainings, scope) => {
+  const shift = new Date(changes.date).getTime() - new Date(training.date).getTime();
+  return getScopedTrainings(training, trainings, scope).map((target) => ({
+    id: target.id,
+    date: target.id === training.id
+      ? new Date(changes.date).toISOString()
+      : new Date(new Date(target.date).getTime() + shift).toISOString(),
+    duration: changes.duration ?? target.duration,
+    activity: changes.activity ?? target.activity,
+    customer: changes.customer || getCustomerUrl(target.customer.id),
+  }));
+};
+
+/**
+ * Applies changes to one occurrence or to it and all following occurrences
+ * (see getScopedChanges), a few requests at a time.
+ * Never rejects: when some updates fail the others are still applied, so
+ * callers should reload the trainings either way.
+ *
+ * @param {object} training - the edited occurrence as loaded from /gettrainings
+ * @param {object} changes - { date, duration, activity, customer (URL) }
+ * @param {object[]} trainings - all loaded trainings
+ * @param {string} scope - one of SERIES_SCOPES
+ * @returns {Promise<{ updated: number, failed: number }>}
+ */
+export const updateTrainingOccurrences = async (training, changes, trainings, scope) => {
+  const updates = getScopedChanges(training, changes, trainings, scope);
+  const results = await runWithConcurrency(updates, ({ id, ...update }) => api.updateTraining(id, update));
+  const failures = results.filter((result) => !result.ok);
+  failures.forEach((result) => console.error('Error updating training in series:', result.error));
+  return { updated: updates.length - failures.length, failed: failures.length };
+};
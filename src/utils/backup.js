@@ -0,0 +1,168 @@
+// JSON backup format and restore planning
+// Pure functions so the backup service and dialog only have to deal with the API and the UI
+import { CUSTOMER_FIELDS, normalizeWhitespace } from './validation';
+import { t } from '../i18n';
+
+// Identifies a backup file; bump BACKUP_VERSION when the shape below changes
+export const BACKUP_FORMAT = 'personal-trainer-backup';
+export const BACKUP_VERSION = 1;
+
+// How a backup is restored
+// MERGE: keep the current data; customers already present (same email, or same
+//   name when there is no email) and their identical sessions are not created again
+// REPLACE: delete every current customer and training first
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+/**
+ * Builds a backup from customers and trainings as loaded from the API.
+ * Trainings refer to customers by their id in the backup, so the link
+ * survives the new ids a backend hands out when the backup is restored.
+ *
+ * @param {object} data
+ * @param {object[]} data.customers - customers with _links and `trainer` (username or null)
+ * @param {object[]} data.trainings - trainings from /gettrainings with `seriesId` (or null)
+ * @param {Function} getId - returns a customer's id from its URL
+ * @returns {object} { format, version, exportedAt, customers, trainings }
+ */
+export const buildBackup = ({ customers, trainings }, getId) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  customers: customers.map((customer) => {
+    const record = { id: getId(customer._links.self.href) };
+    CUSTOMER_FIELDS.forEach(({ name }) => {
+      record[name] = customer[name] ?? '';
+    });
+    record.trainer = customer.trainer || null;
+    return record;
+  }),
+  trainings: trainings.map((training) => ({
+    date: training.date,
+    duration: training.duration,
+    activity: training.activity,
+    customerId: training.customer?.id ?? null,
+    seriesId: training.seriesId || null,
+  })),
+});
+
+// Error for a file that is not a usable backup
+const invalidBackup = (message) => new Error(t('backup.invalid', { reason: message }));
+
+/**
+ * Reads a backup file's text and checks its shape.
+ * Throws an Error with a readable message when the file cannot be restored.
+ *
+ * @param {string} text
+ * @returns {object} the backup
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw invalidBackup(t('backup.errors.notJson'));
+  }
+  if (backup?.format !== BACKUP_FORMAT) throw invalidBackup(t('backup.errors.wrongFormat'));
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw invalidBackup(t('backup.errors.version', { version: backup.version }));
+  }
+  if (!Array.isArray(backup.customers) || !Array.isArray(backup.trainings)) {
+    throw invalidBackup(t('backup.errors.missing'));
+  }
+  const ids = new Set(backup.customers.map((customer) => customer.id));
+  if (ids.size !== backup.customers.length) throw invalidBackup(t('backup.errors.duplicateIds'));
+  const orphan = backup.trainings.find((training) => training.customerId !== null && !ids.has(training.customerId));
+  if (orphan) throw invalidBackup(t('backup.errors.orphan', { id: orphan.customerId }));
+  return backup;
+};
+
+// Key that identifies the same person across backends: the email, or the name without one
+const customerKey = (customer) => {
+  const email = normalizeWhitespace(customer.email).toLowerCase();
+  if (email) return `email:${email}`;
+  return `name:${normalizeWhitespace(`${customer.firstname} ${customer.lastname}`).toLowerCase()}`;
+};
+
+// Key that identifies the same session of a customer
+const trainingKey = (ownerKey, training) => (
+  `${ownerKey}|${new Date(training.date).getTime()}|${training.activity}|${training.duration}`
+);
+
+/**
+ * Works out what restoring a backup would do, without changing anything.
+ *
+ * @param {object} backup - as from parseBackup
+ * @param {object} current
+ * @param {object[]} current.customers - customers in the backend, with _links
+ * @param {object[]} current.trainings - trainings from /gettrainings
+ * @param {string} mode - one of RESTORE_MODES
+ * @returns {object} plan:
+ *   - customersToCreate: backup customers to create
+ *   - matchedCustomers: { [backupId]: url } of backup customers already in the backend (merge)
+ *   - trainingsToCreate / trainingsToSkip: backup trainings
+ *   - customersToDelete / trainingsToDelete: current records removed first (replace);
+ *     the backend deletes a customer's trainings with the customer, but they are listed too
+ */
+export const planRestore = (backup, current, mode) => {
+  if (mode === RESTORE_MODES.REPLACE) {
+    return {
+      mode,
+      customersToCreate: backup.customers,
+      matchedCustomers: {},
+      trainingsToCreate: backup.trainings,
+      trainingsToSkip: [],
+      customersToDelete: current.customers,
+      trainingsToDelete: current.trainings,
+    };
+  }
+
+  // Existing customers by key, and the keys of their existing sessions
+  const existingByKey = new Map();
+  current.customers.forEach((customer) => {
+    const key = customerKey(customer);
+    if (!existingByKey.has(key)) existingByKey.set(key, customer);
+  });
+  // /gettrainings embeds each session's customer, so its key can be worked out directly
+  const existingTrainings = new Set(current.trainings.map((training) => trainingKey(
+    training.customer ? customerKey(training.customer) : 'none',
+    training,
+  )));
+
+  const customersToCreate = [];
+  const matchedCustomers = {};
+  const backupKeys = new Map();
+  backup.customers.forEach((customer) => {
+    const key = customerKey(customer);
+    backupKeys.set(customer.id, key);
+    const existing = existingByKey.get(key);
+    if (existing) {
+      matchedCustomers[customer.id] = existing._links.self.href;
+    } else {
+      customersToCreate.push(customer);
+    }
+  });
+
+  const trainingsToCreate = [];
+  const trainingsToSkip = [];
+  backup.trainings.forEach((training) => {
+    const key = trainingKey(training.customerId === null ? 'none' : backupKeys.get(training.customerId), training);
+    if (existingTrainings.has(key)) {
+      trainingsToSkip.push(training);
+    } else {
+      trainingsToCreate.push(training);
+    }
+  });
+
+  return {
+    mode,
+    customersToCreate,
+    matchedCustomers,
+    trainingsToCreate,
+    trainingsToSkip,
+    customersToDelete: [],
+    trainingsToDelete: [],
+  };
+};
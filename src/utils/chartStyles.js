@@ -0,0 +1,20 @@
+// Recharts colours taken from the MUI theme
+// Recharts draws SVG with its own light defaults, so charts pass these explicitly to work in dark mode too
+
+/**
+ * @param {object} theme - MUI theme, from useTheme()
+ * @returns {object} { axisTick, axisLabel, gridStroke, tooltip, primary, muted }
+ */
+export const getChartStyles = (theme) => ({
+  axisTick: { fill: theme.palette.text.secondary },
+  axisLabel: { fill: theme.palette.text.secondary },
+  gridStroke: theme.palette.divider,
+  tooltip: {
+    backgroundColor: theme.palette.background.paper,
+    border: `1px solid ${theme.palette.divider}`,
+    borderRadius: '4px',
+  },
+  // Main series colour, and the colour of comparison series drawn behind it
+  primary: theme.palette.primary.main,
+  muted: theme.palette.text.disabled,
+});
@@ -0,0 +1,45 @@
+// Helpers for running many API calls without flooding the backend
+
+// How many requests a batch operation keeps in flight by default
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs an async task for every item, with at most `limit` tasks running at once.
+ * Never rejects: every result records whether its task succeeded, so callers
+ * can report partial failures per item.
+ *
+ * @param {any[]} items
+ * @param {Function} task - (item, index) => Promise
+ * @param {object} [options]
+ * @param {number} [options.limit] - maximum number of tasks running at the same time
+ * @param {Function} [options.onProgress] - called with (finished, total) after every task
+ * @returns {Promise<object[]>} in the order of `items`: { item, ok, value } or { item, ok, error }
+ */
+export const runWithConcurrency = async (items, task, { limit = DEFAULT_CONCURRENCY, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let finished = 0;
+
+  // Each worker keeps picking the next unstarted item until none are left
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { item: items[index], ok: true, value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { item: items[index], ok: false, error };
+      }
+      finished += 1;
+      onProgress?.(finished, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Readable reason for a failed request: the backend's message when it sent one
+export const getErrorMessage = (error) => (
+  error?.response?.data?.message || error?.message || 'Unknown error'
+);
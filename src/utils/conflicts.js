@@ -0,0 +1,52 @@
+// Scheduling conflict detection
+// Two sessions clash when their time ranges overlap and they are for the same
+// customer (the customer is double-booked) or for customers of the same trainer
+// (the trainer is double-booked). Customers not assigned to any trainer count as
+// one trainer's, as in a single-trainer setup. Overlaps between different trainers'
+// customers are fine.
+
+// Reasons a session can clash with another
+export const CONFLICT_REASONS = {
+  CUSTOMER: 'customer',
+  TRAINER: 'trainer',
+};
+
+// Start of a session as a timestamp
+export const getTrainingStart = (training) => new Date(training.date).getTime();
+
+// End of a session: start plus duration in minutes (as the calendar computes it)
+export const getTrainingEnd = (training) => getTrainingStart(training) + (Number(training.duration) || 0) * 60000;
+
+// Half-open ranges overlap when each starts before the other ends,
+// so back-to-back sessions (10:00-11:00 and 11:00-12:00) do not clash
+const overlaps = (a, b) => getTrainingStart(a) < getTrainingEnd(b) && getTrainingStart(b) < getTrainingEnd(a);
+
+/**
+ * Finds existing trainings that overlap the candidate sessions.
+ *
+ * @param {object[]} candidates - sessions about to be saved: { date, duration, customerId }
+ * @param {object[]} trainings - existing trainings as loaded from /gettrainings
+ * @param {object} [options]
+ * @param {number[]} [options.ignoreIds] - ids of trainings being changed, which can't clash with themselves
+ * @param {Function} [options.getOwner] - returns the trainer a customer id is assigned to, or null
+ * @returns {object[]} one entry per clash: { candidate, training, reason }
+ */
+export const findConflicts = (candidates, trainings, { ignoreIds = [], getOwner = () => null } = {}) => {
+  const ignored = new Set(ignoreIds);
+  const existing = trainings.filter((training) => !ignored.has(training.id));
+  const conflicts = [];
+
+  candidates.forEach((candidate) => {
+    existing.forEach((training) => {
+      if (!overlaps(candidate, training)) return;
+      const sameCustomer = candidate.customerId != null && training.customer?.id === candidate.customerId;
+      if (sameCustomer) {
+        conflicts.push({ candidate, training, reason: CONFLICT_REASONS.CUSTOMER });
+      } else if (getOwner(candidate.customerId) === getOwner(training.customer?.id)) {
+        conflicts.push({ candidate, training, reason: CONFLICT_REASONS.TRAINER });
+      }
+    });
+  });
+
+  return conflicts.sort((a, b) => getTrainingStart(a.training) - getTrainingStart(b.training));
+};
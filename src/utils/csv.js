@@ -0,0 +1,80 @@
+// CSV helpers used for exporting and importing data
+// Follows RFC 4180: fields may be quoted, quotes inside quoted fields are doubled
+
+// Quotes a single value for CSV output
+const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Builds a CSV string with a header row.
+ *
+ * @param {string[]} fields - property names to export, also used as the header
+ * @param {object[]} rows - objects to export
+ * @returns {string}
+ */
+export const toCSV = (fields, rows) => {
+  const header = fields.join(',');
+  const lines = rows.map((row) => fields.map((field) => quote(row[field])).join(','));
+  return [header, ...lines].join('\n');
+};
+
+// Spreadsheets exported with a European locale use semicolons, so pick
+// whichever separator appears more often in the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Parses CSV text into an array of rows, each an array of strings.
+ * Handles quoted fields, doubled quotes, line breaks inside quotes and CRLF.
+ * Completely empty lines are skipped.
+ *
+ * @param {string} text
+ * @param {string} [delimiter] - detected from the first line when omitted
+ * @returns {string[][]}
+ */
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a byte order mark that Excel likes to add
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
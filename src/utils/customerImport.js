@@ -0,0 +1,89 @@
+// Customer CSV import: column mapping, validation and duplicate detection
+// Pure functions so the import wizard only has to deal with the UI
+import { CUSTOMER_FIELDS, DEFAULT_COUNTRY, inferCountry, validateCustomer } from './validation';
+
+// The seven customer fields, in the same order as the CSV export
+export { CUSTOMER_FIELDS };
+
+// Header names that are recognised for each field when guessing the mapping
+// Compared after lowercasing and removing spaces, dashes and underscores
+const HEADER_ALIASES = {
+  firstname: ['firstname', 'first', 'givenname', 'forename', 'etunimi'],
+  lastname: ['lastname', 'last', 'surname', 'familyname', 'sukunimi'],
+  email: ['email', 'emailaddress', 'mail', 'sähköposti'],
+  phone: ['phone', 'phonenumber', 'mobile', 'tel', 'telephone', 'puhelin'],
+  streetaddress: ['streetaddress', 'address', 'street', 'osoite', 'katuosoite'],
+  postcode: ['postcode', 'postalcode', 'zip', 'zipcode', 'postinumero'],
+  city: ['city', 'town', 'kaupunki', 'postitoimipaikka'],
+};
+
+// Import status of a row in the preview
+export const ROW_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Guesses which CSV column holds each customer field from the header row.
+ *
+ * @param {string[]} headers - first row of the file
+ * @returns {object} { [fieldName]: columnIndex } with -1 for unmapped fields
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  CUSTOMER_FIELDS.forEach(({ name }) => {
+    mapping[name] = normalized.findIndex((header) => HEADER_ALIASES[name].includes(header));
+  });
+  return mapping;
+};
+
+/**
+ * Turns parsed CSV rows into customers with validation results.
+ * A row is a duplicate when its email belongs to an existing customer or to
+ * an earlier row in the same file.
+ *
+ * @param {string[][]} rows - data rows (without the header)
+ * @param {object} mapping - { [fieldName]: columnIndex } as from guessColumnMapping
+ * @param {object[]} existingCustomers - customers already in the backend
+ * @returns {object[]} { id, rowNumber, customer, errors, status }
+ */
+export const buildImportRows = (rows, mapping, existingCustomers = []) => {
+  const knownEmails = new Set(
+    existingCustomers.map((customer) => String(customer.email || '').trim().toLowerCase()).filter(Boolean),
+  );
+
+  return rows.map((row, index) => {
+    const raw = {};
+    CUSTOMER_FIELDS.forEach(({ name }) => {
+      const column = mapping[name];
+      raw[name] = column >= 0 ? String(row[column] ?? '') : '';
+    });
+
+    // Same checks as the customer form; the country comes from the phone number when it has a country code
+    const { values: customer, errors: fieldErrors } = validateCustomer(raw, {
+      country: inferCountry(raw.phone) || DEFAULT_COUNTRY,
+    });
+    const errors = CUSTOMER_FIELDS.map(({ name }) => fieldErrors[name]).filter(Boolean);
+
+    const email = customer.email.toLowerCase();
+    const duplicate = Boolean(email) && knownEmails.has(email);
+    if (email) knownEmails.add(email);
+
+    let status = ROW_STATUS.VALID;
+    if (errors.length > 0) status = ROW_STATUS.INVALID;
+    else if (duplicate) status = ROW_STATUS.DUPLICATE;
+
+    return {
+      id: index,
+      // Spreadsheet row number: data starts on row 2, after the header
+      rowNumber: index + 2,
+      customer,
+      errors,
+      status,
+    };
+  });
+};
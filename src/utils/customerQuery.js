@@ -0,0 +1,52 @@
+// Searching, sorting and paging a list of customers
+// The customer grid asks the backend to do this; these functions do the same
+// in the browser for the mock backend and for backends that ignore the parameters
+
+// Fields the search text is matched against
+const SEARCH_FIELDS = ['firstname', 'lastname', 'email', 'city'];
+
+// Whether a customer matches the search text (case-insensitive substring of any search field)
+export const matchesCustomerSearch = (customer, search) => {
+  const text = String(search || '').trim().toLowerCase();
+  if (!text) return true;
+  return SEARCH_FIELDS.some((field) => String(customer[field] ?? '').toLowerCase().includes(text));
+};
+
+/**
+ * Parses Spring Data sort parameters such as "lastname,desc".
+ * @param {string|string[]} sort
+ * @returns {object[]} [{ field, sort: 'asc' | 'desc' }]
+ */
+export const parseSortParam = (sort) => (Array.isArray(sort) ? sort : [sort])
+  .filter(Boolean)
+  .map((value) => {
+    const [field, direction = 'asc'] = String(value).split(',');
+    return { field, sort: direction.toLowerCase() === 'desc' ? 'desc' : 'asc' };
+  });
+
+// Sorts customers by a DataGrid sort model ([{ field, sort }]), comparing text case-insensitively
+export const sortCustomers = (customers, sortModel = []) => {
+  if (sortModel.length === 0) return customers;
+  return [...customers].sort((a, b) => {
+    for (const { field, sort } of sortModel) {
+      const result = String(a[field] ?? '').localeCompare(String(b[field] ?? ''), undefined, { sensitivity: 'base' });
+      if (result !== 0) return sort === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Applies search, sort and paging to a full list of customers.
+ *
+ * @param {object[]} customers
+ * @param {object} query - { page (0-based), size, sort: [{ field, sort }], search }
+ * @returns {{ customers: object[], totalElements: number }}
+ */
+export const queryCustomers = (customers, { page = 0, size = customers.length, sort = [], search = '' } = {}) => {
+  const matching = sortCustomers(customers.filter((customer) => matchesCustomerSearch(customer, search)), sort);
+  return {
+    customers: matching.slice(page * size, (page + 1) * size),
+    totalElements: matching.length,
+  };
+};
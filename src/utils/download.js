@@ -0,0 +1,17 @@
+// Triggers a browser download of generated content (CSV, iCalendar, JSON, ...)
+// Returns false when the browser does not support the download attribute
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  if (link.download === undefined) return false;
+
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return true;
+};
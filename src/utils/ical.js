@@ -0,0 +1,337 @@
+// iCalendar (RFC 5545) export and import of training sessions
+// Produces .ics files that phone and desktop calendar apps can import, and reads
+// the VEVENTs of files exported from them (e.g. Google Calendar)
+// There is no subscription feed: calendar apps poll a feed URL themselves, and
+// this app is a static frontend whose REST backend does not serve .ics. A feed
+// needs an endpoint there that returns buildICS output for a trainer or customer.
+import { addDays, addMonths, addYears, endOfDay } from 'date-fns';
+import { MAX_OCCURRENCES, FREQUENCIES, END_TYPES, generateOccurrences } from './recurrence';
+import { t } from '../i18n';
+
+// Product identifier required in every iCalendar object
+const PRODID = '-//Personal Trainer//Training Calendar//EN';
+
+// Domain part of event UIDs; keeps them globally unique and stable per training id
+const UID_DOMAIN = 'personal-trainer';
+
+// Formats a date as a UTC date-time, e.g. 20241105T093000Z
+export const formatICSDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escapes text values: backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+export const escapeICSText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Folds a content line so no line is longer than 75 octets (RFC 5545 3.1)
+// Continuation lines start with a single space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // The first line may hold 75 octets, continuation lines 74 plus the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Full name of a training's customer, or an empty string
+const customerName = (training) => (
+  training.customer ? `${training.customer.firstname} ${training.customer.lastname}` : ''
+);
+
+/**
+ * Builds a VEVENT for one training as loaded from /gettrainings.
+ * The UID is derived from the training id so re-importing updates the event
+ * instead of duplicating it.
+ */
+const buildEvent = (training, stamp) => {
+  const start = new Date(training.date);
+  const end = new Date(start.getTime() + training.duration * 60000);
+  const name = customerName(training);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:training-${training.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatICSDate(start)}`,
+    `DTEND:${formatICSDate(end)}`,
+    `SUMMARY:${escapeICSText(name ? `${training.activity} / ${name}` : training.activity)}`,
+    `DESCRIPTION:${escapeICSText(t('calendar.icsDescription', {
+      activity: training.activity,
+      customer: name || t('calendar.icsNoCustomer'),
+      minutes: training.duration,
+    }))}`,
+    `CATEGORIES:${escapeICSText(training.activity)}`,
+  ];
+  if (training.customer?.email) {
+    // Parameter values are quoted instead of escaped and may not contain quotes
+    lines.push(`ATTENDEE;CN="${name.replace(/"/g, "'")}":mailto:${training.customer.email}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds a complete iCalendar file for the given trainings.
+ *
+ * @param {object[]} trainings - trainings as loaded from /gettrainings
+ * @param {object} [options]
+ * @param {string} [options.name] - calendar name shown by calendar apps
+ * @returns {string} .ics content with CRLF line endings
+ */
+export const buildICS = (trainings, { name = 'Trainings' } = {}) => {
+  const stamp = formatICSDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(name)}`,
+    ...trainings.flatMap((training) => buildEvent(training, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// MIME type for .ics downloads
+export const ICS_MIME_TYPE = 'text/calendar;charset=utf-8';
+
+// Reverses escapeICSText
+// Done in one pass so an escaped backslash followed by "n" is not read as a newline
+const unescapeICSText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Parses DATE or DATE-TIME values: 20241105, 20241105T093000 (local) or 20241105T093000Z (UTC)
+// TZID parameters are not resolved; such times are read as local time
+export const parseICSDate = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+// Parses a DURATION value such as PT1H30M or P1D into minutes
+const parseICSDuration = (value) => {
+  const match = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+  return sign === '-' ? -total : total;
+};
+
+// Splits a content line into name, parameters and value
+// e.g. ATTENDEE;CN="Anna K";ROLE=REQ-PARTICIPANT:mailto:anna@example.com
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// RRULE weekday codes and their Date#getDay() value
+const RRULE_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// How far apart the occurrences of the frequencies other than WEEKLY are
+const RRULE_STEPS = { DAILY: addDays, MONTHLY: addMonths, YEARLY: addYears };
+
+// RRULE parts that can be expanded; BYDAY only as plain weekdays of a WEEKLY rule
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+/**
+ * Lists the start of every occurrence of a recurrence rule (RFC 5545 3.3.10).
+ * Supports DAILY, WEEKLY (with plain BYDAY weekdays), MONTHLY and YEARLY with
+ * INTERVAL, COUNT and UNTIL. Rules without an end stop after MAX_OCCURRENCES.
+ *
+ * @param {Date} start - DTSTART of the event
+ * @param {string} value - the RRULE value, e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10
+ * @returns {Date[]|null} occurrence starts, or null when the rule uses parts that are not supported
+ */
+export const expandRRule = (start, value) => {
+  const parts = Object.fromEntries(String(value).split(';').filter(Boolean).map((part) => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').toUpperCase()];
+  }));
+  if (Object.keys(parts).some((key) => !SUPPORTED_RRULE_PARTS.includes(key))) return null;
+
+  const interval = Math.max(Number(parts.INTERVAL) || 1, 1);
+  const count = parts.COUNT ? Math.min(Number(parts.COUNT) || 0, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+  let until = null;
+  if (parts.UNTIL) {
+    until = parseICSDate(parts.UNTIL);
+    if (!until) return null;
+    // A date without a time includes that whole day
+    if (/^\d{8}$/.test(parts.UNTIL)) until = endOfDay(until);
+  }
+
+  if (parts.FREQ === 'WEEKLY') {
+    const weekdays = parts.BYDAY ? parts.BYDAY.split(',').map((day) => RRULE_WEEKDAYS[day]) : [];
+    if (weekdays.some((day) => day === undefined)) return null;
+    return generateOccurrences(start, {
+      frequency: FREQUENCIES.EVERY_N_WEEKS,
+      weekdays,
+      interval,
+      endType: END_TYPES.COUNT,
+      count,
+    }).filter((date) => !until || date <= until);
+  }
+
+  const step = RRULE_STEPS[parts.FREQ];
+  if (!step || parts.BYDAY) return null;
+  const dates = [];
+  // Stepping from the start each time keeps e.g. the 31st from drifting to the 28th after February
+  for (let i = 0; dates.length < count && i < MAX_OCCURRENCES * 2; i += 1) {
+    const date = step(start, i * interval);
+    if (until && date > until) break;
+    // Months without the start's day (e.g. 31 February) are skipped, as RFC 5545 says
+    if (date.getDate() === start.getDate()) dates.push(date);
+  }
+  return dates;
+};
+
+// Turns the VEVENTs of a file into single events: recurring events are expanded,
+// EXDATEs and moved occurrences (events with a RECURRENCE-ID) replace their
+// original dates, and cancelled events and occurrences are left out
+const expandEvents = (rawEvents) => {
+  // Occurrences that moved or were cancelled, as { uid: Set of original start times }
+  const replaced = new Map();
+  rawEvents.filter((event) => event.recurrenceId).forEach((event) => {
+    if (!replaced.has(event.uid)) replaced.set(event.uid, new Set());
+    replaced.get(event.uid).add(event.recurrenceId.getTime());
+  });
+
+  const events = [];
+  rawEvents.forEach(({ rrule, exdates, recurrenceId, status, ...event }) => {
+    if (status === 'CANCELLED') return;
+    if (!rrule || recurrenceId) {
+      events.push(event);
+      return;
+    }
+    const dates = expandRRule(event.start, rrule);
+    if (!dates) {
+      // Imported as one session and shown as invalid in the preview
+      events.push({ ...event, unsupportedRule: rrule });
+      return;
+    }
+    const skipped = new Set([...exdates, ...(replaced.get(event.uid) || [])]);
+    dates
+      .filter((date) => !skipped.has(date.getTime()))
+      .forEach((date) => events.push({
+        ...event,
+        start: date,
+        end: event.end ? new Date(date.getTime() + (event.end - event.start)) : event.end,
+      }));
+  });
+  return events.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Parses the VEVENTs of an iCalendar file.
+ * Recurring events come back as one event per occurrence (see expandEvents).
+ *
+ * @param {string} text - .ics content
+ * @returns {object[]} { uid, summary, description, start, end, duration (minutes), allDay,
+ *   attendees: [{ name, email }], unsupportedRule } where unsupportedRule is the RRULE
+ *   of an event that repeats in a way that could not be expanded
+ */
+export const parseICS = (text) => {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { attendees: [], allDay: false, exdates: [] };
+      return;
+    }
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (event?.start) {
+        if (event.end) event.duration = Math.round((event.end - event.start) / 60000);
+        events.push(event);
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeICSText(value);
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeICSText(value);
+        break;
+      case 'DTSTART':
+        event.start = parseICSDate(value);
+        event.allDay = params.VALUE === 'DATE';
+        break;
+      case 'DTEND':
+        event.end = parseICSDate(value);
+        break;
+      case 'DURATION':
+        if (!event.end) event.duration = parseICSDuration(value);
+        break;
+      case 'RRULE':
+        event.rrule = value;
+        break;
+      case 'EXDATE':
+        value.split(',').map(parseICSDate).filter(Boolean).forEach((date) => event.exdates.push(date.getTime()));
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseICSDate(value);
+        break;
+      case 'STATUS':
+        event.status = value.toUpperCase();
+        break;
+      case 'ATTENDEE':
+        event.attendees.push({
+          name: params.CN || '',
+          email: value.replace(/^mailto:/i, ''),
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return expandEvents(events);
+};
@@ -0,0 +1,92 @@
+// Helpers for recurring training series
+// Turns a start date and a recurrence rule into the list of session dates
+import { addDays, addWeeks, startOfWeek, endOfDay, differenceInCalendarWeeks } from 'date-fns';
+
+// Upper bound on generated sessions so a typo (e.g. 5000 sessions) can't flood the backend
+export const MAX_OCCURRENCES = 200;
+
+// Frequencies offered in the recurrence form
+export const FREQUENCIES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  EVERY_N_WEEKS: 'everyNWeeks',
+};
+
+// How a series ends: after a number of sessions or on a date
+export const END_TYPES = {
+  COUNT: 'count',
+  UNTIL: 'until',
+};
+
+// Weekdays in Monday-first order, with their Date#getDay() value
+export const WEEKDAYS = [
+  { value: 1 },
+  { value: 2 },
+  { value: 3 },
+  { value: 4 },
+  { value: 5 },
+  { value: 6 },
+  { value: 0 },
+];
+
+// Default rule: a single session (no recurrence)
+export const defaultRecurrence = {
+  frequency: FREQUENCIES.NONE,
+  weekdays: [],
+  interval: 2,
+  endType: END_TYPES.COUNT,
+  count: 10,
+  until: null,
+};
+
+/**
+ * Generates the start dates of every session in a series.
+ * The time of day of `start` is kept for every occurrence.
+ *
+ * @param {Date|string} start - first possible session start
+ * @param {object} rule - { frequency, weekdays, interval, endType, count, until }
+ * @returns {Date[]} session start dates in chronological order (at most MAX_OCCURRENCES)
+ */
+export const generateOccurrences = (start, rule = defaultRecurrence) => {
+  const first = new Date(start);
+  if (Number.isNaN(first.getTime())) return [];
+  if (!rule || rule.frequency === FREQUENCIES.NONE) return [first];
+
+  const limit = rule.endType === END_TYPES.COUNT
+    ? Math.min(Math.max(Number(rule.count) || 0, 0), MAX_OCCURRENCES)
+    : MAX_OCCURRENCES;
+  const until = rule.endType === END_TYPES.UNTIL && rule.until ? endOfDay(new Date(rule.until)) : null;
+  // Without a count or an end date there is nothing sensible to generate
+  if (rule.endType === END_TYPES.UNTIL && !until) return [];
+
+  const dates = [];
+  const isDone = (date) => dates.length >= limit || (until && date > until);
+
+  if (rule.frequency === FREQUENCIES.DAILY) {
+    for (let date = first; !isDone(date); date = addDays(date, 1)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  // Weekly and every-N-weeks: walk week by week from the week containing the start,
+  // emitting the chosen weekdays of every Nth week
+  const interval = rule.frequency === FREQUENCIES.EVERY_N_WEEKS ? Math.max(Number(rule.interval) || 1, 1) : 1;
+  const weekdays = rule.weekdays?.length ? rule.weekdays : [first.getDay()];
+  // Offsets from Monday, so Sunday (0) comes last in the week
+  const offsets = [...new Set(weekdays.map((day) => (day + 6) % 7))].sort((a, b) => a - b);
+  const firstWeek = startOfWeek(first, { weekStartsOn: 1 });
+
+  for (let week = firstWeek; ; week = addWeeks(week, interval)) {
+    for (const offset of offsets) {
+      const date = addDays(week, offset);
+      date.setHours(first.getHours(), first.getMinutes(), 0, 0);
+      if (date < first) continue;
+      if (isDone(date)) return dates;
+      dates.push(date);
+    }
+    // Safety net for rules that can never produce a date (e.g. an end date before the start)
+    if (differenceInCalendarWeeks(week, firstWeek) > MAX_OCCURRENCES * interval) return dates;
+  }
+};
@@ -0,0 +1,153 @@
+// Customer retention and engagement figures for the Statistics page
+// Works out when each customer first and last trained from /gettrainings data,
+// which customers have gone quiet and how monthly cohorts keep coming back
+import { startOfMonth, differenceInCalendarMonths, differenceInCalendarDays } from 'date-fns';
+import { t, formatDate } from '../i18n';
+
+// Inactivity windows offered on the dashboard, in days
+export const ACTIVITY_WINDOWS = [14, 30, 60, 90, 180];
+
+// How many months after the first training the cohort table follows
+export const COHORT_MONTHS = 6;
+
+/**
+ * Summarises each customer's training history up to `now`.
+ * Sessions after `now` are not counted as activity, but the first of them is
+ * reported as nextSession so booked customers can be told apart.
+ *
+ * @param {object[]} customers - customers as returned by api.getCustomers
+ * @param {object[]} trainings - trainings as loaded from /gettrainings
+ * @param {Function} getId - returns a customer's id from its URL
+ * @returns {object[]} { id, name, email, phone, firstSession, lastSession, nextSession,
+ *   daysSinceLast, sessions, minutes } with dates as Date objects or null
+ */
+export const getCustomerActivity = (customers, trainings, getId, now = new Date()) => {
+  const byId = new Map(customers.map((customer) => {
+    const id = getId(customer._links?.self?.href);
+    return [id, {
+      id,
+      name: `${customer.firstname} ${customer.lastname}`,
+      email: customer.email,
+      phone: customer.phone,
+      firstSession: null,
+      lastSession: null,
+      nextSession: null,
+      daysSinceLast: null,
+      sessions: 0,
+      minutes: 0,
+    }];
+  }));
+
+  trainings.forEach((training) => {
+    const entry = byId.get(training.customer?.id);
+    if (!entry) return;
+    const date = new Date(training.date);
+    if (date > now) {
+      if (!entry.nextSession || date < entry.nextSession) entry.nextSession = date;
+      return;
+    }
+    entry.sessions += 1;
+    entry.minutes += training.duration;
+    if (!entry.firstSession || date < entry.firstSession) entry.firstSession = date;
+    if (!entry.lastSession || date > entry.lastSession) entry.lastSession = date;
+  });
+
+  return [...byId.values()].map((entry) => ({
+    ...entry,
+    daysSinceLast: entry.lastSession ? differenceInCalendarDays(now, entry.lastSession) : null,
+  }));
+};
+
+// Whether a customer trained within the last `days` days
+const isActive = (entry, days) => entry.daysSinceLast !== null && entry.daysSinceLast <= days;
+
+// Counts of active, lapsed and never-trained customers for a window
+export const getActivitySplit = (activity, days) => ({
+  active: activity.filter((entry) => isActive(entry, days)).length,
+  inactive: activity.filter((entry) => entry.lastSession && !isActive(entry, days)).length,
+  never: activity.filter((entry) => !entry.lastSession).length,
+});
+
+// Customers without a session in the last `days` days, longest absence first
+// Customers who never trained come last
+export const getInactiveCustomers = (activity, days) => (
+  activity
+    .filter((entry) => !isActive(entry, days))
+    .sort((a, b) => (b.daysSinceLast ?? -1) - (a.daysSinceLast ?? -1))
+);
+
+/**
+ * Groups customers by the month of their first training and follows what share
+ * of each cohort trained again in the months after.
+ *
+ * @returns {object[]} { label, start, size, retention } where retention[k] is the
+ *   percentage of the cohort with a session k months after their first month,
+ *   or null for months that have not happened yet. retention[0] is always 100.
+ */
+export const buildCohorts = (activity, trainings, now = new Date(), months = COHORT_MONTHS) => {
+  const firstMonth = new Map();
+  activity.forEach((entry) => {
+    if (entry.firstSession) firstMonth.set(entry.id, startOfMonth(entry.firstSession));
+  });
+
+  // Month offsets (relative to the first month) each customer trained in
+  const activeOffsets = new Map();
+  trainings.forEach((training) => {
+    const id = training.customer?.id;
+    const date = new Date(training.date);
+    if (!firstMonth.has(id) || date > now) return;
+    const offset = differenceInCalendarMonths(date, firstMonth.get(id));
+    if (!activeOffsets.has(id)) activeOffsets.set(id, new Set());
+    activeOffsets.get(id).add(offset);
+  });
+
+  const cohorts = new Map();
+  firstMonth.forEach((start, id) => {
+    const key = start.getTime();
+    if (!cohorts.has(key)) cohorts.set(key, { start, members: [] });
+    cohorts.get(key).members.push(id);
+  });
+
+  return [...cohorts.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, members }) => {
+      const elapsed = differenceInCalendarMonths(now, start);
+      const retention = Array.from({ length: months + 1 }, (_, offset) => {
+        if (offset > elapsed) return null;
+        const returned = members.filter((id) => activeOffsets.get(id)?.has(offset)).length;
+        return Math.round((returned / members.length) * 100);
+      });
+      return { label: formatDate(start, 'LLL yyyy'), start, size: members.length, retention };
+    });
+};
+
+// Reshapes cohorts for a line chart: one point per month offset, one key per cohort label
+export const toRetentionCurves = (cohorts, months = COHORT_MONTHS) => (
+  Array.from({ length: months + 1 }, (_, offset) => {
+    const point = { offset, label: offset === 0 ? t('retention.firstMonth') : t('retention.monthOffset', { offset }) };
+    cohorts.forEach((cohort) => {
+      point[cohort.label] = cohort.retention[offset];
+    });
+    return point;
+  })
+);
+
+// Top customers by 'minutes' or 'sessions' for the given trainings
+// Ties are broken by the other metric; getId returns a customer's id from its URL
+export const buildLeaderboard = (customers, trainings, getId, metric, limit = 10) => {
+  const other = metric === 'minutes' ? 'sessions' : 'minutes';
+  const totals = new Map(customers.map((customer) => {
+    const id = getId(customer._links?.self?.href);
+    return [id, { id, name: `${customer.firstname} ${customer.lastname}`, sessions: 0, minutes: 0 }];
+  }));
+  trainings.forEach((training) => {
+    const entry = totals.get(training.customer?.id);
+    if (!entry) return;
+    entry.sessions += 1;
+    entry.minutes += training.duration;
+  });
+  return [...totals.values()]
+    .filter((entry) => entry.sessions > 0)
+    .sort((a, b) => b[metric] - a[metric] || b[other] - a[other])
+    .slice(0, limit);
+};
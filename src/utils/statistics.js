@@ -0,0 +1,150 @@
+// Calculations behind the Statistics page
+// Date ranges, totals and per-period trends computed from /gettrainings data
+import {
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  startOfDay,
+  endOfDay,
+  subDays,
+  subWeeks,
+  subMonths,
+  eachWeekOfInterval,
+  eachMonthOfInterval,
+} from 'date-fns';
+import { groupBy, sumBy } from 'lodash';
+import { formatDate, getWeekStartsOn } from '../i18n';
+
+// Date range presets offered on the Statistics page
+export const RANGE_PRESETS = {
+  THIS_WEEK: 'thisWeek',
+  THIS_MONTH: 'thisMonth',
+  LAST_90_DAYS: 'last90Days',
+  ALL_TIME: 'allTime',
+  CUSTOM: 'custom',
+};
+
+// Trend granularities
+export const GRANULARITIES = {
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+// Weeks start on the first day of the week of the current language
+const getWeekOptions = () => ({ weekStartsOn: getWeekStartsOn() });
+
+/**
+ * Returns the { start, end } range for a preset, relative to `now`.
+ * ALL_TIME spans the trainings passed in (or just today when there are none).
+ */
+export const getPresetRange = (preset, trainings = [], now = new Date()) => {
+  switch (preset) {
+    case RANGE_PRESETS.THIS_WEEK:
+      return { start: startOfWeek(now, getWeekOptions()), end: endOfWeek(now, getWeekOptions()) };
+    case RANGE_PRESETS.THIS_MONTH:
+      return { start: startOfMonth(now), end: endOfMonth(now) };
+    case RANGE_PRESETS.LAST_90_DAYS:
+      return { start: startOfDay(subDays(now, 89)), end: endOfDay(now) };
+    default: {
+      const times = trainings.map((training) => new Date(training.date).getTime());
+      if (times.length === 0) return { start: startOfDay(now), end: endOfDay(now) };
+      return { start: startOfDay(Math.min(...times)), end: endOfDay(Math.max(...times)) };
+    }
+  }
+};
+
+// The period before `range`: last week or last month for the calendar presets
+// (months differ in length), otherwise the range of equal length that ends right before it
+export const getPreviousRange = ({ start, end }, preset) => {
+  if (preset === RANGE_PRESETS.THIS_WEEK) {
+    const previousStart = subWeeks(start, 1);
+    return { start: previousStart, end: endOfWeek(previousStart, getWeekOptions()) };
+  }
+  if (preset === RANGE_PRESETS.THIS_MONTH) {
+    const previousStart = subMonths(start, 1);
+    return { start: previousStart, end: endOfMonth(previousStart) };
+  }
+  const length = end.getTime() - start.getTime();
+  const previousEnd = new Date(start.getTime() - 1);
+  return { start: new Date(previousEnd.getTime() - length), end: previousEnd };
+};
+
+// Trainings that start within the range (inclusive)
+export const filterByRange = (trainings, { start, end }) => trainings.filter((training) => {
+  const date = new Date(training.date);
+  return date >= start && date <= end;
+});
+
+// Total minutes per activity, largest first (the "Total Minutes by Activity" chart)
+export const totalsByActivity = (trainings) => (
+  Object.entries(groupBy(trainings, 'activity'))
+    .map(([activity, sessions]) => ({
+      activity,
+      duration: sumBy(sessions, 'duration'),
+      sessions: sessions.length,
+    }))
+    .sort((a, b) => b.duration - a.duration)
+);
+
+// Headline numbers for a set of trainings
+export const summarize = (trainings) => ({
+  minutes: sumBy(trainings, 'duration'),
+  sessions: trainings.length,
+  customers: new Set(trainings.map((training) => training.customer?.id).filter((id) => id != null)).size,
+});
+
+// Relative change between two numbers as a percentage, or null when there is nothing to compare to
+export const percentChange = (current, previous) => (
+  previous ? Math.round(((current - previous) / previous) * 100) : null
+);
+
+// Picks a sensible default granularity: weeks for up to ~4 months, months beyond that
+export const defaultGranularity = ({ start, end }) => (
+  end.getTime() - start.getTime() > 120 * 86400000 ? GRANULARITIES.MONTH : GRANULARITIES.WEEK
+);
+
+/**
+ * Buckets trainings into weeks or months across the range.
+ * Every period in the range appears, also those without sessions.
+ *
+ * @returns {{ periods: object[], activities: string[] }}
+ *   periods: { label, start, minutes, sessions, minutes_<activity>, sessions_<activity> }
+ *   activities: every activity seen, most minutes first
+ */
+export const buildTrend = (trainings, range, granularity) => {
+  const isMonth = granularity === GRANULARITIES.MONTH;
+  const weekOptions = getWeekOptions();
+  const starts = isMonth
+    ? eachMonthOfInterval(range)
+    : eachWeekOfInterval(range, weekOptions);
+  const periodStart = (date) => (isMonth ? startOfMonth(date) : startOfWeek(date, weekOptions)).getTime();
+  const activities = totalsByActivity(trainings).map((total) => total.activity);
+
+  const periods = starts.map((start) => {
+    const period = {
+      // e.g. "Nov 2024" and "4 Nov", in the current language
+      label: formatDate(start, isMonth ? 'LLL yyyy' : 'd MMM'),
+      start: start.getTime(),
+      minutes: 0,
+      sessions: 0,
+    };
+    activities.forEach((activity) => {
+      period[`minutes_${activity}`] = 0;
+      period[`sessions_${activity}`] = 0;
+    });
+    return period;
+  });
+
+  const byStart = new Map(periods.map((period) => [period.start, period]));
+  trainings.forEach((training) => {
+    const period = byStart.get(periodStart(new Date(training.date)));
+    if (!period) return;
+    period.minutes += training.duration;
+    period.sessions += 1;
+    period[`minutes_${training.activity}`] += training.duration;
+    period[`sessions_${training.activity}`] += 1;
+  });
+
+  return { periods, activities };
+};
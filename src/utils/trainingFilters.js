@@ -0,0 +1,288 @@
+// Filtering trainings by date, duration, activity and customer
+// Filters come from two places: the filter panel and a query typed into the
+// search box, e.g. activity:yoga customer:"anna k" after:2024-11-01 duration>=45
+// Both are turned into the same list of active filters, which the training list
+// shows as removable chips and applies together
+// Query keywords are always English; chip labels and errors follow the current language
+import { isValid, parseISO, startOfDay, addDays } from 'date-fns';
+import { orderBy } from 'lodash';
+import { t, formatDate } from '../i18n';
+
+// Values of the panel's upcoming / past toggle
+export const TIME_SCOPES = {
+  ALL: 'all',
+  UPCOMING: 'upcoming',
+  PAST: 'past',
+};
+
+// Filter panel with nothing selected
+// from / to are Dates (whole days, both included); durations are minutes as strings from the inputs
+export const EMPTY_PANEL_FILTERS = {
+  from: null,
+  to: null,
+  minDuration: '',
+  maxDuration: '',
+  activities: [],
+  customerId: null,
+  timeScope: TIME_SCOPES.ALL,
+};
+
+// Keywords the query understands, for the search box hint
+export const QUERY_HELP = 'activity:yoga customer:"anna k" after:2024-11-01 before:2024-12-01 duration>=45 is:upcoming';
+
+// One token of a query: key, operator and value (quoted values may contain spaces),
+// a quoted phrase, or a plain word
+const TOKEN_PATTERN = /(\w+)(>=|<=|:|=|>|<)(?:"([^"]*)"?|(\S+))|"([^"]*)"?|(\S+)/g;
+
+const DURATION_OPERATORS = ['>=', '<=', '>', '<', '=', ':'];
+
+// How duration comparisons are written on the chips
+const OPERATOR_SYMBOLS = { '>=': '≥', '<=': '≤', '>': '>', '<': '<', '=': '=' };
+
+export const getCustomerName = (customer) => (customer ? `${customer.firstname} ${customer.lastname}` : '');
+
+const includesText = (value, text) => String(value ?? '').toLowerCase().includes(text.toLowerCase());
+
+// Parses a yyyy-MM-dd day, or returns null
+const parseDay = (value) => {
+  const date = parseISO(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(date) ? startOfDay(date) : null;
+};
+
+const formatDay = (date) => formatDate(date);
+
+const compareDuration = (duration, operator, minutes) => {
+  switch (operator) {
+    case '>=': return duration >= minutes;
+    case '<=': return duration <= minutes;
+    case '>': return duration > minutes;
+    case '<': return duration < minutes;
+    default: return duration === minutes;
+  }
+};
+
+// Builds the filter for one key:value token, or null when the key is not a filter keyword
+// after: includes the given day, before: stops at the start of it
+// Keywords with values that can't be understood give a filter with an error, which matches everything
+const buildQueryFilter = (key, operator, value, now) => {
+  const keyword = key.toLowerCase();
+  switch (keyword) {
+    case 'activity':
+      if (operator !== ':') return null;
+      return {
+        label: t('filters.chips.activity', { value }),
+        test: (training) => includesText(training.activity, value),
+      };
+    case 'customer':
+      if (operator !== ':') return null;
+      return {
+        label: t('filters.chips.customer', { value }),
+        test: (training) => includesText(getCustomerName(training.customer), value),
+      };
+    case 'after':
+    case 'before':
+    case 'on': {
+      if (operator !== ':') return null;
+      const day = parseDay(value);
+      if (!day) return { label: `${key}: ${value}`, error: t('filters.errors.date') };
+      const start = day.getTime();
+      const end = addDays(day, 1).getTime();
+      if (keyword === 'after') {
+        return { label: t('filters.chips.from', { date: formatDay(day) }), test: (training) => new Date(training.date).getTime() >= start };
+      }
+      if (keyword === 'before') {
+        return { label: t('filters.chips.before', { date: formatDay(day) }), test: (training) => new Date(training.date).getTime() < start };
+      }
+      return {
+        label: t('filters.chips.on', { date: formatDay(day) }),
+        test: (training) => {
+          const time = new Date(training.date).getTime();
+          return time >= start && time < end;
+        },
+      };
+    }
+    case 'duration': {
+      const minutes = Number(value);
+      if (!DURATION_OPERATORS.includes(operator)) return null;
+      if (value === '' || !Number.isFinite(minutes)) {
+        return { label: `duration${operator}${value}`, error: t('filters.errors.duration') };
+      }
+      const symbol = operator === ':' ? '=' : operator;
+      return {
+        label: t('filters.chips.duration', { operator: OPERATOR_SYMBOLS[symbol], minutes }),
+        test: (training) => compareDuration(Number(training.duration), symbol, minutes),
+      };
+    }
+    case 'is':
+      if (operator !== ':') return null;
+      if (value === TIME_SCOPES.UPCOMING) {
+        return { label: t('filters.upcoming'), test: (training) => new Date(training.date).getTime() >= now };
+      }
+      if (value === TIME_SCOPES.PAST) {
+        return { label: t('filters.past'), test: (training) => new Date(training.date).getTime() < now };
+      }
+      return { label: `is:${value}`, error: t('filters.errors.scope') };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parses the search box into filters.
+ * Keyword tokens become filters; everything else is free text matched against
+ * the activity and the customer's name, one filter per word or quoted phrase.
+ *
+ * @param {string} query
+ * @param {number} [now] - timestamp that separates upcoming from past sessions
+ * @returns {object[]} filters: { id, label, raw, test, error? }; raw is the token
+ *   as typed, so removing the chip can remove it from the query
+ */
+export const parseTrainingQuery = (query, now = Date.now()) => {
+  const filters = [];
+  for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, key, operator, quotedValue, plainValue, phrase, word] = match;
+    const filter = key ? buildQueryFilter(key, operator, quotedValue ?? plainValue ?? '', now) : null;
+    const id = `query-${match.index}`;
+    if (filter) {
+      filters.push({ id, raw, ...filter });
+      continue;
+    }
+    const text = key ? raw : (phrase ?? word);
+    if (!text) continue;
+    filters.push({
+      id,
+      raw,
+      label: `"${text}"`,
+      test: (training) => includesText(training.activity, text) || includesText(getCustomerName(training.customer), text),
+    });
+  }
+  return filters;
+};
+
+// Removes one token from a query, tidying up the spaces around it
+export const removeQueryToken = (query, filter) => {
+  const index = Number(filter.id.replace('query-', ''));
+  return `${query.slice(0, index)}${query.slice(index + filter.raw.length)}`.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Turns the filter panel's values into filters.
+ *
+ * @param {object} panel - see EMPTY_PANEL_FILTERS
+ * @param {object} [options]
+ * @param {object[]} [options.customers] - customers the picker offers, for the chip label
+ * @param {number} [options.now] - timestamp that separates upcoming from past sessions
+ * @returns {object[]} filters: { id, label, field, test }; field is the panel value to
+ *   reset when the chip is removed
+ */
+export const buildPanelFilters = (panel, { customers = [], now = Date.now() } = {}) => {
+  const filters = [];
+  const from = panel.from && isValid(panel.from) ? startOfDay(panel.from) : null;
+  const to = panel.to && isValid(panel.to) ? addDays(startOfDay(panel.to), 1) : null;
+  if (from) {
+    filters.push({
+      id: 'panel-from',
+      field: 'from',
+      label: t('filters.chips.from', { date: formatDay(from) }),
+      test: (training) => new Date(training.date).getTime() >= from.getTime(),
+    });
+  }
+  if (to) {
+    filters.push({
+      id: 'panel-to',
+      field: 'to',
+      label: t('filters.chips.until', { date: formatDay(panel.to) }),
+      test: (training) => new Date(training.date).getTime() < to.getTime(),
+    });
+  }
+
+  const minDuration = panel.minDuration === '' ? null : Number(panel.minDuration);
+  const maxDuration = panel.maxDuration === '' ? null : Number(panel.maxDuration);
+  if (Number.isFinite(minDuration)) {
+    filters.push({
+      id: 'panel-minDuration',
+      field: 'minDuration',
+      label: t('filters.chips.duration', { operator: '≥', minutes: minDuration }),
+      test: (training) => Number(training.duration) >= minDuration,
+    });
+  }
+  if (Number.isFinite(maxDuration)) {
+    filters.push({
+      id: 'panel-maxDuration',
+      field: 'maxDuration',
+      label: t('filters.chips.duration', { operator: '≤', minutes: maxDuration }),
+      test: (training) => Number(training.duration) <= maxDuration,
+    });
+  }
+
+  if (panel.activities.length > 0) {
+    const activities = panel.activities.map((activity) => activity.toLowerCase());
+    filters.push({
+      id: 'panel-activities',
+      field: 'activities',
+      label: t('filters.chips.activity', { value: panel.activities.join(', ') }),
+      test: (training) => activities.includes(String(training.activity).toLowerCase()),
+    });
+  }
+
+  if (panel.customerId !== null) {
+    const customer = customers.find((item) => item.id === panel.customerId);
+    filters.push({
+      id: 'panel-customerId',
+      field: 'customerId',
+      label: t('filters.chips.customer', { value: customer ? getCustomerName(customer) : panel.customerId }),
+      test: (training) => training.customer?.id === panel.customerId,
+    });
+  }
+
+  if (panel.timeScope !== TIME_SCOPES.ALL) {
+    const upcoming = panel.timeScope === TIME_SCOPES.UPCOMING;
+    filters.push({
+      id: 'panel-timeScope',
+      field: 'timeScope',
+      label: upcoming ? t('filters.upcomingOnly') : t('filters.pastOnly'),
+      test: (training) => (new Date(training.date).getTime() >= now) === upcoming,
+    });
+  }
+  return filters;
+};
+
+// Trainings that pass every filter; filters with an error are skipped
+export const applyTrainingFilters = (trainings, filters) => {
+  const tests = filters.filter((filter) => !filter.error).map((filter) => filter.test);
+  return trainings.filter((training) => tests.every((test) => test(training)));
+};
+
+// Value each sortable column of the training list is sorted by
+const SORT_VALUES = {
+  date: (training) => new Date(training.date).getTime(),
+  duration: (training) => Number(training.duration),
+  activity: (training) => (training.activity || '').toLowerCase(),
+  customer: (training) => getCustomerName(training.customer).toLowerCase(),
+};
+
+/**
+ * Sorts trainings by a DataGrid sort model, for views that sort without the grid.
+ *
+ * @param {object[]} trainings
+ * @param {object[]} sortModel - e.g. [{ field: 'date', sort: 'desc' }]
+ * @returns {object[]} a sorted copy; unknown fields are ignored
+ */
+export const sortTrainings = (trainings, sortModel) => {
+  const known = sortModel.filter(({ field }) => SORT_VALUES[field]);
+  return orderBy(trainings, known.map(({ field }) => SORT_VALUES[field]), known.map(({ sort }) => sort));
+};
+
+// Distinct activities, sorted, for the activity multi-select
+export const getActivityOptions = (trainings) => [...new Set(
+  trainings.map((training) => training.activity).filter(Boolean),
+)].sort((a, b) => a.localeCompare(b));
+
+// Distinct customers embedded in trainings, sorted by name, for the customer picker
+export const getCustomerOptions = (trainings) => {
+  const customers = new Map();
+  trainings.forEach((training) => {
+    if (training.customer) customers.set(training.customer.id, training.customer);
+  });
+  return [...customers.values()].sort((a, b) => getCustomerName(a).localeCompare(getCustomerName(b)));
+};
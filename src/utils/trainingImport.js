@@ -0,0 +1,195 @@
+// Training import from .ics and CSV files
+// Turns calendar events or spreadsheet rows into draft trainings, matches their
+// attendees to existing customers and spots sessions that already exist
+import { parse, isValid } from 'date-fns';
+import { t } from '../i18n';
+
+// Columns a training CSV can provide
+// Either date holds date and time, or date and time come in separate columns;
+// duration can be given directly or derived from an end time
+// label: the English name; the import wizard shows imports.trainingFields.<name> from the catalogs
+export const TRAINING_IMPORT_FIELDS = [
+  { name: 'date', label: 'Date', required: true },
+  { name: 'time', label: 'Start Time' },
+  { name: 'end', label: 'End Time' },
+  { name: 'duration', label: 'Duration (min)' },
+  { name: 'activity', label: 'Activity', required: true },
+  { name: 'customer', label: 'Customer Name' },
+  { name: 'email', label: 'Customer Email' },
+];
+
+// Header names recognised for each column, compared lowercased without spaces, dashes or underscores
+// Each name belongs to one field only, so the order of the columns in the file does not matter
+const HEADER_ALIASES = {
+  date: ['date', 'start', 'startdate', 'datetime', 'päivämäärä', 'pvm'],
+  time: ['time', 'starttime', 'from', 'aika', 'kellonaika'],
+  end: ['end', 'endtime', 'enddate', 'to', 'until', 'loppu'],
+  duration: ['duration', 'durationmin', 'durationminutes', 'minutes', 'length', 'kesto'],
+  activity: ['activity', 'subject', 'title', 'summary', 'session', 'laji', 'aktiviteetti'],
+  customer: ['customer', 'customername', 'client', 'name', 'attendee', 'asiakas', 'nimi'],
+  email: ['email', 'customeremail', 'mail', 'attendeeemail', 'sähköposti'],
+};
+
+// Date formats tried, in order, for CSV values that are not ISO 8601
+const DATE_FORMATS = [
+  'dd.MM.yyyy HH:mm',
+  'd.M.yyyy H:mm',
+  'dd.MM.yyyy',
+  'd.M.yyyy',
+  'yyyy-MM-dd HH:mm',
+  'yyyy-MM-dd H:mm',
+  'yyyy-MM-dd',
+  'dd/MM/yyyy HH:mm',
+  'dd/MM/yyyy',
+];
+
+// Default length when a row or event has no end and no duration
+export const DEFAULT_DURATION = 60;
+
+// Import status of a draft training in the preview
+export const DRAFT_STATUS = {
+  READY: 'ready',
+  INVALID: 'invalid',
+  UNMATCHED: 'unmatched',
+  DUPLICATE: 'duplicate',
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+// Lowercased name with collapsed whitespace, for comparing customer names
+export const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Guesses which CSV column holds each training field from the header row.
+ * @returns {object} { [fieldName]: columnIndex } with -1 for unmapped fields
+ */
+export const guessTrainingColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+  TRAINING_IMPORT_FIELDS.forEach(({ name }) => {
+    const index = normalized.findIndex((header, i) => !used.has(i) && HEADER_ALIASES[name].includes(header));
+    mapping[name] = index;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+};
+
+// Parses a date (and optionally time) string from a spreadsheet cell
+const parseDateValue = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  // ISO 8601 (2024-11-05T09:30, with or without offset) is understood natively
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    return isValid(date) ? date : null;
+  }
+  for (const format of DATE_FORMATS) {
+    const date = parse(text, format, new Date());
+    if (isValid(date)) return date;
+  }
+  return null;
+};
+
+// Applies a "HH:mm" time of day to a date
+const withTime = (date, time) => {
+  const match = String(time || '').trim().match(/^(\d{1,2})[:.](\d{2})/);
+  if (!match) return date;
+  const result = new Date(date);
+  result.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return result;
+};
+
+/**
+ * Builds draft trainings from CSV data rows.
+ *
+ * @param {string[][]} rows - data rows (without the header)
+ * @param {object} mapping - { [fieldName]: columnIndex }
+ * @returns {object[]} drafts: { id, source, date, duration, activity, attendee: { name, email }, errors }
+ */
+export const draftsFromCSV = (rows, mapping) => rows.map((row, index) => {
+  const cell = (field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+  const errors = [];
+
+  let date = parseDateValue(cell('date'));
+  if (date && cell('time')) date = withTime(date, cell('time'));
+  if (!date) errors.push(t('imports.errors.date'));
+
+  let duration = cell('duration') ? Number(cell('duration').replace(',', '.')) : null;
+  if (duration === null && date && cell('end')) {
+    // The end may be a full date-time or just a time on the same day
+    const end = /^\d{1,2}[:.]\d{2}$/.test(cell('end')) ? withTime(date, cell('end')) : parseDateValue(cell('end'));
+    if (end) duration = Math.round((end - date) / 60000);
+  }
+  if (duration === null) duration = DEFAULT_DURATION;
+  if (!Number.isFinite(duration) || duration <= 0) errors.push(t('imports.errors.duration'));
+
+  const activity = cell('activity');
+  if (!activity) errors.push(t('imports.errors.activity'));
+
+  return {
+    id: index,
+    source: t('imports.rowNumber', { number: index + 2 }),
+    date,
+    duration: Math.round(duration),
+    activity,
+    attendee: { name: cell('customer'), email: cell('email') },
+    errors,
+  };
+});
+
+/**
+ * Builds draft trainings from parsed VEVENTs (see parseICS).
+ * The activity comes from the summary; summaries written by our own export
+ * ("Yoga / Anna Korhonen") are split into activity and customer name.
+ */
+export const draftsFromICS = (events) => events.map((event, index) => {
+  const errors = [];
+  const summary = (event.summary || '').trim();
+  const [activityPart, namePart] = summary.split(' / ');
+  const attendee = event.attendees[0] || { name: namePart || '', email: '' };
+
+  let duration = event.duration;
+  if (!duration || event.allDay) duration = DEFAULT_DURATION;
+  if (!summary) errors.push(t('imports.errors.summary'));
+  if (event.unsupportedRule) errors.push(t('imports.errors.recurrence', { rule: event.unsupportedRule }));
+
+  return {
+    id: index,
+    source: summary || event.uid || t('imports.eventNumber', { number: index + 1 }),
+    date: event.start,
+    duration: Math.round(duration),
+    activity: (activityPart || '').trim(),
+    attendee: { name: attendee.name || namePart || '', email: attendee.email || '' },
+    errors,
+  };
+});
+
+// Key that identifies an attendee across drafts: email when known, else the name
+export const getAttendeeKey = (attendee) => (
+  attendee.email ? `email:${attendee.email.toLowerCase()}` : `name:${normalizeName(attendee.name)}`
+);
+
+/**
+ * Finds the customer an attendee refers to: by email first, then by full name.
+ * @returns {object|null} the matching customer (with _links) or null
+ */
+export const matchCustomer = (attendee, customers) => {
+  if (attendee.email) {
+    const email = attendee.email.toLowerCase();
+    const byEmail = customers.find((customer) => String(customer.email || '').toLowerCase() === email);
+    if (byEmail) return byEmail;
+  }
+  const name = normalizeName(attendee.name);
+  if (!name) return null;
+  return customers.find((customer) => normalizeName(`${customer.firstname} ${customer.lastname}`) === name) || null;
+};
+
+// Whether a training for the same customer already starts at the same minute
+export const isDuplicateTraining = (draft, customerId, trainings) => {
+  const start = Math.floor(draft.date.getTime() / 60000);
+  return trainings.some((training) => (
+    training.customer?.id === customerId
+    && Math.floor(new Date(training.date).getTime() / 60000) === start
+  ));
+};
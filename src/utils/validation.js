@@ -0,0 +1,200 @@
+// Customer field validation shared by the customer forms and the CSV import
+// Checks and normalizes the values before they are sent to the backend, spots
+// likely duplicates and maps server-side validation errors back onto fields
+// Messages are in the current language (see i18n)
+import { t } from '../i18n';
+
+// The seven customer fields, in the same order as the CSV export
+// required: must be filled in for a customer to be saved or imported
+// label: the English name, as used in CSV column mapping; forms show customers.fields.<name> from the catalogs
+export const CUSTOMER_FIELDS = [
+  { name: 'firstname', label: 'First Name', required: true },
+  { name: 'lastname', label: 'Last Name', required: true },
+  { name: 'email', label: 'Email', required: true },
+  { name: 'phone', label: 'Phone' },
+  { name: 'streetaddress', label: 'Street Address' },
+  { name: 'postcode', label: 'Postcode' },
+  { name: 'city', label: 'City' },
+];
+
+// Email syntax: local part, @, and a domain with at least one dot; no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// E.164: a plus sign and up to 15 digits, the first of which is not 0
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// Countries whose phone numbers and postcodes we understand
+// Customers have no country field, so the country is inferred from the phone
+// number (or chosen in the form) and only used for validation
+// Shown to users as countries.<code> from the catalogs
+export const COUNTRIES = [
+  { code: 'FI', label: 'Finland', callingCode: '358', postcode: /^\d{5}$/, postcodeExample: '00100' },
+  { code: 'SE', label: 'Sweden', callingCode: '46', postcode: /^\d{3} ?\d{2}$/, postcodeExample: '114 55' },
+  { code: 'NO', label: 'Norway', callingCode: '47', postcode: /^\d{4}$/, postcodeExample: '0150' },
+  { code: 'EE', label: 'Estonia', callingCode: '372', postcode: /^\d{5}$/, postcodeExample: '10111' },
+  { code: 'DE', label: 'Germany', callingCode: '49', postcode: /^\d{5}$/, postcodeExample: '10115' },
+  { code: 'GB', label: 'United Kingdom', callingCode: '44', postcode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, postcodeExample: 'SW1A 1AA' },
+  { code: 'US', label: 'United States', callingCode: '1', postcode: /^\d{5}(-\d{4})?$/, postcodeExample: '10001' },
+];
+
+// Country assumed for numbers without a country code
+export const DEFAULT_COUNTRY = 'FI';
+
+const getCountry = (code) => COUNTRIES.find((country) => country.code === code)
+  || COUNTRIES.find((country) => country.code === DEFAULT_COUNTRY);
+
+// Trims a name and collapses runs of whitespace inside it
+export const normalizeWhitespace = (value) => String(value ?? '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Converts a phone number to E.164, e.g. "040 123 4567" → "+358401234567" for Finland.
+ * Numbers starting with + or 00 keep their country code; national numbers
+ * starting with 0 get the country's calling code.
+ *
+ * @returns {string|null} the E.164 number, '' for an empty value, or null when it cannot be understood
+ */
+export const normalizePhone = (value, countryCode = DEFAULT_COUNTRY) => {
+  const compact = String(value ?? '').trim().replace(/[\s\-().]/g, '');
+  if (!compact) return '';
+  const country = getCountry(countryCode);
+
+  let e164 = null;
+  if (compact.startsWith('+')) e164 = compact;
+  else if (compact.startsWith('00')) e164 = `+${compact.slice(2)}`;
+  else if (compact.startsWith('0')) e164 = `+${country.callingCode}${compact.slice(1)}`;
+  else if (country.code === 'US' && /^\d{10}$/.test(compact)) e164 = `+1${compact}`;
+
+  return e164 && E164_PATTERN.test(e164) ? e164 : null;
+};
+
+// Guesses the country from an international phone number, or returns null
+// Longer calling codes are tried first so +358 is not read as +35…
+export const inferCountry = (phone) => {
+  const compact = String(phone ?? '').trim().replace(/[\s\-().]/g, '').replace(/^00/, '+');
+  if (!compact.startsWith('+')) return null;
+  const match = [...COUNTRIES]
+    .sort((a, b) => b.callingCode.length - a.callingCode.length)
+    .find((country) => compact.startsWith(`+${country.callingCode}`));
+  return match ? match.code : null;
+};
+
+// Normalizes a postcode for a country: uppercase, and the usual space where there is one
+const formatPostcode = (postcode, country) => {
+  const value = postcode.toUpperCase();
+  if (country.code === 'SE') return value.replace(/^(\d{3}) ?(\d{2})$/, '$1 $2');
+  if (country.code === 'GB') return value.replace(/^(\S+?) ?(\d[A-Z]{2})$/, '$1 $2');
+  return value;
+};
+
+/**
+ * Validates a customer and returns the normalized values.
+ * Names are trimmed with inner whitespace collapsed, the phone number becomes
+ * E.164 and the postcode is checked against the country's format.
+ *
+ * @param {object} customer - values as entered
+ * @param {object} [options]
+ * @param {string} [options.country] - country code for phone and postcode, see COUNTRIES
+ * @param {string[]} [options.requiredFields] - defaults to the required CUSTOMER_FIELDS
+ * @returns {{ values: object, errors: object }} errors: { [fieldName]: message }
+ */
+export const validateCustomer = (customer, {
+  country = DEFAULT_COUNTRY,
+  requiredFields = CUSTOMER_FIELDS.filter((field) => field.required).map((field) => field.name),
+} = {}) => {
+  const values = {};
+  CUSTOMER_FIELDS.forEach(({ name }) => {
+    values[name] = normalizeWhitespace(customer?.[name]);
+  });
+  const errors = {};
+  const countryInfo = getCountry(country);
+
+  if (values.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.email = t('validation.email');
+  }
+
+  if (values.phone) {
+    const phone = normalizePhone(values.phone, countryInfo.code);
+    if (phone === null) {
+      errors.phone = t('validation.phone', { callingCode: countryInfo.callingCode });
+    } else {
+      values.phone = phone;
+    }
+  }
+
+  if (values.postcode) {
+    const postcode = formatPostcode(values.postcode, countryInfo);
+    if (countryInfo.postcode.test(postcode)) {
+      values.postcode = postcode;
+    } else {
+      errors.postcode = t('validation.postcode', { country: t(`countries.${countryInfo.code}`), example: countryInfo.postcodeExample });
+    }
+  }
+
+  CUSTOMER_FIELDS.forEach(({ name }) => {
+    if (requiredFields.includes(name) && !values[name]) errors[name] = t('validation.required', { field: t(`customers.fields.${name}`) });
+  });
+
+  return { values, errors };
+};
+
+const fullName = (customer) => normalizeWhitespace(`${customer.firstname ?? ''} ${customer.lastname ?? ''}`);
+
+/**
+ * Looks for other customers that share the email, the name or the phone number.
+ * Meant as warnings: two people can share a name, and families may share a phone.
+ *
+ * @param {object} customer - values as entered
+ * @param {object[]} customers - existing customers (with _links)
+ * @param {object} [options]
+ * @param {string} [options.selfUrl] - URL of the customer being edited, never reported
+ * @param {string} [options.country] - country used to compare national phone numbers
+ * @returns {object} { [fieldName]: message } for email, lastname and phone
+ */
+export const findDuplicateWarnings = (customer, customers, { selfUrl, country = DEFAULT_COUNTRY } = {}) => {
+  const others = customers.filter((other) => other._links?.self?.href !== selfUrl);
+  const warnings = {};
+
+  const email = normalizeWhitespace(customer.email).toLowerCase();
+  const sameEmail = email && others.find((other) => normalizeWhitespace(other.email).toLowerCase() === email);
+  if (sameEmail) warnings.email = t('validation.duplicateEmail', { name: fullName(sameEmail) });
+
+  const name = fullName(customer).toLowerCase();
+  const sameName = customer.firstname && customer.lastname
+    && others.find((other) => fullName(other).toLowerCase() === name);
+  if (sameName) warnings.lastname = t('validation.duplicateName', { name: fullName(sameName) });
+
+  const phone = normalizePhone(customer.phone, country);
+  const samePhone = phone && others.find((other) => (
+    normalizePhone(other.phone, inferCountry(other.phone) || country) === phone
+  ));
+  if (samePhone) warnings.phone = t('validation.duplicatePhone', { name: fullName(samePhone) });
+
+  return warnings;
+};
+
+/**
+ * Maps a validation error returned by the backend onto customer fields.
+ * Understands Spring Data REST ({ errors: [{ property, message }] }) and Spring
+ * Boot ({ errors: [{ field, defaultMessage }] }) responses, plus conflicts whose
+ * message mentions the email.
+ *
+ * @returns {object} { [fieldName]: message }, empty when nothing could be mapped
+ */
+export const getServerFieldErrors = (error) => {
+  const data = error?.response?.data;
+  const fieldNames = CUSTOMER_FIELDS.map((field) => field.name);
+  const result = {};
+
+  (Array.isArray(data?.errors) ? data.errors : []).forEach((item) => {
+    const field = item.property || item.field;
+    if (fieldNames.includes(field)) result[field] = item.message || item.defaultMessage || t('validation.invalid');
+  });
+
+  if (Object.keys(result).length === 0 && error?.response?.status === 409 && /email/i.test(data?.message || '')) {
+    result.email = data.message;
+  }
+  return result;
+};
+
+// Whether an API error carries field errors that the form can show
+export const hasServerFieldErrors = (error) => Object.keys(getServerFieldErrors(error)).length > 0;